@@ -0,0 +1,9 @@
+import { NextResponse } from 'next/server';
+import { devIssuerEnabled, jwks } from '../../api/auth/devIssuer';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  if (!devIssuerEnabled()) return new NextResponse(null, { status: 404 });
+  return NextResponse.json(jwks());
+}
@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { devIssuerEnabled, issuerFor } from '../../api/auth/devIssuer';
+
+export const dynamic = 'force-dynamic';
+
+// Discovery document for the development issuer; Convex reads it to find the signing key
+export async function GET(request) {
+  if (!devIssuerEnabled()) return new NextResponse(null, { status: 404 });
+  const issuer = issuerFor(request);
+  return NextResponse.json({
+    issuer,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    response_types_supported: ['id_token'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+  });
+}
@@ -1,6 +1,7 @@
 'use client';
 
-import { ConvexProvider, ConvexReactClient } from 'convex/react';
+import { useCallback, useMemo } from 'react';
+import { ConvexProviderWithAuth, ConvexReactClient } from 'convex/react';
 
 const convexUrl = process.env.NEXT_PUBLIC_CONVEX_URL;
 
@@ -46,7 +47,27 @@ gameFriendlyLogger.addLogLineListener((level, ...args) => {
 
 const convex = new ConvexReactClient(convexUrl ?? '', { logger: gameFriendlyLogger });
 
+// Development sign-in: the app's own issuer (app/api/auth) hands each browser a token for its
+// session. Swap this hook for a real provider's (Clerk, Auth0, ...) to sign players in properly.
+function useDevAuth() {
+  const fetchAccessToken = useCallback(async () => {
+    try {
+      const res = await fetch('/api/auth/token', { cache: 'no-store' });
+      if (!res.ok) return null;
+      const { token } = await res.json();
+      return token ?? null;
+    } catch {
+      return null;
+    }
+  }, []);
+  return useMemo(() => ({ isLoading: false, isAuthenticated: true, fetchAccessToken }), [fetchAccessToken]);
+}
+
 export default function ConvexClientProvider({ children }) {
-  return <ConvexProvider client={convex}>{children}</ConvexProvider>;
+  return (
+    <ConvexProviderWithAuth client={convex} useAuth={useDevAuth}>
+      {children}
+    </ConvexProviderWithAuth>
+  );
 }
 
@@ -0,0 +1,76 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useMutation, useQuery } from 'convex/react';
+import { api } from '../convex/_generated/api';
+
+/**
+ * The "Your username" field: starts from the name this browser picked last time, and save()
+ * stores a changed name (convex/users.js) before the caller goes on. Resolves false when the
+ * name is empty or was refused (taken, too long), with the reason in error.
+ */
+export function useNameField() {
+  const viewer = useQuery(api.users.viewer);
+  const setUsername = useMutation(api.users.setUsername);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (viewer?.username) setName((prev) => prev || viewer.username);
+  }, [viewer?.username]);
+
+  const save = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) return false;
+    if (trimmed === viewer?.username) return true;
+    try {
+      await setUsername({ username: trimmed });
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err?.data ?? err?.message ?? 'Could not save your name');
+      return false;
+    }
+  };
+
+  return { name, setName, error, setError, save };
+}
+
+/** Shown to someone who follows a link before they've picked a name. */
+export default function NamePrompt({ label = 'Pick a name to join' }) {
+  const { name, setName, error, save } = useNameField();
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (!name.trim() || saving) return;
+    setSaving(true);
+    await save();
+    setSaving(false);
+  };
+
+  return (
+    <div className="mb-4 space-y-2">
+      <label className="block text-sm text-gray-300">{label}</label>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Choose a name"
+          maxLength={20}
+          className="flex-1 px-3 py-2 rounded-lg bg-gray-900/70 text-gray-100 placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-purple-500"
+        />
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!name.trim() || saving}
+          className="px-4 py-2 text-sm font-medium bg-purple-500 rounded-lg hover:bg-purple-600 disabled:opacity-60 disabled:cursor-not-allowed transition"
+        >
+          Save
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+}
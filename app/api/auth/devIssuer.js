@@ -0,0 +1,50 @@
+// Stand-in sign-in for development. The app acts as an OpenID Connect issuer that Convex accepts
+// (see convex/auth.config.js): it publishes its key at /.well-known/jwks.json and signs tokens at
+// /api/auth/token. Each browser gets a random subject kept in an http-only cookie, so players are
+// told apart by who they are rather than by the name they type.
+
+import { createPrivateKey, createPublicKey, createSign, generateKeyPairSync } from 'crypto';
+
+export const APPLICATION_ID = 'card.io';
+export const SESSION_COOKIE = 'cardio_session';
+const KEY_ID = 'card-io-dev';
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+/** Off in production unless a signing key has been configured on purpose. */
+export function devIssuerEnabled() {
+  return process.env.NODE_ENV !== 'production' || !!process.env.AUTH_PRIVATE_KEY;
+}
+
+// AUTH_PRIVATE_KEY (an RSA key in PEM) keeps tokens valid across restarts; without it each
+// server process makes its own key
+function signingKey() {
+  if (process.env.AUTH_PRIVATE_KEY) {
+    return createPrivateKey(process.env.AUTH_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  }
+  globalThis.cardioDevSigningKey ??= generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  return globalThis.cardioDevSigningKey;
+}
+
+/** The issuer URL tokens name: AUTH_ISSUER_URL, or the origin the request came in on. */
+export function issuerFor(request) {
+  return process.env.AUTH_ISSUER_URL ?? new URL(request.url).origin;
+}
+
+/** The public half of the signing key, as a JSON Web Key Set. */
+export function jwks() {
+  const jwk = createPublicKey(signingKey()).export({ format: 'jwk' });
+  return { keys: [{ ...jwk, kid: KEY_ID, use: 'sig', alg: 'RS256' }] };
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/** An RS256 ID token for subject, valid for TOKEN_TTL_SECONDS. */
+export function signToken(issuer, subject) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url({ alg: 'RS256', typ: 'JWT', kid: KEY_ID });
+  const payload = base64url({ iss: issuer, sub: subject, aud: APPLICATION_ID, iat: now, exp: now + TOKEN_TTL_SECONDS });
+  const signature = createSign('RSA-SHA256').update(`${header}.${payload}`).sign(signingKey()).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
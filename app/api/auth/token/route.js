@@ -0,0 +1,28 @@
+import { randomUUID } from 'crypto';
+import { NextResponse } from 'next/server';
+import { devIssuerEnabled, issuerFor, SESSION_COOKIE, signToken } from '../devIssuer';
+
+export const dynamic = 'force-dynamic';
+
+// A token for this browser's session, starting one on the first visit
+export async function GET(request) {
+  if (!devIssuerEnabled()) {
+    return NextResponse.json({ error: 'Development sign-in is turned off' }, { status: 404 });
+  }
+  const existing = request.cookies.get(SESSION_COOKIE)?.value;
+  const subject = existing ?? randomUUID();
+  const response = NextResponse.json(
+    { token: signToken(issuerFor(request), subject) },
+    { headers: { 'Cache-Control': 'no-store' } },
+  );
+  if (!existing) {
+    response.cookies.set(SESSION_COOKIE, subject, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: '/',
+      maxAge: 60 * 60 * 24 * 365,
+    });
+  }
+  return response;
+}
@@ -33,7 +33,7 @@ export default function CreatePage() {
 
   const handleGoToRoom = () => {
     if (!roomCode || roomCode === '------') return;
-    router.push(`/room?code=${encodeURIComponent(roomCode)}&name=Host`);
+    router.push(`/room?code=${encodeURIComponent(roomCode)}`);
   };
 
   return (
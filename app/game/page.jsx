@@ -1,53 +1,79 @@
 'use client';
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import Link from 'next/link';
 import { useRouter, useSearchParams } from 'next/navigation';
 import { useMutation, useQuery } from 'convex/react';
 import { api } from '../../convex/_generated/api';
+import { getRank, getSuit } from '../../convex/rules/cards';
+import {
+  classifyPlay as classifyBigTwoPlay,
+  COMBINATIONS,
+  lastPlayedCards as bigTwoTable,
+  legalPlays as bigTwoLegalPlays,
+  sortHand as sortBigTwoHand,
+  validatePlay as validateBigTwoPlay,
+} from '../../convex/rules/bigtwo';
+import { canPass, JOKER_RANK, jokerRanks, RANK_ORDER, validatePlay } from '../../convex/rules/presidents';
+import { CHAOS_MODIFIERS } from '../../convex/rules/chaos';
+import {
+  MOON_POINTS,
+  passDirection,
+  roundPoints as heartsRoundPoints,
+  sortHand as sortHeartsHand,
+  validatePlay as validateHeartsPlay,
+} from '../../convex/rules/hearts';
+import { suitToFollow, validatePlay as validateClassicPlay, WILD_RANK } from '../../convex/rules/classic';
+import { getMode } from '../../convex/rules/modes';
+import { HEARTBEAT_MS, isOnline } from '../../convex/rules/presence';
+import { isAdjacent } from '../../convex/rules/speed';
+import { partnerOf, TEAM_NAMES, teamOf, teamStandings } from '../../convex/rules/teams';
 
 const SUIT_SYMBOLS = { S: '♠', H: '♥', D: '♦', C: '♣' };
 const SUIT_COLORS = { S: 'text-gray-100', H: 'text-red-400', D: 'text-red-400', C: 'text-gray-100' };
+const SUIT_NAMES = { S: 'spades', H: 'hearts', D: 'diamonds', C: 'clubs' };
+// Team Presidents: one color per entry in TEAM_NAMES
+const TEAM_COLORS = ['text-red-400', 'text-blue-400', 'text-green-400', 'text-amber-300'];
 
-// Sort order: 2 highest, then A, K, Q, J, T, 9…3. Suit: Heart, Spade, Diamond, Club.
-const RANK_ORDER = ['2', 'A', 'K', 'Q', 'J', 'T', '9', '8', '7', '6', '5', '4', '3'];
+// Sort order follows the rules engine's RANK_ORDER (2 highest…3), or a custom ruleset's rank order.
+// Suit: Heart, Spade, Diamond, Club.
 const SUIT_ORDER = ['H', 'S', 'D', 'C'];
 
-function getRank(cardId) {
-  return cardId && cardId[0] ? cardId[0] : '';
-}
-
-function cardSortIndex(cardId) {
+function cardSortIndex(cardId, rankOrder = RANK_ORDER) {
   if (!cardId || cardId.length < 2) return 0;
   const rank = cardId[0];
   const suit = cardId[1];
-  const r = RANK_ORDER.indexOf(rank);
+  const r = rankOrder.indexOf(rank);
   const s = SUIT_ORDER.indexOf(suit);
   return (r < 0 ? 99 : r) * 10 + (s < 0 ? 9 : s);
 }
 
-function sortHand(hand) {
-  return [...hand].sort((a, b) => cardSortIndex(a) - cardSortIndex(b));
+function sortHand(hand, rankOrder) {
+  return [...hand].sort((a, b) => cardSortIndex(a, rankOrder) - cardSortIndex(b, rankOrder));
 }
 
-/** Group sorted hand by rank, preserving order. Each item: { rank, cards: [{ cardId, index }] } */
-function groupHandByRank(sortedHand) {
+/**
+ * Group sorted hand by rank (or by keyOf, e.g. suit), preserving order.
+ * Each item: { key, cards: [{ cardId, index }] }
+ */
+function groupHand(sortedHand, keyOf = getRank) {
   const groups = [];
-  let currentRank = null;
+  let currentKey = null;
   let currentCards = [];
   sortedHand.forEach((cardId, index) => {
-    const r = getRank(cardId);
-    if (r !== currentRank) {
-      if (currentRank !== null) {
-        groups.push({ rank: currentRank, cards: currentCards });
+    const k = keyOf(cardId);
+    if (k !== currentKey) {
+      if (currentKey !== null) {
+        groups.push({ key: currentKey, cards: currentCards });
       }
-      currentRank = r;
+      currentKey = k;
       currentCards = [{ cardId, index }];
     } else {
       currentCards.push({ cardId, index });
     }
   });
-  if (currentRank !== null) {
-    groups.push({ rank: currentRank, cards: currentCards });
+  if (currentKey !== null) {
+    groups.push({ key: currentKey, cards: currentCards });
   }
   return groups;
 }
@@ -100,6 +126,152 @@ function CardBack({ small = false }) {
   );
 }
 
+/** Speed: move the card from my hand onto the pile locally so the play shows before the server confirms. */
+function applySpeedPlayLocally(gameData, cardId, pileIndex) {
+  const centerPiles = gameData.gameState.centerPiles.map((pile, i) => (i === pileIndex ? [...pile, cardId] : pile));
+  const players = gameData.players.map((p) => {
+    if (!p.isCurrentUser) return p;
+    const hand = [...p.hand];
+    hand.splice(hand.indexOf(cardId), 1);
+    return { ...p, hand, handCount: hand.length };
+  });
+  return { ...gameData, players, gameState: { ...gameData.gameState, centerPiles } };
+}
+
+/**
+ * Big Two: a button for each kind of combination the player can play right now. Clicking one selects
+ * the weakest of that kind, and each further click steps to the next stronger one.
+ */
+function CombinationPicker({ userId, gameState, hand, onPick }) {
+  const [cycle, setCycle] = useState({});
+  const handKey = hand.join(',');
+  const tableKey = bigTwoTable(gameState).join(',');
+  const openingCard = gameState.openingCard;
+  // Five-card hands are found by trying every subset, so only search again when the hand or table changes
+  const plays = useMemo(() => {
+    const table = tableKey ? tableKey.split(',') : [];
+    return bigTwoLegalPlays(
+      {
+        phase: 'play',
+        currentTurnUserId: userId,
+        players: [{ userId, hand: handKey ? handKey.split(',') : [] }],
+        discardPile: table,
+        lastPlayedCount: table.length,
+        openingCard,
+      },
+      userId,
+    );
+  }, [userId, handKey, tableKey, openingCard]);
+
+  if (plays.length === 0) {
+    return <p className="mt-3 text-sm text-gray-500">Nothing in your hand beats the last play.</p>;
+  }
+  return (
+    <div className="mt-3 flex flex-wrap gap-2">
+      {Object.keys(COMBINATIONS).map((type) => {
+        const options = plays.filter((p) => p.type === type);
+        if (options.length === 0) return null;
+        return (
+          <button
+            key={type}
+            type="button"
+            onClick={() => {
+              const i = (cycle[type] ?? 0) % options.length;
+              setCycle({ ...cycle, [type]: i + 1 });
+              onPick(options[i].cardIds);
+            }}
+            className="px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 font-medium text-xs transition"
+          >
+            {COMBINATIONS[type]} <span className="text-gray-400">×{options.length}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Trick area cells by seat relative to you: you at the bottom, then clockwise to your left, across and right
+const TRICK_POSITIONS = [
+  'col-start-2 row-start-3',
+  'col-start-1 row-start-2',
+  'col-start-2 row-start-1',
+  'col-start-3 row-start-2',
+];
+
+/**
+ * Hearts: the trick on the table, each card in front of the seat that played it. Between tricks
+ * the last one stays up, dimmed, until the next card is led.
+ */
+function TrickArea({ players, gameState }) {
+  const trick = gameState?.trick ?? [];
+  const shown = trick.length > 0 ? trick : gameState?.lastTrick ?? [];
+  const mySeat = players.find((p) => p.isCurrentUser)?.seatIndex ?? 0;
+  const pointsTaken = gameState?.pointsTaken ?? [];
+  const winner = trick.length === 0 ? players.find((p) => p.userId === gameState?.lastTrickWinnerId) : null;
+  return (
+    <div className="grid grid-cols-3 grid-rows-3 gap-x-6 gap-y-2 items-center justify-items-center">
+      {players.map((p) => {
+        const played = shown.find((t) => t.userId === p.userId);
+        const points = pointsTaken.find((t) => t.userId === p.userId)?.points ?? 0;
+        const position = TRICK_POSITIONS[(p.seatIndex - mySeat + players.length) % players.length];
+        return (
+          <div key={p.id} className={`${position} flex flex-col items-center`}>
+            {played ? (
+              <div className={`pointer-events-none ${trick.length === 0 ? 'opacity-60' : ''}`}>
+                <Card cardId={played.cardId} selected={false} onClick={() => {}} />
+              </div>
+            ) : (
+              <div className="w-12 h-16 rounded-lg border-2 border-dashed border-gray-600 bg-gray-800/50" />
+            )}
+            <p className={`mt-1 text-xs ${p.userId === gameState?.currentTurnUserId ? 'text-green-400' : 'text-gray-500'}`}>
+              {p.isCurrentUser ? 'You' : p.username} · {points} pt{points !== 1 ? 's' : ''}
+            </p>
+          </div>
+        );
+      })}
+      {winner && (
+        <p className="col-start-2 row-start-2 text-xs text-gray-400 text-center">
+          {winner.isCurrentUser ? 'You' : winner.username} took the last trick
+        </p>
+      )}
+    </div>
+  );
+}
+
+/** Running match scores, best first (final placement once the match is over). */
+function Scoreboard({ players, game, roundNumber }) {
+  const lowScoreWins = getMode(game.gameMode)?.engine.LOW_SCORE_WINS;
+  const nameColor = (p) => {
+    if (game.gameMode === 'teams') return TEAM_COLORS[teamOf(p.seatIndex, players.length)];
+    return p.isCurrentUser ? 'text-green-400' : 'text-gray-300';
+  };
+  const ranked = [...players].sort((a, b) =>
+    (a.placement ?? 0) - (b.placement ?? 0) || (lowScoreWins ? a.score - b.score : b.score - a.score),
+  );
+  return (
+    <div>
+      <div className="flex items-baseline justify-between gap-3 mb-2">
+        <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">Scoreboard</h2>
+        <span className="text-xs text-gray-400">
+          Round {roundNumber}{game.maxRounds ? ` of ${game.maxRounds}` : ''}
+          {game.targetScore ? ` · ${lowScoreWins ? 'ends at' : 'first to'} ${game.targetScore}` : ''}
+        </span>
+      </div>
+      <ol className="space-y-1">
+        {ranked.map((p, i) => (
+          <li key={p.id} className="flex items-center justify-between text-sm">
+            <span className={nameColor(p)}>
+              <span className="inline-block w-6 text-gray-500">{p.placement ?? i + 1}.</span>
+              {p.username}
+            </span>
+            <span className="tabular-nums font-medium text-gray-100">{p.score}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
 /** Turn Convex/backend errors into short, readable messages for the game UI. */
 function getFriendlyGameError(err, fallback = 'Something went wrong') {
   // Convex puts our thrown message in err.data; err.message is the long "[CONVEX M(...)] ..." wrapper
@@ -116,8 +288,13 @@ function getFriendlyGameError(err, fallback = 'Something went wrong') {
   }
   const friendly = {
     'Play same or higher rank': 'Must play same or higher rank.',
+    'Play a higher rank': 'Must play a higher rank.',
+    'You cannot go out on a 2': "You can't go out on a 2.",
+    'The opening play must include the 3 of clubs': 'The opening play must include the 3♣.',
     'Play same rank only (2 counts as joker)': 'Play cards of the same rank (2s can be jokers).',
     '2 cannot be played alone (joker must go with another rank)': "Can't play 2s alone—use them with another rank.",
+    'Wild cards cannot be played alone (they must go with another rank)': "Can't play wild cards alone—use them with another rank.",
+    'This game is not Chaos mode': 'This game is not Chaos mode.',
     'Not your turn': "It's not your turn.",
     'Select at least one card to play': 'Select at least one card to play.',
     'You are not in this game': "You're not in this game.",
@@ -131,6 +308,16 @@ function getFriendlyGameError(err, fallback = 'Something went wrong') {
     'Not in exchange phase': "Not in exchange phase.",
     'You are not giving cards in this exchange': "You're not giving cards in this exchange.",
     'Selected card not in your hand': "Selected card isn't in your hand.",
+    'Only the host can end the match': 'Only the host can end the match.',
+    'No match in progress': 'No match in progress.',
+    'The match is not over yet': "The match isn't over yet.",
+    'This game is not Classic mode': 'This game is not Classic mode.',
+    'Play a card of the same suit or rank, or an 8': 'Match the suit or rank, or play an 8.',
+    'You already drew this turn; play or pass': 'You already drew this turn. Play or pass.',
+    'No cards left to draw; pass instead': 'No cards left to draw. Pass instead.',
+    'This game is not Speed mode': 'This game is not Speed mode.',
+    'Too slow, that pile just changed': 'Too slow! That pile just changed.',
+    'Play a card one rank above or below the pile': 'Play a card one rank above or below the pile.',
   };
   if (friendly[msg]) return friendly[msg];
   if (msg.match(/^Select exactly (\d+) card/)) {
@@ -145,20 +332,36 @@ export default function GamePage() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const codeParam = searchParams.get('code');
-  const usernameParam = searchParams.get('name');
+  // Signed-in player; null until they've picked a name
+  const viewer = useQuery(api.users.viewer);
+  const username = viewer?.username;
   const [selectedIndices, setSelectedIndices] = useState(() => new Set());
   const [playError, setPlayError] = useState(null);
   const [playing, setPlaying] = useState(false);
   const [restarting, setRestarting] = useState(false);
+  const [endingMatch, setEndingMatch] = useState(false);
+  const [votingRematch, setVotingRematch] = useState(false);
   const [submittingExchange, setSubmittingExchange] = useState(false);
-  const playCardsMutation = useMutation(api.games.playCards);
+  // Speed plays (the ones with a pileIndex) show up at once, before the server confirms them
+  const playCardsMutation = useMutation(api.games.playCards).withOptimisticUpdate((localStore, args) => {
+    if (args.pileIndex === undefined) return;
+    const queryArgs = { code: args.code };
+    const current = localStore.getQuery(api.games.getGameByRoomCode, queryArgs);
+    if (!current?.gameState?.centerPiles) return;
+    localStore.setQuery(api.games.getGameByRoomCode, queryArgs, applySpeedPlayLocally(current, args.cardIds[0], args.pileIndex));
+  });
   const passMutation = useMutation(api.games.pass);
   const leaveRoomMutation = useMutation(api.rooms.leaveRoom);
   const restartRoundMutation = useMutation(api.games.restartRound);
   const submitExchangeSelectionMutation = useMutation(api.games.submitExchangeSelection);
+  const endMatchMutation = useMutation(api.games.endMatch);
+  const voteRematchMutation = useMutation(api.games.voteRematch);
+  const classicDrawCardMutation = useMutation(api.classic.drawCard);
+  const heartbeatMutation = useMutation(api.presence.heartbeat);
 
   // Group as pile: left click = add one from group, right click = remove one from group
-  const handleGroupAddOne = useCallback((group, hand) => {
+  // jokers: ranks that can join any other rank (2s, plus 7s under the chaos wild-sevens modifier)
+  const handleGroupAddOne = useCallback((group, hand, jokers = [JOKER_RANK]) => {
     setSelectedIndices((prev) => {
       const next = new Set(prev);
       const indicesInGroup = group.cards.map((c) => c.index);
@@ -167,12 +370,12 @@ export default function GamePage() {
 
       const selectedNonTwoRanks = [...prev]
         .map((i) => getRank(hand[i]))
-        .filter((r) => r !== '2');
+        .filter((r) => !jokers.includes(r));
       const uniqueNonTwoRank = selectedNonTwoRanks.length ? selectedNonTwoRanks[0] : null;
-      if (uniqueNonTwoRank !== null && uniqueNonTwoRank !== group.rank) {
+      if (uniqueNonTwoRank !== null && uniqueNonTwoRank !== group.key) {
         next.clear();
         prev.forEach((i) => {
-          if (getRank(hand[i]) === '2') next.add(i);
+          if (jokers.includes(getRank(hand[i]))) next.add(i);
         });
       }
       next.add(firstUnselected.index);
@@ -194,19 +397,46 @@ export default function GamePage() {
 
   const gameData = useQuery(
     api.games.getGameByRoomCode,
-    codeParam && usernameParam
-      ? { code: codeParam.toUpperCase(), username: usernameParam }
-      : 'skip',
+    codeParam && username ? { code: codeParam.toUpperCase() } : 'skip',
+  );
+
+  const roomData = useQuery(
+    api.rooms.getRoomByCode,
+    codeParam ? { code: codeParam.toUpperCase() } : 'skip',
   );
 
+  // When the host ends the match the room goes back to waiting; send everyone to the lobby
+  useEffect(() => {
+    if (!codeParam || !username || !roomData) return;
+    if (roomData.room.status === 'waiting') {
+      router.replace(`/room?code=${encodeURIComponent(codeParam.toUpperCase())}`);
+    }
+  }, [roomData, codeParam, username, router]);
+
+  // Tells the server we're still here, so nobody stands in for us (see convex/presence.js)
+  useEffect(() => {
+    if (!codeParam || !username) return undefined;
+    const beat = () => heartbeatMutation({ code: codeParam.toUpperCase() }).catch(() => {});
+    beat();
+    const id = setInterval(beat, HEARTBEAT_MS);
+    return () => clearInterval(id);
+  }, [codeParam, username, heartbeatMutation]);
+
+  // Ticks the turn countdown when the game has a time limit, and the online dots more slowly otherwise
+  const timeLimitSeconds = gameData?.game?.timeLimitSeconds ?? 0;
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), timeLimitSeconds ? 250 : 5000);
+    return () => clearInterval(id);
+  }, [timeLimitSeconds]);
+
   const [leaving, setLeaving] = useState(false);
   const handleLeaveRoom = async () => {
-    if (!codeParam || !usernameParam || leaving) return;
+    if (!codeParam || !username || leaving) return;
     setLeaving(true);
     try {
       await leaveRoomMutation({
         code: codeParam.toUpperCase(),
-        username: usernameParam,
       });
     } catch {
       // ignore errors on leave
@@ -216,13 +446,13 @@ export default function GamePage() {
     router.push('/');
   };
 
-  if (!codeParam || !usernameParam) {
+  if (!codeParam || viewer === null) {
     return (
       <div
         className="min-h-screen text-white flex flex-col items-center justify-center gap-4 bg-cover bg-center bg-no-repeat"
         style={{ backgroundImage: "url('/bg/bg-president.png')" }}
       >
-        <p className="text-gray-400">Missing room code or username.</p>
+        <p className="text-gray-400">{codeParam ? 'Pick a name in the room first.' : 'Missing room code.'}</p>
         <button
           type="button"
           onClick={() => router.push('/')}
@@ -266,9 +496,22 @@ export default function GamePage() {
 
   const { game, players, deckCount, totalCards, gameState, isHost } = gameData;
   const me = players.find((p) => p.isCurrentUser);
-  const myHandSorted = sortHand(me?.hand ?? []);
+  // Custom mode: the host's ruleset, which the engine reads as state.ruleset
+  const ruleset = game.customRuleset;
+  const family = getMode(game.gameMode)?.family ?? 'presidents';
+  const isClassic = family === 'classic';
+  const isSpeed = family === 'speed';
+  const isBigTwo = family === 'bigtwo';
+  const isTrick = family === 'trick';
+  const isTeams = game.gameMode === 'teams';
+  const myHandSorted = isBigTwo
+    ? sortBigTwoHand(me?.hand ?? [])
+    : isTrick
+    ? sortHeartsHand(me?.hand ?? [])
+    : sortHand(me?.hand ?? [], ruleset?.rankOrder);
   const others = players.filter((p) => !p.isCurrentUser);
-  const handGroups = groupHandByRank(myHandSorted);
+  // Trick-taking hands are laid out by suit, since following suit is what matters
+  const handGroups = groupHand(myHandSorted, isTrick ? getSuit : getRank);
   const selectedSet = selectedIndices;
 
   const currentTurnUserId = gameState?.currentTurnUserId;
@@ -276,19 +519,46 @@ export default function GamePage() {
   const isMyTurn = !!me && currentTurnUserId === me.userId;
 
   const selectedCardIds = [...selectedSet].map((i) => myHandSorted[i]);
-  const selectedRanks = selectedCardIds.map((id) => getRank(id));
-  const allSelectedAreTwos = selectedRanks.length > 0 && selectedRanks.every((r) => r === '2');
-  const canPlaySelection = selectedSet.size > 0 && !allSelectedAreTwos;
+  const presidentsView = me && gameState
+    ? { ...gameState, rules: game.houseRules ?? {}, ruleset, players: [{ userId: me.userId, hand: me.hand ?? [] }] }
+    : null;
+  // Same check the server runs, so the Play button reflects legality before anything is sent
+  const playCheck = me && gameState
+    ? isClassic
+      ? validateClassicPlay(
+        { ...gameState, players: [{ userId: me.userId, hand: me.hand ?? [] }] },
+        me.userId,
+        selectedCardIds[0],
+      )
+      : isTrick
+      ? validateHeartsPlay(
+        { ...gameState, players: [{ userId: me.userId, hand: me.hand ?? [] }] },
+        me.userId,
+        selectedCardIds,
+      )
+      : isBigTwo
+      ? validateBigTwoPlay(
+        { ...gameState, players: [{ userId: me.userId, hand: me.hand ?? [] }] },
+        me.userId,
+        selectedCardIds,
+      )
+      : validatePlay(presidentsView, me.userId, selectedCardIds)
+    : null;
+  const canPlaySelection = selectedSet.size > 0 && !!playCheck?.ok;
+  const selectionHint = selectedSet.size > 0 && playCheck && !playCheck.ok
+    ? getFriendlyGameError(playCheck.error.message)
+    : null;
 
-  const handlePlay = async () => {
-    if (!canPlaySelection || !codeParam || !usernameParam || playing) return;
+  // suit: the suit named when playing an 8 in classic mode
+  const handlePlay = async (suit) => {
+    if (!canPlaySelection || !codeParam || !username || playing) return;
     setPlayError(null);
     setPlaying(true);
     try {
       await playCardsMutation({
         code: codeParam.toUpperCase(),
-        username: usernameParam,
         cardIds: selectedCardIds,
+        suit,
       });
       setSelectedIndices(new Set());
     } catch (err) {
@@ -299,13 +569,12 @@ export default function GamePage() {
   };
 
   const handlePass = async () => {
-    if (!isMyTurn || !codeParam || !usernameParam || playing) return;
+    if (!isMyTurn || !codeParam || !username || playing) return;
     setPlayError(null);
     setPlaying(true);
     try {
       await passMutation({
         code: codeParam.toUpperCase(),
-        username: usernameParam,
       });
     } catch (err) {
       setPlayError(getFriendlyGameError(err, 'Pass failed'));
@@ -314,6 +583,22 @@ export default function GamePage() {
     }
   };
 
+  const handleDraw = async () => {
+    if (!isMyTurn || !codeParam || !username || playing) return;
+    setPlayError(null);
+    setPlaying(true);
+    try {
+      await classicDrawCardMutation({
+        code: codeParam.toUpperCase(),
+      });
+      setSelectedIndices(new Set());
+    } catch (err) {
+      setPlayError(getFriendlyGameError(err, 'Draw failed'));
+    } finally {
+      setPlaying(false);
+    }
+  };
+
   const lastPlayedCount = gameState?.lastPlayedCount ?? 0;
   const lastPlayedRank = gameState?.lastPlayedRank;
   const lastPlayedBy = gameState?.lastPlayedBy;
@@ -321,10 +606,35 @@ export default function GamePage() {
   const discardPile = gameState?.discardPile ?? [];
   const lastPlayedCards = lastPlayedCount > 0 ? discardPile.slice(-lastPlayedCount) : [];
   const passedUserIdsSet = new Set(gameState?.passedUserIds ?? []);
+  // Presidents lets a leader pass the lead on when they have nothing they may lead
+  const canPassNow = lastPlayedCount > 0 || (!isBigTwo && !!presidentsView && canPass(presidentsView, me.userId));
+  const rankRequirement = game.houseRules?.strictlyHigher ? 'higher rank' : 'same or higher rank';
+  // Big Two: what the last play was, and what the current selection would be
+  const lastCombination = isBigTwo && lastPlayedCards.length > 0 ? classifyBigTwoPlay(lastPlayedCards) : null;
+  const selectedCombination = isBigTwo && playCheck?.ok ? playCheck.combination : null;
+  // Classic: top of the discard pile, suit to follow, and what's left to draw
+  const topCard = discardPile[discardPile.length - 1];
+  const classicSuit = isClassic && topCard ? suitToFollow(gameState) : null;
+  const deckSize = gameState?.deckSize ?? 0;
+  const canDraw = deckSize > 0 || discardPile.length > 1;
+  const selectedWild = isClassic && selectedCardIds.length === 1 && getRank(selectedCardIds[0]) === WILD_RANK;
 
   const phase = gameState?.phase ?? 'play';
   const roundEnded = phase === 'round_ended';
+  const roundNumber = gameState?.roundNumber ?? 1;
+  const activeModifiers = CHAOS_MODIFIERS.filter((m) => (gameState?.modifiers ?? []).includes(m.id));
+  const matchFinished = game.status === 'finished';
+  const matchWinner = game.winnerId ? players.find((p) => p.userId === game.winnerId) : null;
+  const rematchVotes = game.rematchVotes ?? [];
+  // Bots always vote for a rematch
+  const rematchVoteCount = rematchVotes.length + players.filter((p) => p.isBot).length;
+  const iVotedRematch = me ? rematchVotes.includes(me.userId) : false;
+  // Set when this room is a tournament table: no rematches, and the match is played to the end
+  const tournamentCode = roomData?.tournamentCode;
   const exchangePhase = phase === 'exchange';
+  const turnSecondsLeft = timeLimitSeconds > 0 && (phase === 'play' || phase === 'exchange') && gameState?.turnStartedAt
+    ? Math.max(0, Math.ceil((gameState.turnStartedAt + timeLimitSeconds * 1000 - now) / 1000))
+    : null;
   const exchangePairs = gameState?.exchangePairs ?? [];
   const exchangeSelections = gameState?.exchangeSelections ?? [];
   const myExchangePair = me ? exchangePairs.find((p) => p.fromUserId === me.userId) : null;
@@ -336,13 +646,60 @@ export default function GamePage() {
   const roundLoserPlayer = roundLoserId ? players.find((p) => p.userId === roundLoserId) : null;
   const firstFinisherPlayer = firstFinisherId ? players.find((p) => p.userId === firstFinisherId) : null;
 
+  // Hearts: the suit led to this trick, and the round's points once it's over
+  // Team Presidents: my partner, and how the teams placed once the round is over
+  const myPartner = isTeams && me ? players.find((p) => p.userId === partnerOf(players, me.userId)) : null;
+  const roundTeams = isTeams && roundEnded ? teamStandings(players, finishedOrder) : null;
+  const teamColor = (p) => (isTeams ? TEAM_COLORS[teamOf(p.seatIndex, players.length)] : '');
+
+  const ledSuit = isTrick && gameState?.trick?.length ? getSuit(gameState.trick[0].cardId) : null;
+  const trickRoundPoints = isTrick && roundEnded ? heartsRoundPoints(gameState) : null;
+  const moonShooter = isTrick ? players.find((p) =>
+    (gameState?.pointsTaken ?? []).some((t) => t.userId === p.userId && t.points === MOON_POINTS),
+  ) : null;
+
+  // Speed: both center piles' top cards
+  const centerPiles = gameState?.centerPiles ?? [];
+  const centerTops = centerPiles.map((pile) => pile[pile.length - 1]);
+
+  // No turns and no waiting on the server: the optimistic update shows the card on the pile at once
+  const handleSpeedPlay = async (cardId, pileIndex) => {
+    if (!codeParam || !username || roundEnded) return;
+    setPlayError(null);
+    setSelectedIndices(new Set());
+    try {
+      await playCardsMutation({
+        code: codeParam.toUpperCase(),
+        cardIds: [cardId],
+        pileIndex,
+        expectedTop: centerTops[pileIndex],
+      });
+    } catch (err) {
+      setPlayError(getFriendlyGameError(err, 'Play failed'));
+    }
+  };
+
+  // Play straight away when the card fits exactly one pile; otherwise select it and wait for a pile click
+  const handleSpeedCardClick = (cardId, index) => {
+    const fits = centerTops.map((top, i) => (isAdjacent(cardId, top) ? i : -1)).filter((i) => i >= 0);
+    if (fits.length === 0) {
+      setPlayError("That card doesn't fit either pile.");
+      return;
+    }
+    if (fits.length === 1) {
+      handleSpeedPlay(cardId, fits[0]);
+      return;
+    }
+    setPlayError(null);
+    setSelectedIndices((prev) => (prev.has(index) ? new Set() : new Set([index])));
+  };
+
   const handleRestartRound = async () => {
-    if (!codeParam || !usernameParam || restarting || !isHost) return;
+    if (!codeParam || !username || restarting || !isHost) return;
     setRestarting(true);
     try {
       await restartRoundMutation({
         code: codeParam.toUpperCase(),
-        username: usernameParam,
       });
       setSelectedIndices(new Set());
     } catch (err) {
@@ -352,8 +709,37 @@ export default function GamePage() {
     }
   };
 
+  const handleEndMatch = async () => {
+    if (!codeParam || !username || endingMatch || !isHost) return;
+    setEndingMatch(true);
+    try {
+      await endMatchMutation({
+        code: codeParam.toUpperCase(),
+      });
+    } catch (err) {
+      setPlayError(getFriendlyGameError(err, 'Ending the match failed'));
+    } finally {
+      setEndingMatch(false);
+    }
+  };
+
+  const handleVoteRematch = async () => {
+    if (!codeParam || !username || votingRematch || iVotedRematch) return;
+    setVotingRematch(true);
+    try {
+      await voteRematchMutation({
+        code: codeParam.toUpperCase(),
+      });
+      setSelectedIndices(new Set());
+    } catch (err) {
+      setPlayError(getFriendlyGameError(err, 'Rematch vote failed'));
+    } finally {
+      setVotingRematch(false);
+    }
+  };
+
   const handleSubmitExchange = async () => {
-    if (!myExchangePair || !codeParam || !usernameParam || submittingExchange) return;
+    if (!myExchangePair || !codeParam || !username || submittingExchange) return;
     const cardIds = [...selectedIndices].map((i) => myHandSorted[i]);
     if (cardIds.length !== myExchangePair.count) return;
     setPlayError(null);
@@ -361,7 +747,6 @@ export default function GamePage() {
     try {
       await submitExchangeSelectionMutation({
         code: codeParam.toUpperCase(),
-        username: usernameParam,
         cardIds,
       });
       setSelectedIndices(new Set());
@@ -382,7 +767,52 @@ export default function GamePage() {
       {roundEnded && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/70">
           <div className="bg-gray-800 border border-gray-600 rounded-xl shadow-xl max-w-md w-full p-6 space-y-4">
-            <h2 className="text-xl font-bold text-center">Game finished</h2>
+            <h2 className="text-xl font-bold text-center">{matchFinished ? 'Match over' : 'Game finished'}</h2>
+            {matchFinished ? (
+              matchWinner && (
+                <p className="text-gray-300 text-md text-center">
+                  <strong>{matchWinner.username}</strong> wins the match!
+                </p>
+              )
+            ) : isTrick ? (
+              <div className="text-center">
+                {moonShooter && (
+                  <p className="text-gray-300 text-md pb-2">
+                    <strong>{moonShooter.username}</strong> shot the moon! Everyone else takes {MOON_POINTS} points.
+                  </p>
+                )}
+                <p className="text-gray-400 text-sm">
+                  This round:{' '}
+                  {players
+                    .map((p) => `${p.username} ${trickRoundPoints?.get(p.userId) ?? 0}`)
+                    .join(' · ')}
+                </p>
+              </div>
+            ) : isClassic || isSpeed || isBigTwo ? (
+              <div className="text-center">
+                {firstFinisherPlayer && (
+                  <p className="text-gray-300 text-md pb-2">
+                    <strong>{firstFinisherPlayer.username}</strong> {isSpeed ? 'ran out of cards first' : 'went out first'} and wins the round.
+                  </p>
+                )}
+                {roundLoserPlayer && (
+                  <p className="text-gray-400 text-sm">
+                    <strong>{roundLoserPlayer.username}</strong> was left holding the most cards.
+                  </p>
+                )}
+              </div>
+            ) : roundTeams ? (
+              <div className="text-center">
+                <p className="text-gray-300 text-md pb-2">
+                  <strong className={TEAM_COLORS[roundTeams[0].team]}>Team {TEAM_NAMES[roundTeams[0].team]}</strong> wins the round.
+                </p>
+                <p className="text-gray-400 text-sm">
+                  {roundTeams
+                    .map((t) => `${TEAM_NAMES[t.team]}: ${t.userIds.map((id) => placementLabel(finishedOrder.indexOf(id) + 1)).join(' + ')}`)
+                    .join(' · ')}
+                </p>
+              </div>
+            ) : (
             <p className="text-gray-300 text-center">
             {firstFinisherPlayer && (
               <p className="text-gray-300 text-md pb-2 text-center">
@@ -395,7 +825,51 @@ export default function GamePage() {
               </p>
               )}
             </p>
-            {isHost ? (
+            )}
+            <div className="rounded-lg bg-gray-900/60 border border-gray-700 p-3">
+              <Scoreboard players={players} game={game} roundNumber={roundNumber} />
+            </div>
+            {matchFinished && tournamentCode ? (
+              <div className="space-y-2">
+                <p className="text-center text-sm text-gray-500">
+                  Final standings are saved. The next stage is seated once every table has finished.
+                </p>
+                <Link
+                  href={`/tournament?code=${encodeURIComponent(tournamentCode)}`}
+                  className="block w-full py-3 px-4 bg-green-600 hover:bg-green-500 rounded-lg font-semibold text-sm text-center transition"
+                >
+                  Back to tournament
+                </Link>
+              </div>
+            ) : matchFinished ? (
+              <div className="space-y-2">
+                <p className="text-center text-sm text-gray-500">Final standings are saved.</p>
+                <button
+                  type="button"
+                  onClick={handleVoteRematch}
+                  disabled={votingRematch || iVotedRematch}
+                  className="w-full py-3 px-4 bg-green-600 hover:bg-green-500 disabled:opacity-50 rounded-lg font-semibold text-sm transition"
+                >
+                  {iVotedRematch ? 'Voted for a rematch' : votingRematch ? 'Voting…' : 'Rematch'}
+                  <span className="ml-2 font-normal tabular-nums">({rematchVoteCount}/{players.length})</span>
+                </button>
+                {isHost ? (
+                  <button
+                    type="button"
+                    onClick={handleEndMatch}
+                    disabled={endingMatch}
+                    className="w-full py-3 px-4 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded-lg font-semibold text-sm transition"
+                  >
+                    {endingMatch ? 'Returning…' : 'Back to lobby'}
+                  </button>
+                ) : (
+                  <p className="text-center text-xs text-gray-500">
+                    A rematch starts once a majority votes, or the host can return everyone to the lobby.
+                  </p>
+                )}
+                {playError && <p className="text-center text-sm text-red-400">{playError}</p>}
+              </div>
+            ) : isHost ? (
               <button
                 type="button"
                 onClick={handleRestartRound}
@@ -405,7 +879,9 @@ export default function GamePage() {
                 {restarting ? 'Restarting…' : 'Restart game'}
               </button>
             ) : (
-              <p className="text-center text-sm text-gray-500">Waiting for the host to restart the game.</p>
+              <p className="text-center text-sm text-gray-500">
+                {tournamentCode ? 'The next round is dealt in a few seconds.' : 'Waiting for the host to restart the game.'}
+              </p>
             )}
           </div>
         </div>
@@ -419,6 +895,16 @@ export default function GamePage() {
             <span className="text-sm text-gray-400">
               {deckCount} deck{deckCount !== 1 ? 's' : ''} · {totalCards} cards
             </span>
+            {isHost && !matchFinished && !tournamentCode && (
+              <button
+                type="button"
+                onClick={handleEndMatch}
+                disabled={endingMatch}
+                className="px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 disabled:opacity-50 text-sm font-medium"
+              >
+                {endingMatch ? '…' : 'End match'}
+              </button>
+            )}
             <button
               type="button"
               onClick={handleLeaveRoom}
@@ -442,8 +928,22 @@ export default function GamePage() {
                 const placement = placeIndex >= 0 ? placementLabel(placeIndex + 1) : null;
                 return (
                   <div key={p.id} className="flex flex-col gap-1">
-                    <p className="text-sm font-medium text-gray-300 truncate" title={p.username}>
+                    <p className={`text-sm font-medium truncate ${teamColor(p) || 'text-gray-300'}`} title={p.username}>
+                      {!p.isBot && (
+                        <span
+                          className={`mr-1.5 inline-block h-2 w-2 rounded-full align-middle ${isOnline(p.lastSeenAt, now) ? 'bg-green-400' : 'bg-gray-500'}`}
+                          title={isOnline(p.lastSeenAt, now) ? 'Online' : 'Away'}
+                        />
+                      )}
                       {p.username}
+                      {p.leftAt ? (
+                        <span className="ml-1 text-gray-400 font-normal">(left)</span>
+                      ) : p.standIn && (
+                        <span className="ml-1 text-gray-400 font-normal">(bot playing)</span>
+                      )}
+                      {myPartner?.userId === p.userId && (
+                        <span className="ml-1 text-gray-400 font-normal">(partner)</span>
+                      )}
                       {isOut && placement && (
                         <span className="ml-1 text-gray-400 font-normal">({placement})</span>
                       )}
@@ -451,7 +951,9 @@ export default function GamePage() {
                         <span className="ml-1 text-amber-400 font-normal">(passed)</span>
                       )}
                     </p>
-                    <p className="text-sm text-gray-400">{p.handCount} cards</p>
+                    <p className="text-sm text-gray-400">
+                      {p.handCount} cards{p.drawPileCount !== undefined ? ` · ${p.drawPileCount} in pile` : ''}
+                    </p>
                     <div className="flex items-end">
                       {Array.from({ length: showCards }, (_, i) => (
                         <div
@@ -473,6 +975,11 @@ export default function GamePage() {
           )}
 
           <div className="flex-1 max-w-4xl space-y-8 min-w-0">
+            {/* Running match scores */}
+            <section className="rounded-xl bg-gray-800/80 border border-gray-700 p-4 max-w-xs">
+              <Scoreboard players={players} game={game} roundNumber={roundNumber} />
+            </section>
+
             {/* Exchange phase: select cards to give */}
             {exchangePhase && (
               <section className="rounded-xl bg-amber-900/30 border border-amber-700 p-4">
@@ -483,7 +990,13 @@ export default function GamePage() {
                   ) : (
                     <>
                       <p className="text-sm text-gray-300 mb-2">
-                        Select <strong>{myExchangePair.count}</strong> card{myExchangePair.count !== 1 ? 's' : ''} to give to <strong>{myExchangeRecipient?.username ?? '?'}</strong>.
+                        Select <strong>{myExchangePair.count}</strong> card{myExchangePair.count !== 1 ? 's' : ''} to give to <strong>{myExchangeRecipient?.username ?? '?'}</strong>
+                        {isTrick && ` (passing ${passDirection(roundNumber)})`}.
+                        {turnSecondsLeft !== null && (
+                          <span className={`ml-2 tabular-nums ${turnSecondsLeft <= 5 ? 'text-red-400' : 'text-gray-400'}`}>
+                            {turnSecondsLeft}s
+                          </span>
+                        )}
                       </p>
                       <button
                         type="button"
@@ -502,30 +1015,228 @@ export default function GamePage() {
               </section>
             )}
 
+            {/* Team Presidents: whose side you're on */}
+            {isTeams && me && (
+              <section className="rounded-xl bg-gray-800/80 border border-gray-700 p-4">
+                <p className="text-sm text-gray-300">
+                  You&apos;re on <strong className={teamColor(me)}>Team {TEAM_NAMES[teamOf(me.seatIndex, players.length)]}</strong>
+                  {myPartner && <> with <strong className={teamColor(me)}>{myPartner.username}</strong>, sitting opposite</>}.
+                  {' '}Your combined places decide the round.
+                </p>
+              </section>
+            )}
+
+            {/* Chaos: this round's modifiers */}
+            {activeModifiers.length > 0 && (
+              <section className="rounded-xl bg-purple-900/40 border border-purple-500 p-4">
+                <p className="text-sm font-semibold uppercase tracking-wide text-purple-200 mb-2">
+                  Chaos this round
+                </p>
+                <ul className="space-y-1">
+                  {activeModifiers.map((m) => (
+                    <li key={m.id} className="text-sm text-purple-100/90">
+                      <strong className="text-purple-100">{m.name}:</strong> {m.description}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {/* Custom: the host's rank order and wild cards */}
+            {ruleset && (
+              <section className="rounded-xl bg-gray-800/80 border border-gray-700 p-4 space-y-1">
+                <p className="text-sm font-semibold uppercase tracking-wide text-gray-400">Custom rules</p>
+                <p className="text-sm text-gray-200">
+                  Ranks, highest first: {ruleset.rankOrder.map((r) => (r === 'T' ? '10' : r)).join(' ')}
+                </p>
+                <p className="text-sm text-gray-400">
+                  {ruleset.wildRanks.length > 0
+                    ? `Wild: ${ruleset.wildRanks.map((r) => (r === 'T' ? '10' : r)).join(', ')}`
+                    : 'No wild cards'}
+                  {ruleset.matchLedCount && ' · plays must match the led count'}
+                  {ruleset.noFinishOnWild && ' · no going out on a wild'}
+                  {ruleset.roundEnds === 'first_out' && ' · round ends when someone goes out'}
+                </p>
+              </section>
+            )}
+
+            {/* Revolution banner: rank order is flipped until the round ends */}
+            {gameState?.revolution && !roundEnded && (
+              <section className="rounded-xl bg-red-900/40 border border-red-600 p-4 text-center">
+                <p className="text-lg font-bold tracking-wide text-red-200">Revolution!</p>
+                <p className="text-sm text-red-100/80">
+                  Rank order is reversed for the rest of the round: 3 is highest, A is lowest. 2s are still jokers.
+                </p>
+              </section>
+            )}
+
+            {/* Classic: turn, suit to follow, play / draw / pass */}
+            {isClassic && (
+            <section className="rounded-xl bg-gray-800/80 border border-gray-700 p-4">
+              <p className="text-sm text-gray-400 mb-2">
+                Match the top card by suit or rank, or play an 8 and name the next suit.
+                {classicSuit && (
+                  <span className="ml-1">
+                    Follow <span className={SUIT_COLORS[classicSuit]}>{SUIT_SYMBOLS[classicSuit]} {SUIT_NAMES[classicSuit]}</span>
+                    {gameState?.activeSuit ? ' (named by an 8)' : ''}.
+                  </span>
+                )}
+              </p>
+              <p className={`font-medium ${isMyTurn ? 'text-green-400' : 'text-gray-300'}`}>
+                {isMyTurn ? "Your turn" : currentTurnPlayer ? `${currentTurnPlayer.username}'s turn` : '—'}
+                {turnSecondsLeft !== null && (
+                  <span className={`ml-2 tabular-nums ${turnSecondsLeft <= 5 ? 'text-red-400' : 'text-gray-400'}`}>
+                    {turnSecondsLeft}s
+                  </span>
+                )}
+              </p>
+              {isMyTurn && !roundEnded && (
+                <div className="mt-3 flex flex-wrap items-center gap-3">
+                  {selectedWild ? (
+                    ['S', 'H', 'D', 'C'].map((suit) => (
+                      <button
+                        key={suit}
+                        type="button"
+                        onClick={() => handlePlay(suit)}
+                        disabled={!canPlaySelection || playing}
+                        className="px-3 py-2 rounded-lg bg-gray-900 border border-gray-600 hover:border-gray-400 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-sm transition"
+                        title={`Play the 8 and name ${SUIT_NAMES[suit]}`}
+                      >
+                        <span className={SUIT_COLORS[suit]}>{SUIT_SYMBOLS[suit]}</span>
+                      </button>
+                    ))
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => handlePlay()}
+                      disabled={!canPlaySelection || playing}
+                      className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-500 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-sm transition"
+                    >
+                      {playing ? '…' : 'Play'}
+                    </button>
+                  )}
+                  {!gameState?.hasDrawn && canDraw ? (
+                    <button
+                      type="button"
+                      onClick={handleDraw}
+                      disabled={playing}
+                      className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-sm transition"
+                    >
+                      {playing ? '…' : 'Draw'}
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={handlePass}
+                      disabled={playing}
+                      className="px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-500 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-sm transition"
+                    >
+                      {playing ? '…' : 'Pass'}
+                    </button>
+                  )}
+                  {selectedWild && <span className="text-sm text-gray-400">Name a suit to play your 8.</span>}
+                  {selectionHint && <span className="text-sm text-amber-400">{selectionHint}</span>}
+                </div>
+              )}
+              {playError && <p className="mt-2 text-sm text-red-400">{playError}</p>}
+            </section>
+            )}
+
+            {/* Speed: no turns, just the rules and your draw pile */}
+            {isSpeed && (
+            <section className="rounded-xl bg-gray-800/80 border border-gray-700 p-4">
+              <p className="text-sm text-gray-400 mb-2">
+                No turns: play any card one rank above or below either center pile (A and K connect).
+                Your hand refills from your pile. First to run out of cards wins.
+              </p>
+              <p className="font-medium text-green-400">
+                Go! <span className="ml-2 text-sm font-normal text-gray-400 tabular-nums">{me?.drawPileCount ?? 0} cards left in your pile</span>
+              </p>
+              {selectedSet.size > 0 && <p className="mt-2 text-sm text-gray-400">Fits both piles: click the pile to play it on.</p>}
+              {playError && <p className="mt-2 text-sm text-red-400">{playError}</p>}
+            </section>
+            )}
+
+            {/* Hearts: turn, suit to follow, play */}
+            {isTrick && !exchangePhase && (
+            <section className="rounded-xl bg-gray-800/80 border border-gray-700 p-4">
+              <p className="text-sm text-gray-400 mb-2">
+                {gameState?.openingCard
+                  ? 'The 2♣ leads the first trick. No hearts or Q♠ on it.'
+                  : ledSuit
+                  ? (
+                    <>
+                      Follow <span className={SUIT_COLORS[ledSuit]}>{SUIT_SYMBOLS[ledSuit]} {SUIT_NAMES[ledSuit]}</span> if you can; the highest {SUIT_NAMES[ledSuit]} card takes the trick.
+                    </>
+                  )
+                  : `Lead any card${gameState?.heartsBroken ? '' : ' except a heart — hearts are not broken yet'}.`}
+              </p>
+              <p className={`font-medium ${isMyTurn ? 'text-green-400' : 'text-gray-300'}`}>
+                {isMyTurn ? "Your turn" : currentTurnPlayer ? `${currentTurnPlayer.username}'s turn` : '—'}
+                {turnSecondsLeft !== null && (
+                  <span className={`ml-2 tabular-nums ${turnSecondsLeft <= 5 ? 'text-red-400' : 'text-gray-400'}`}>
+                    {turnSecondsLeft}s
+                  </span>
+                )}
+              </p>
+              {isMyTurn && !roundEnded && (
+                <div className="mt-3 flex flex-wrap items-center gap-3">
+                  <button
+                    type="button"
+                    onClick={() => handlePlay()}
+                    disabled={!canPlaySelection || playing}
+                    className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-500 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-sm transition"
+                  >
+                    {playing ? '…' : 'Play'}
+                  </button>
+                  {selectionHint && <span className="text-sm text-amber-400">{selectionHint}</span>}
+                </div>
+              )}
+              {playError && <p className="mt-2 text-sm text-red-400">{playError}</p>}
+            </section>
+            )}
+
             {/* Turn and last play (hidden during exchange) */}
-            {!exchangePhase && (
+            {!isClassic && !isSpeed && !isTrick && !exchangePhase && (
             <section className="rounded-xl bg-gray-800/80 border border-gray-700 p-4">
               <p className="text-sm text-gray-400 mb-2">
-                {lastPlayedCount === 0
-                  ? 'Lead — play any card(s) of the same rank (2 = joker, cannot play 2s alone).'
+                {isBigTwo
+                  ? gameState?.openingCard
+                    ? 'Opening lead — the first play must include the 3♦.'
+                    : !lastCombination
+                    ? 'Lead — play a single, a pair, three of a kind or a five-card hand.'
+                    : `Last play: ${lastPlayedPlayer?.username ?? '—'} played a ${COMBINATIONS[lastCombination.type].toLowerCase()}. ${
+                      lastPlayedCount === 5
+                        ? 'Play a stronger five-card hand'
+                        : `Play a higher ${COMBINATIONS[lastCombination.type].toLowerCase()}`
+                    }, or pass.`
+                  : gameState?.openingCard
+                  ? 'Opening lead — the first play must include the 3♣ (2 = joker, cannot play 2s alone).'
+                  : lastPlayedCount === 0
+                  ? 'Lead — play any card(s) of the same rank (2 = joker, played alone only when you hold nothing else).'
                   : lastPlayedPlayer
-                    ? `Last play: ${lastPlayedPlayer.username} played ${lastPlayedCount} card(s) of rank ${lastPlayedRank === 'T' ? '10' : lastPlayedRank}. Play at least ${lastPlayedCount} card(s), same or higher rank.`
-                    : 'Next: play at least same count, same or higher rank, or pass.'}
+                    ? `Last play: ${lastPlayedPlayer.username} played ${lastPlayedCount} card(s) of rank ${lastPlayedRank === 'T' ? '10' : lastPlayedRank}. Play at least ${lastPlayedCount} card(s), ${rankRequirement}.`
+                    : `Next: play at least same count, ${rankRequirement}, or pass.`}
               </p>
               <p className={`font-medium ${isMyTurn ? 'text-green-400' : 'text-gray-300'}`}>
                 {isMyTurn ? "Your turn" : currentTurnPlayer ? `${currentTurnPlayer.username}'s turn` : '—'}
+                {turnSecondsLeft !== null && (
+                  <span className={`ml-2 tabular-nums ${turnSecondsLeft <= 5 ? 'text-red-400' : 'text-gray-400'}`}>
+                    {turnSecondsLeft}s
+                  </span>
+                )}
               </p>
               {isMyTurn && (
                 <div className="mt-3 flex flex-wrap items-center gap-3">
                   <button
                     type="button"
-                    onClick={handlePlay}
+                    onClick={() => handlePlay()}
                     disabled={!canPlaySelection || playing}
                     className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-500 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-sm transition"
                   >
                     {playing ? '…' : 'Play'}
                   </button>
-                  {lastPlayedCount > 0 && (
+                  {canPassNow && (
                     <button
                       type="button"
                       onClick={handlePass}
@@ -535,14 +1246,90 @@ export default function GamePage() {
                       {playing ? '…' : 'Pass'}
                     </button>
                   )}
+                  {selectionHint && <span className="text-sm text-amber-400">{selectionHint}</span>}
                 </div>
               )}
+              {isMyTurn && isBigTwo && (
+                <CombinationPicker
+                  userId={me.userId}
+                  gameState={gameState}
+                  hand={myHandSorted}
+                  onPick={(cardIds) => setSelectedIndices(new Set(cardIds.map((cardId) => myHandSorted.indexOf(cardId))))}
+                />
+              )}
               {playError && <p className="mt-2 text-sm text-red-400">{playError}</p>}
             </section>
             )}
 
+            {/* Classic: draw pile and discard pile — fixed in the center of the viewport */}
+            {isClassic && (
+            <section
+              className="fixed inset-0 flex items-center justify-center pointer-events-none z-20"
+              aria-hidden="true"
+            >
+              <div className="flex items-end gap-8">
+                <div className="flex flex-col items-center">
+                  <p className="text-sm text-gray-500 mb-3">Deck</p>
+                  {deckSize > 0 ? (
+                    <CardBack />
+                  ) : (
+                    <div className="w-12 h-16 rounded-lg border-2 border-dashed border-gray-600 bg-gray-800/50" />
+                  )}
+                  <p className="mt-2 text-xs text-gray-500 tabular-nums">{deckSize} left</p>
+                </div>
+                <div className="flex flex-col items-center">
+                  <p className="text-sm text-gray-500 mb-3">Discard</p>
+                  {topCard ? (
+                    <div className="pointer-events-none">
+                      <Card cardId={topCard} selected={false} onClick={() => {}} />
+                    </div>
+                  ) : (
+                    <div className="w-12 h-16 rounded-lg border-2 border-dashed border-gray-600 bg-gray-800/50" />
+                  )}
+                  <p className="mt-2 text-xs text-gray-500">
+                    {classicSuit ? `${SUIT_SYMBOLS[classicSuit]} to follow` : '—'}
+                  </p>
+                </div>
+              </div>
+            </section>
+            )}
+
+            {/* Speed: the two center piles — click one to play the selected card on it */}
+            {isSpeed && (
+            <section className="fixed inset-0 flex items-center justify-center pointer-events-none z-20">
+              <div className="flex items-end gap-8">
+                {centerTops.map((top, pileIndex) => {
+                  const selectedCard = selectedCardIds[0];
+                  const canTake = !!selectedCard && isAdjacent(selectedCard, top);
+                  return (
+                    <div key={pileIndex} className="flex flex-col items-center">
+                      <p className="text-sm text-gray-500 mb-3">Pile {pileIndex + 1}</p>
+                      <div className={`pointer-events-auto rounded-lg ${canTake ? 'ring-2 ring-green-400' : ''}`}>
+                        <Card
+                          cardId={top}
+                          selected={false}
+                          onClick={() => canTake && handleSpeedPlay(selectedCard, pileIndex)}
+                        />
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </section>
+            )}
+
+            {/* Hearts: the trick, one seat per player around the center of the viewport */}
+            {isTrick && !exchangePhase && (
+            <section
+              className="fixed inset-0 flex items-center justify-center pointer-events-none z-20"
+              aria-hidden="true"
+            >
+              <TrickArea players={players} gameState={gameState} />
+            </section>
+            )}
+
             {/* Last played pile — fixed in exact center of viewport (hidden during exchange) */}
-            {!exchangePhase && (
+            {!isClassic && !isSpeed && !isTrick && !exchangePhase && (
             <section
               className="fixed inset-0 flex items-center justify-center pointer-events-none z-20"
               aria-hidden="true"
@@ -600,7 +1387,7 @@ export default function GamePage() {
               >
                 {handGroups.map((group) => (
                   <div
-                    key={group.rank}
+                    key={group.key}
                     className="flex items-end shrink-0"
                   >
                     {group.cards.map(({ cardId, index }, i) => (
@@ -616,11 +1403,34 @@ export default function GamePage() {
                           cardId={cardId}
                           selected={selectedSet.has(index)}
                           onClick={() => {
+                            if (isSpeed) {
+                              handleSpeedCardClick(cardId, index);
+                              return;
+                            }
+                            // Classic and Hearts play one card at a time: clicking selects just that card
+                            if (isClassic || (isTrick && !exchangePhase)) {
+                              setSelectedIndices((prev) => (prev.has(index) ? new Set() : new Set([index])));
+                              return;
+                            }
+                            // Big Two combinations mix ranks, and Hearts passes any three cards: clicking toggles just that card
+                            if (isBigTwo || isTrick) {
+                              setSelectedIndices((prev) => {
+                                const next = new Set(prev);
+                                if (next.has(index)) next.delete(index);
+                                else if (!exchangePhase || !myExchangePair || next.size < myExchangePair.count) next.add(index);
+                                return next;
+                              });
+                              return;
+                            }
                             if (exchangePhase && myExchangePair && selectedSet.size >= myExchangePair.count) return;
-                            handleGroupAddOne(group, myHandSorted);
+                            handleGroupAddOne(group, myHandSorted, jokerRanks({ ...gameState, ruleset }));
                           }}
                           onContextMenu={(e) => {
                             e.preventDefault();
+                            if (isClassic || isSpeed || isBigTwo || isTrick) {
+                              setSelectedIndices(new Set());
+                              return;
+                            }
                             handleGroupRemoveOne(group);
                           }}
                         />
@@ -633,6 +1443,7 @@ export default function GamePage() {
             {selectedSet.size > 0 && (
               <p className="mt-2 text-sm text-gray-400">
                 {selectedSet.size} card{selectedSet.size !== 1 ? 's' : ''} selected {exchangePhase ? 'to give' : 'to play'}
+                {selectedCombination && ` — ${COMBINATIONS[selectedCombination.type].toLowerCase()}`}
               </p>
             )}
           </div>
@@ -0,0 +1,150 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useQuery } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+
+const MODE_OPTIONS = [
+  { value: 'presidents', label: 'Presidents' },
+  { value: 'classic', label: 'Classic' },
+  { value: 'speed', label: 'Speed' },
+  { value: 'chaos', label: 'Chaos' },
+  { value: 'custom', label: 'Custom' },
+  { value: 'bigtwo', label: 'Big Two' },
+  { value: 'hearts', label: 'Hearts' },
+  { value: 'teams', label: 'Team Presidents' },
+];
+
+const RANGE_OPTIONS = [
+  { value: 'all', label: 'All time' },
+  { value: 'month', label: 'Last 30 days' },
+  { value: 'week', label: 'Last 7 days' },
+];
+
+function formatChange(change) {
+  if (change === undefined) return null;
+  if (change === 0) return '±0';
+  return change > 0 ? `+${change}` : `${change}`;
+}
+
+export default function LeaderboardPage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const gameMode = searchParams.get('mode') ?? 'presidents';
+  const range = searchParams.get('range') ?? 'all';
+
+  const rows = useQuery(api.leaderboard.getLeaderboard, { gameMode, range });
+
+  const setFilter = (key, value) => {
+    const params = new URLSearchParams(searchParams.toString());
+    params.set(key, value);
+    router.replace(`/leaderboard?${params.toString()}`);
+  };
+
+  return (
+    <div
+      className="relative min-h-screen text-white bg-cover bg-center bg-no-repeat"
+      style={{ backgroundImage: "url('/bg/bg-menu-big.png')" }}
+    >
+      <div className="absolute inset-0 bg-black/40" aria-hidden="true" />
+
+      <div className="relative z-10 flex flex-col min-h-screen">
+        <header className="px-6 pt-10 pb-6 md:px-10 flex flex-wrap items-center justify-between gap-4">
+          <h1 className="text-4xl md:text-5xl font-bold pl-6">
+            <span className="text-blue-500">Leader</span>board
+          </h1>
+          <button
+            type="button"
+            onClick={() => router.push('/')}
+            className="px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 text-sm font-medium"
+          >
+            Home
+          </button>
+        </header>
+
+        <main className="flex-1 px-6 pb-24 md:px-10">
+          <div className="mx-auto max-w-4xl space-y-6">
+            {/* Filters */}
+            <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-4 flex flex-wrap items-center gap-4">
+              <select
+                value={gameMode}
+                onChange={(e) => setFilter('mode', e.target.value)}
+                className="px-4 py-2 bg-gray-900/70 rounded-lg text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900"
+              >
+                {MODE_OPTIONS.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+              </select>
+              <div className="flex gap-2">
+                {RANGE_OPTIONS.map((opt) => (
+                  <button
+                    key={opt.value}
+                    type="button"
+                    onClick={() => setFilter('range', opt.value)}
+                    className={`px-3 py-2 rounded-lg text-sm font-medium transition ${
+                      range === opt.value ? 'bg-blue-500 text-white' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'
+                    }`}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+            </section>
+
+            {/* Rankings */}
+            <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6">
+              {rows === undefined ? (
+                <p className="text-gray-400">Loading leaderboard…</p>
+              ) : rows.length === 0 ? (
+                <p className="text-sm text-gray-400">No rated rounds in this period yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="text-left text-xs uppercase tracking-wide text-gray-400">
+                      <tr>
+                        <th className="py-2 pr-4">#</th>
+                        <th className="py-2 pr-4">Player</th>
+                        <th className="py-2 pr-4">Rating</th>
+                        {range !== 'all' && <th className="py-2 pr-4">Change</th>}
+                        <th className="py-2">Rounds</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700/60">
+                      {rows.map((row) => (
+                        <tr key={row.username}>
+                          <td className="py-2 pr-4 tabular-nums text-gray-400">{row.rank}</td>
+                          <td className="py-2 pr-4 font-medium">
+                            <Link
+                              href={`/profile?name=${encodeURIComponent(row.username)}`}
+                              className="hover:underline underline-offset-4"
+                            >
+                              {row.username}
+                            </Link>
+                          </td>
+                          <td className="py-2 pr-4 tabular-nums font-semibold">{row.rating}</td>
+                          {range !== 'all' && (
+                            <td
+                              className={`py-2 pr-4 tabular-nums ${
+                                row.change > 0 ? 'text-green-400' : row.change < 0 ? 'text-red-400' : 'text-gray-400'
+                              }`}
+                            >
+                              {formatChange(row.change)}
+                            </td>
+                          )}
+                          <td className="py-2 tabular-nums">{row.rounds}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </section>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,22 @@
 'use client';
 
+import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { useState } from 'react';
 import { useMutation } from 'convex/react';
 import { api } from '../convex/_generated/api';
+import { useNameField } from './NamePrompt';
 
 export default function Home() {
   const router = useRouter();
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [quickPrivate, setQuickPrivate] = useState(false);
   const [joinCode, setJoinCode] = useState('');
-  const [joinName, setJoinName] = useState('');
   const [creatingRoom, setCreatingRoom] = useState(false);
   const createRoom = useMutation(api.rooms.createRoom);
+  // Rooms know players by who they're signed in as; the name is only what others see
+  const { name: playerName, setName: setPlayerName, error: nameError, setError: setNameError, save: saveName } =
+    useNameField();
 
   const handleCreateClick = () => {
     setShowCreateModal(true);
@@ -22,6 +26,7 @@ export default function Home() {
     if (creatingRoom) return;
     setCreatingRoom(true);
     try {
+      if (!(await saveName())) return;
       const result = await createRoom({
         isPrivate: quickPrivate,
         gameMode: 'none',
@@ -29,19 +34,18 @@ export default function Home() {
       });
       setShowCreateModal(false);
       setQuickPrivate(false);
-      router.push(`/room?code=${result.code}&name=Host`);
+      router.push(`/room?code=${result.code}`);
     } finally {
       setCreatingRoom(false);
     }
   };
 
-  const handleJoin = () => {
+  const handleJoin = async () => {
     const code = joinCode.trim().toUpperCase();
-    const name = joinName.trim();
-    if (!code || !name) {
+    if (!code || !(await saveName())) {
       return;
     }
-    router.push(`/room?code=${encodeURIComponent(code)}&name=${encodeURIComponent(name)}`);
+    router.push(`/room?code=${encodeURIComponent(code)}`);
   };
 
   return (
@@ -93,22 +97,33 @@ export default function Home() {
                 <label className="block text-sm text-gray-300">Your username</label>
                 <input
                   type="text"
-                  value={joinName}
-                  onChange={(e) => setJoinName(e.target.value)}
+                  value={playerName}
+                  onChange={(e) => setPlayerName(e.target.value)}
                   placeholder="Choose a name"
+                  maxLength={20}
                   className="w-full px-4 py-2.5 rounded-lg bg-gray-900/70 text-gray-100 placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 focus:ring-offset-gray-900"
                 />
               </div>
+              {nameError && !showCreateModal && <p className="text-sm text-red-400">{nameError}</p>}
             </div>
             <button
               type="button"
               onClick={handleJoin}
               className="w-full px-4 py-2.5 text-sm font-medium bg-purple-500 rounded-lg shadow-lg hover:bg-purple-600 transition disabled:opacity-60 disabled:cursor-not-allowed"
-              disabled={!joinCode.trim() || !joinName.trim()}
+              disabled={!joinCode.trim() || !playerName.trim()}
             >
               Join Game
             </button>
           </div>
+
+          <div className="flex gap-6">
+            <Link href="/leaderboard" className="text-sm font-medium text-gray-300 hover:text-white underline-offset-4 hover:underline">
+              View leaderboard
+            </Link>
+            <Link href="/tournament" className="text-sm font-medium text-gray-300 hover:text-white underline-offset-4 hover:underline">
+              Tournaments
+            </Link>
+          </div>
         </div>
       </div>
 
@@ -120,6 +135,18 @@ export default function Home() {
             <p className="text-xs text-gray-400 pb-4">
               Choose if you want your room code to be hiden.
             </p>
+            <div className="space-y-1 pb-2">
+              <label className="block text-sm text-gray-300">Your username</label>
+              <input
+                type="text"
+                value={playerName}
+                onChange={(e) => setPlayerName(e.target.value)}
+                placeholder="Choose a name"
+                maxLength={20}
+                className="w-full px-3 py-2 rounded-lg bg-gray-800 text-gray-100 placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {nameError && <p className="text-xs text-red-400">{nameError}</p>}
+            </div>
             <div className="flex items-center justify-between gap-4">
               <div>
                 <p className="text-sm font-medium text-gray-200">Private room</p>
@@ -148,6 +175,7 @@ export default function Home() {
                 onClick={() => {
                   setShowCreateModal(false);
                   setQuickPrivate(false);
+                  setNameError(null);
                 }}
                 className="px-4 py-2 text-sm font-medium text-gray-300 hover:text-white"
               >
@@ -156,7 +184,7 @@ export default function Home() {
               <button
                 type="button"
                 onClick={handleStartCreate}
-                disabled={creatingRoom}
+                disabled={creatingRoom || !playerName.trim()}
                 className="px-5 py-2 text-sm font-medium bg-blue-500 rounded-lg text-white hover:bg-blue-600 disabled:opacity-60 disabled:cursor-not-allowed transition"
               >
                 {creatingRoom ? 'Creating...' : 'Create'}
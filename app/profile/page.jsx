@@ -0,0 +1,183 @@
+'use client';
+
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useQuery } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+
+const MODE_LABELS = {
+  presidents: 'Presidents',
+  classic: 'Classic',
+  speed: 'Speed',
+  chaos: 'Chaos',
+  custom: 'Custom',
+  tournament: 'Tournament',
+};
+
+function formatDate(timestamp) {
+  if (!timestamp) return '—';
+  return new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function formatAverage(value) {
+  return value === null || value === undefined ? '—' : value.toFixed(2);
+}
+
+function placementLabel(n) {
+  if (n < 1) return '';
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+function StatTile({ label, value }) {
+  return (
+    <div className="rounded-lg bg-gray-900/70 border border-gray-700/60 px-4 py-3">
+      <p className="text-xs font-semibold uppercase tracking-wide text-gray-400">{label}</p>
+      <p className="text-2xl font-semibold tabular-nums">{value}</p>
+    </div>
+  );
+}
+
+export default function ProfilePage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const nameParam = searchParams.get('name');
+
+  const profile = useQuery(
+    api.profiles.getProfile,
+    nameParam ? { username: nameParam } : 'skip',
+  );
+
+  return (
+    <div
+      className="relative min-h-screen text-white bg-cover bg-center bg-no-repeat"
+      style={{ backgroundImage: "url('/bg/bg-menu-big.png')" }}
+    >
+      <div className="absolute inset-0 bg-black/40" aria-hidden="true" />
+
+      <div className="relative z-10 flex flex-col min-h-screen">
+        <header className="px-6 pt-10 pb-6 md:px-10 flex flex-wrap items-center justify-between gap-4">
+          <h1 className="text-4xl md:text-5xl font-bold pl-6">
+            <span className="text-blue-500">Player</span> Profile
+          </h1>
+          <button
+            type="button"
+            onClick={() => router.back()}
+            className="px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 text-sm font-medium"
+          >
+            Back
+          </button>
+        </header>
+
+        <main className="flex-1 px-6 pb-24 md:px-10">
+          <div className="mx-auto max-w-4xl space-y-6">
+            {!nameParam ? (
+              <p className="text-gray-400">No player name provided.</p>
+            ) : profile === undefined ? (
+              <p className="text-gray-400">Loading profile…</p>
+            ) : !profile ? (
+              <p className="text-gray-400">No player called “{nameParam}”.</p>
+            ) : (
+              <>
+                {/* Identity */}
+                <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6 flex items-center gap-5">
+                  {profile.avatarUrl ? (
+                    <img
+                      src={profile.avatarUrl}
+                      alt={profile.username}
+                      className="h-16 w-16 rounded-full object-cover"
+                    />
+                  ) : (
+                    <div className="h-16 w-16 rounded-full bg-gradient-to-br from-blue-500 to-purple-500 flex items-center justify-center text-xl font-semibold">
+                      {profile.username.slice(0, 2).toUpperCase()}
+                    </div>
+                  )}
+                  <div>
+                    <p className="text-2xl font-semibold">{profile.username}</p>
+                    <p className="text-sm text-gray-400">Joined {formatDate(profile.joinedAt)}</p>
+                  </div>
+                </section>
+
+                {/* Overall record */}
+                <section className="grid gap-3 grid-cols-2 md:grid-cols-4">
+                  <StatTile label="Match record (W–L)" value={`${profile.record.won}–${profile.record.lost}`} />
+                  <StatTile label="Matches played" value={profile.record.played} />
+                  <StatTile label="Rounds played" value={profile.roundsPlayed} />
+                  <StatTile label="Avg. finish" value={formatAverage(profile.averageFinish)} />
+                  <StatTile label="Times President" value={profile.timesPresident} />
+                  <StatTile label="Times Scum" value={profile.timesScum} />
+                </section>
+
+                {/* Per mode */}
+                {profile.byMode.length > 0 && (
+                  <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6">
+                    <h2 className="text-xl font-semibold mb-4">By game mode</h2>
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead className="text-left text-xs uppercase tracking-wide text-gray-400">
+                          <tr>
+                            <th className="py-2 pr-4">Mode</th>
+                            <th className="py-2 pr-4">Rounds</th>
+                            <th className="py-2 pr-4">President</th>
+                            <th className="py-2 pr-4">Scum</th>
+                            <th className="py-2 pr-4">Avg. finish</th>
+                            <th className="py-2">Matches won</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-700/60">
+                          {profile.byMode.map((m) => (
+                            <tr key={m.gameMode}>
+                              <td className="py-2 pr-4 font-medium">{MODE_LABELS[m.gameMode] ?? m.gameMode}</td>
+                              <td className="py-2 pr-4 tabular-nums">{m.roundsPlayed}</td>
+                              <td className="py-2 pr-4 tabular-nums">{m.timesPresident}</td>
+                              <td className="py-2 pr-4 tabular-nums">{m.timesScum}</td>
+                              <td className="py-2 pr-4 tabular-nums">{formatAverage(m.averageFinish)}</td>
+                              <td className="py-2 tabular-nums">{m.matchesWon} / {m.matchesPlayed}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </section>
+                )}
+
+                {/* Recent games */}
+                <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6">
+                  <h2 className="text-xl font-semibold mb-4">Recent games</h2>
+                  {profile.recentGames.length === 0 ? (
+                    <p className="text-sm text-gray-400">No games played yet.</p>
+                  ) : (
+                    <ul className="space-y-2">
+                      {profile.recentGames.map((g) => (
+                        <li
+                          key={g.gameId}
+                          className="flex items-center justify-between rounded-lg bg-gray-900/70 px-4 py-3 border border-gray-700/60"
+                        >
+                          <div>
+                            <p className="text-sm font-medium">
+                              {MODE_LABELS[g.gameMode] ?? g.gameMode} · {g.playerCount} players
+                            </p>
+                            <p className="text-xs text-gray-400">
+                              {formatDate(g.startedAt)}
+                              {g.status === 'finished' && g.winnerUsername ? ` · won by ${g.winnerUsername}` : ''}
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <p className="text-sm font-semibold">
+                              {g.status === 'active' ? 'In progress' : g.placement ? placementLabel(g.placement) : '—'}
+                            </p>
+                            <p className="text-xs text-gray-400 tabular-nums">{g.score} pts</p>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </section>
+              </>
+            )}
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
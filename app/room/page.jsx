@@ -1,22 +1,233 @@
 'use client';
 
 import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
 import { useRouter, useSearchParams } from 'next/navigation';
 import { useMutation, useQuery } from 'convex/react';
 import { api } from '../../convex/_generated/api';
+import NamePrompt from '../NamePrompt';
+import { BOT_LEVELS, DEFAULT_BOT_LEVEL } from '../../convex/rules/bots';
+import { DEFAULT_RULESET, MAX_WILD_RANKS } from '../../convex/rules/custom';
+import { getMode, modesInFamily, PLAYABLE_MODES } from '../../convex/rules/modes';
+import { HEARTBEAT_MS, isOnline } from '../../convex/rules/presence';
+import { TEAM_NAMES } from '../../convex/rules/teams';
+
+// Modes played with Presidents' rules, which share its house rules and opening lead
+const PRESIDENTS_MODES = modesInFamily('presidents');
+
+// Team Presidents: one color per entry in TEAM_NAMES
+const TEAM_COLORS = ['bg-red-500', 'bg-blue-500', 'bg-green-500', 'bg-amber-400'];
+
+const BOT_LEVEL_NAMES = { easy: 'Easy', medium: 'Medium', hard: 'Hard' };
+
+const TIME_LIMIT_OPTIONS = [15, 30, 45, 60, 90, 120];
+const TARGET_SCORE_OPTIONS = [10, 20, 30, 50];
+const MAX_ROUNDS_OPTIONS = [3, 5, 7, 10];
+
+// Presidents house rules (enforced in convex/rules/presidents.js)
+const HOUSE_RULE_OPTIONS = [
+  {
+    rule: 'revolution',
+    label: 'Revolution',
+    description: 'Playing four or more of a kind flips the rank order for the rest of the round.',
+  },
+  {
+    rule: 'skipOnEqualRank',
+    label: 'Equal rank skips',
+    description: 'Matching the rank on the table skips the next player.',
+  },
+  {
+    rule: 'strictlyHigher',
+    label: 'Strictly higher',
+    description: 'A play must beat the rank on the table; equal rank is not allowed.',
+  },
+  {
+    rule: 'noFinishOnTwo',
+    label: 'No going out on a 2',
+    description: 'Your last play cannot contain a 2.',
+  },
+  {
+    rule: 'fourOfAKindBurns',
+    label: 'Four of a kind burns',
+    description: 'Four or more of a kind clears the table and you lead again.',
+  },
+];
+
+// Custom mode exchange schedules: cards swapped 1st↔last, 2nd↔second-last, ...
+const EXCHANGE_OPTIONS = [
+  { value: '', label: 'No exchange' },
+  { value: '1', label: '1 card, first and last' },
+  { value: '2,1', label: '2 cards first and last, 1 card second and second-last' },
+  { value: '3,2,1', label: '3, 2 and 1 cards down the table' },
+];
+
+function rankLabel(rank) {
+  return rank === 'T' ? '10' : rank;
+}
+
+/** Custom mode rules: rank order, wild ranks, count matching, exchange and finishing. */
+function CustomRulesEditor({ ruleset, disabled, onChange }) {
+  const moveRank = (index, step) => {
+    const target = index + step;
+    if (target < 0 || target >= ruleset.rankOrder.length) return;
+    const rankOrder = [...ruleset.rankOrder];
+    [rankOrder[index], rankOrder[target]] = [rankOrder[target], rankOrder[index]];
+    onChange({ rankOrder });
+  };
+
+  const toggleWild = (rank) => {
+    const wildRanks = ruleset.wildRanks.includes(rank)
+      ? ruleset.wildRanks.filter((r) => r !== rank)
+      : [...ruleset.wildRanks, rank];
+    onChange({ wildRanks });
+  };
+
+  return (
+    <div className="space-y-4 pt-1">
+      <p className="text-xs font-semibold uppercase tracking-wide text-gray-400">Custom rules</p>
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-gray-200">Rank order</p>
+        <p className="text-xs text-gray-400">Highest first. Use the arrows to move a rank up or down.</p>
+        <div className="flex flex-wrap gap-2">
+          {ruleset.rankOrder.map((rank, i) => (
+            <div key={rank} className="flex items-center rounded-lg bg-gray-900/70 text-sm">
+              <button
+                type="button"
+                onClick={() => moveRank(i, -1)}
+                disabled={disabled || i === 0}
+                className="px-1.5 py-1 text-gray-400 hover:text-white disabled:opacity-30"
+                aria-label={`Rank ${rankLabel(rank)} higher`}
+              >
+                ‹
+              </button>
+              <span className="w-6 text-center font-semibold">{rankLabel(rank)}</span>
+              <button
+                type="button"
+                onClick={() => moveRank(i, 1)}
+                disabled={disabled || i === ruleset.rankOrder.length - 1}
+                className="px-1.5 py-1 text-gray-400 hover:text-white disabled:opacity-30"
+                aria-label={`Rank ${rankLabel(rank)} lower`}
+              >
+                ›
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-gray-200">Wild ranks</p>
+        <p className="text-xs text-gray-400">
+          Up to {MAX_WILD_RANKS}. Wild cards join any other rank, and are only played alone from a hand of nothing else.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {ruleset.rankOrder.map((rank) => (
+            <button
+              key={rank}
+              type="button"
+              onClick={() => toggleWild(rank)}
+              disabled={disabled || (!ruleset.wildRanks.includes(rank) && ruleset.wildRanks.length >= MAX_WILD_RANKS)}
+              className={`w-9 py-1 rounded-lg text-sm font-semibold transition disabled:cursor-not-allowed ${
+                ruleset.wildRanks.includes(rank) ? 'bg-purple-500 text-white' : 'bg-gray-900/70 text-gray-300 hover:bg-gray-700'
+              }`}
+            >
+              {rankLabel(rank)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <SettingToggle
+        label="Match the led count"
+        description="Singles must follow singles, pairs follow pairs, and so on, instead of at least as many cards."
+        enabled={ruleset.matchLedCount}
+        disabled={disabled}
+        onToggle={() => onChange({ matchLedCount: !ruleset.matchLedCount })}
+      />
+
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-200">Card exchange</label>
+        <select
+          value={ruleset.exchange.join(',')}
+          onChange={(e) => onChange({ exchange: e.target.value ? e.target.value.split(',').map(Number) : [] })}
+          disabled={disabled}
+          className="w-full px-4 py-3 bg-gray-900/70 rounded-lg text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {EXCHANGE_OPTIONS.map((opt) => (
+            <option key={opt.value} value={opt.value}>{opt.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-200">Round ends</label>
+        <select
+          value={ruleset.roundEnds}
+          onChange={(e) => onChange({ roundEnds: e.target.value })}
+          disabled={disabled}
+          className="w-full px-4 py-3 bg-gray-900/70 rounded-lg text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <option value="last_player">When one player is left holding cards</option>
+          <option value="first_out">As soon as someone goes out (the rest rank by cards left)</option>
+        </select>
+      </div>
+
+      <SettingToggle
+        label="No going out on a wild"
+        description="Your last play cannot contain a wild card."
+        enabled={ruleset.noFinishOnWild}
+        disabled={disabled}
+        onToggle={() => onChange({ noFinishOnWild: !ruleset.noFinishOnWild })}
+      />
+    </div>
+  );
+}
+
+/** On/off switch with a label, styled like the private-room toggle. */
+function SettingToggle({ label, description, enabled, disabled, onToggle }) {
+  return (
+    <div className="flex items-center justify-between gap-4">
+      <div>
+        <p className="text-sm font-medium text-gray-200">{label}</p>
+        <p className="text-xs text-gray-400">{description}</p>
+      </div>
+      <button
+        type="button"
+        onClick={disabled ? undefined : onToggle}
+        className={`relative inline-flex h-7 w-12 shrink-0 items-center rounded-full transition ${
+          enabled ? 'bg-blue-500' : 'bg-gray-600'
+        } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+      >
+        <span
+          className={`inline-block h-5 w-5 transform rounded-full bg-white transition ${
+            enabled ? 'translate-x-5' : 'translate-x-1'
+          }`}
+        />
+      </button>
+    </div>
+  );
+}
 
 export default function RoomPage() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const codeParam = searchParams.get('code');
-  const usernameParam = searchParams.get('name');
 
   const [joinError, setJoinError] = useState(null);
   const [starting, setStarting] = useState(false);
   const [startError, setStartError] = useState(null);
   const [codeRevealed, setCodeRevealed] = useState(false);
+  const [rulesError, setRulesError] = useState(null);
+  const [teamError, setTeamError] = useState(null);
+  const [botError, setBotError] = useState(null);
+  const [newBotLevel, setNewBotLevel] = useState(DEFAULT_BOT_LEVEL);
   const hasJoinedRef = useRef(false);
 
+  // Signed-in player; null until they've picked a name
+  const viewer = useQuery(api.users.viewer);
+  const username = viewer?.username;
+
   const roomData = useQuery(
     api.rooms.getRoomByCode,
     codeParam ? { code: codeParam.toUpperCase() } : 'skip',
@@ -26,16 +237,18 @@ export default function RoomPage() {
   const updateSettings = useMutation(api.rooms.updateRoomSettings);
   const leaveRoom = useMutation(api.rooms.leaveRoom);
   const startGame = useMutation(api.games.startGame);
+  const setTeam = useMutation(api.rooms.setTeam);
+  const addBot = useMutation(api.bots.addBot);
+  const removeBot = useMutation(api.bots.removeBot);
+  const setBotLevel = useMutation(api.bots.setBotLevel);
+  const heartbeat = useMutation(api.presence.heartbeat);
 
   useEffect(() => {
-    if (!codeParam || !usernameParam || hasJoinedRef.current) return;
+    if (!codeParam || !username || hasJoinedRef.current) return;
 
     (async () => {
       try {
-        await joinRoom({
-          code: codeParam.toUpperCase(),
-          username: usernameParam,
-        });
+        await joinRoom({ code: codeParam.toUpperCase() });
         hasJoinedRef.current = true;
       } catch (error) {
         const message =
@@ -44,20 +257,33 @@ export default function RoomPage() {
         setJoinError(message);
       }
     })();
-  }, [codeParam, usernameParam, joinRoom]);
+  }, [codeParam, username, joinRoom]);
+
+  // Tells the server we're still here, and keeps the online dots current
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!codeParam || !username) return undefined;
+    const beat = () => {
+      setNow(Date.now());
+      heartbeat({ code: codeParam.toUpperCase() }).catch(() => {});
+    };
+    beat();
+    const id = setInterval(beat, HEARTBEAT_MS);
+    return () => clearInterval(id);
+  }, [codeParam, username, heartbeat]);
 
   // When host starts, redirect all players (including non-host) to the game page
   useEffect(() => {
-    if (!codeParam || !usernameParam || roomData === undefined) return;
+    if (!codeParam || !username || roomData === undefined) return;
     if (roomData?.room?.status === 'in_progress') {
-      router.replace(`/game?code=${encodeURIComponent(codeParam.toUpperCase())}&name=${encodeURIComponent(usernameParam)}`);
+      router.replace(`/game?code=${encodeURIComponent(codeParam.toUpperCase())}`);
     }
-  }, [roomData, codeParam, usernameParam, router]);
+  }, [roomData, codeParam, username, router]);
 
   const handleLeaveRoom = async () => {
-    if (roomCode && usernameParam) {
+    if (roomCode && username) {
       try {
-        await leaveRoom({ code: roomCode, username: usernameParam });
+        await leaveRoom({ code: roomCode });
       } catch {
         // ignore errors on leave
       }
@@ -73,54 +299,107 @@ export default function RoomPage() {
 
   const isPrivate = roomData?.room?.isPrivate ?? false;
   const gameMode = roomData?.room?.gameMode ?? 'none';
+  const playableMode = PLAYABLE_MODES.includes(gameMode);
+  const turnBased = playableMode && getMode(gameMode).engine.TURN_BASED !== false;
+  // Some modes always deal a fixed number of decks
+  const fixedDecks = playableMode && getMode(gameMode).engine.DECK_COUNT !== undefined;
+  // ...and some are always played to a set score, or need a set number of players
+  const fixedTargetScore = playableMode ? getMode(gameMode).engine.TARGET_SCORE : undefined;
+  const playerCounts = playableMode ? getMode(gameMode).engine.PLAYER_COUNTS : undefined;
+  const presidentsMode = PRESIDENTS_MODES.includes(gameMode);
+  const teamMode = gameMode === 'teams';
+  // Real-time modes have no computer players
+  const botsAllowed = !playableMode || !!getMode(gameMode).engine.chooseBotAction;
   const maxPlayers = roomData?.room?.maxPlayers ?? 4;
   const deckCount = roomData?.room?.deckCount ?? 1;
+  const timeLimitSeconds = roomData?.room?.timeLimitSeconds ?? 0;
+  const houseRules = roomData?.room?.houseRules ?? {};
+  const targetScore = roomData?.room?.targetScore ?? 0;
+  const maxRounds = roomData?.room?.maxRounds ?? 0;
+  const customRuleset = roomData?.room?.customRuleset ?? DEFAULT_RULESET;
 
   const missingCode = !codeParam;
-  const missingName = !usernameParam;
+  const missingName = viewer === null;
 
   const visibleCode = isPrivate && !codeRevealed ? '******' : roomCode;
   const maxSlots = Math.max(2, Math.min(10, maxPlayers));
+  const teamCount = Math.min(TEAM_NAMES.length, Math.floor(maxSlots / 2));
 
   const isHost =
-    !!usernameParam &&
-    players.some((player) => player.role === 'admin' && player.username === usernameParam);
+    !!username &&
+    players.some((player) => player.role === 'admin' && player.username === username);
 
-  const canEditSettings = !!usernameParam && isHost;
+  const canEditSettings = !!username && isHost;
 
   const handleTogglePrivate = () => {
-    if (!roomCode || roomCode === '-----' || !usernameParam || !canEditSettings) return;
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
     setCodeRevealed(false);
-    updateSettings({ code: roomCode, username: usernameParam, isPrivate: !isPrivate });
+    updateSettings({ code: roomCode, isPrivate: !isPrivate });
   };
 
   const handleGameModeChange = (event) => {
-    if (!roomCode || roomCode === '-----' || !usernameParam || !canEditSettings) return;
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
     const value = event.target.value;
-    updateSettings({ code: roomCode, username: usernameParam, gameMode: value });
+    updateSettings({ code: roomCode, gameMode: value });
   };
 
   const handleMaxPlayersChange = (event) => {
-    if (!roomCode || roomCode === '-----' || !usernameParam || !canEditSettings) return;
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
     const value = Number(event.target.value) || 2;
     const clamped = Math.max(2, Math.min(10, value));
-    updateSettings({ code: roomCode, username: usernameParam, maxPlayers: clamped });
+    updateSettings({ code: roomCode, maxPlayers: clamped });
   };
 
   const handleDeckCountChange = (event) => {
-    if (!roomCode || roomCode === '-----' || !usernameParam || !canEditSettings) return;
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
     const value = Number(event.target.value) || 1;
     const clamped = Math.max(1, value);
-    updateSettings({ code: roomCode, username: usernameParam, deckCount: clamped });
+    updateSettings({ code: roomCode, deckCount: clamped });
+  };
+
+  const handleTimeLimitChange = (event) => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    const value = Math.max(0, Number(event.target.value) || 0);
+    updateSettings({ code: roomCode, timeLimitSeconds: value });
+  };
+
+  const handleTargetScoreChange = (event) => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    updateSettings({ code: roomCode, targetScore: Number(event.target.value) || 0 });
+  };
+
+  const handleMaxRoundsChange = (event) => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    updateSettings({ code: roomCode, maxRounds: Number(event.target.value) || 0 });
+  };
+
+  const handleOpeningLeadChange = (event) => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    updateSettings({ code: roomCode, houseRules: { openingLead: event.target.value } });
+  };
+
+  const handleHouseRuleToggle = (rule) => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    updateSettings({ code: roomCode, houseRules: { [rule]: !houseRules[rule] } });
+  };
+
+  const handleRulesetChange = async (change) => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    setRulesError(null);
+    try {
+      await updateSettings({ code: roomCode, customRuleset: { ...customRuleset, ...change } });
+    } catch (err) {
+      setRulesError(err?.message ?? 'Failed to save rules');
+    }
   };
 
   const handleStartGame = async () => {
-    if (!roomCode || roomCode === '-----' || !usernameParam || !canEditSettings || starting) return;
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings || starting) return;
     setStartError(null);
     setStarting(true);
     try {
-      await startGame({ code: roomCode, username: usernameParam });
-      router.push(`/game?code=${encodeURIComponent(roomCode)}&name=${encodeURIComponent(usernameParam)}`);
+      await startGame({ code: roomCode });
+      router.push(`/game?code=${encodeURIComponent(roomCode)}`);
     } catch (err) {
       setStartError(err?.message ?? 'Failed to start game');
     } finally {
@@ -128,8 +407,53 @@ export default function RoomPage() {
     }
   };
 
+  // Clicking your current team again leaves it
+  const handleSetTeam = async (player, team) => {
+    if (!roomCode || roomCode === '-----' || !username) return;
+    setTeamError(null);
+    try {
+      await setTeam({
+        code: roomCode,
+        playerId: player.id,
+        team: player.team === team ? undefined : team,
+      });
+    } catch (err) {
+      setTeamError(err?.data ?? err?.message ?? 'Failed to change team');
+    }
+  };
+
+  const handleAddBot = async () => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    setBotError(null);
+    try {
+      await addBot({ code: roomCode, level: newBotLevel });
+    } catch (err) {
+      setBotError(err?.data ?? err?.message ?? 'Failed to add bot');
+    }
+  };
+
+  const handleRemoveBot = async (player) => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    setBotError(null);
+    try {
+      await removeBot({ code: roomCode, playerId: player.id });
+    } catch (err) {
+      setBotError(err?.data ?? err?.message ?? 'Failed to remove bot');
+    }
+  };
+
+  const handleSetBotLevel = async (player, level) => {
+    if (!roomCode || roomCode === '-----' || !username || !canEditSettings) return;
+    setBotError(null);
+    try {
+      await setBotLevel({ code: roomCode, playerId: player.id, level });
+    } catch (err) {
+      setBotError(err?.data ?? err?.message ?? 'Failed to change bot level');
+    }
+  };
+
   const handleGoToGame = () => {
-    router.push(`/game?code=${encodeURIComponent(roomCode)}&name=${encodeURIComponent(usernameParam)}`);
+    router.push(`/game?code=${encodeURIComponent(roomCode)}`);
   };
 
   return (
@@ -224,7 +548,22 @@ export default function RoomPage() {
                   >
                     <option value="none">None</option>
                     <option value="presidents">Presidents</option>
+                    <option value="classic">Classic (Crazy Eights)</option>
+                    <option value="speed">Speed (real time)</option>
+                    <option value="chaos">Chaos (Presidents with random modifiers)</option>
+                    <option value="custom">Custom (Presidents with your own rules)</option>
+                    <option value="bigtwo">Big Two</option>
+                    <option value="hearts">Hearts (4 players)</option>
+                    <option value="teams">Team Presidents (4, 6 or 8 players)</option>
                   </select>
+                  {playerCounts && (
+                    <p className="text-xs text-gray-400">
+                      Needs {playerCounts.length > 1
+                        ? `${playerCounts.slice(0, -1).join(', ')} or ${playerCounts[playerCounts.length - 1]}`
+                        : playerCounts[0]} players to start.
+                      {teamMode && ' Pick a team next to each name; partners sit opposite, and anyone without a team fills an open place.'}
+                    </p>
+                  )}
                 </div>
 
                 {/* Max players */}
@@ -243,8 +582,8 @@ export default function RoomPage() {
                   />
                 </div>
 
-                {/* Deck amount for Presidents */}
-                {gameMode === 'presidents' && (
+                {/* Deck amount */}
+                {playableMode && !fixedDecks && (
                   <div className="space-y-2">
                     <label className="block text-sm font-medium text-gray-200">
                       Deck amount
@@ -259,6 +598,121 @@ export default function RoomPage() {
                     />
                   </div>
                 )}
+
+                {/* Turn time limit (real-time modes have no turns) */}
+                {turnBased && (
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-200">
+                      Turn time limit
+                    </label>
+                    <select
+                      value={timeLimitSeconds}
+                      onChange={canEditSettings ? handleTimeLimitChange : undefined}
+                      disabled={!canEditSettings}
+                      className="w-full px-4 py-3 bg-gray-900/70 rounded-lg text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <option value={0}>No limit</option>
+                      {TIME_LIMIT_OPTIONS.map((seconds) => (
+                        <option key={seconds} value={seconds}>{seconds} seconds</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-400">
+                      {gameMode === 'classic'
+                        ? 'When time runs out the player draws a card and passes.'
+                        : gameMode === 'hearts'
+                        ? 'When time runs out the player plays their lowest legal card.'
+                        : 'When time runs out the player passes, or plays their lowest card when leading.'}
+                    </p>
+                  </div>
+                )}
+
+                {/* Match length */}
+                {playableMode && (
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-200">Match length</label>
+                    <div className="grid grid-cols-2 gap-3">
+                      {fixedTargetScore ? (
+                        <div className="px-4 py-3 bg-gray-900/70 rounded-lg text-gray-400">
+                          Ends at {fixedTargetScore} points
+                        </div>
+                      ) : (
+                        <select
+                          value={targetScore}
+                          onChange={canEditSettings ? handleTargetScoreChange : undefined}
+                          disabled={!canEditSettings}
+                          className="w-full px-4 py-3 bg-gray-900/70 rounded-lg text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <option value={0}>No target score</option>
+                          {TARGET_SCORE_OPTIONS.map((points) => (
+                            <option key={points} value={points}>First to {points} points</option>
+                          ))}
+                        </select>
+                      )}
+                      <select
+                        value={maxRounds}
+                        onChange={canEditSettings ? handleMaxRoundsChange : undefined}
+                        disabled={!canEditSettings}
+                        className="w-full px-4 py-3 bg-gray-900/70 rounded-lg text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <option value={0}>No round limit</option>
+                        {MAX_ROUNDS_OPTIONS.map((rounds) => (
+                          <option key={rounds} value={rounds}>{rounds} rounds</option>
+                        ))}
+                      </select>
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      {gameMode === 'hearts'
+                        ? 'Each heart taken costs a point and the Q♠ 13, unless one player takes them all. Lowest score wins.'
+                        : 'Each round, 1st place scores one point per other player down to 0 for last. The match ends at whichever limit comes first.'}
+                    </p>
+                  </div>
+                )}
+
+                {/* Opening lead */}
+                {presidentsMode && (
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-200">First round leader</label>
+                    <select
+                      value={houseRules.openingLead ?? 'seat'}
+                      onChange={canEditSettings ? handleOpeningLeadChange : undefined}
+                      disabled={!canEditSettings}
+                      className="w-full px-4 py-3 bg-gray-900/70 rounded-lg text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <option value="seat">First seat</option>
+                      <option value="three_of_clubs">Holder of the 3♣ (must play it)</option>
+                      <option value="random">Random player</option>
+                    </select>
+                  </div>
+                )}
+
+                {/* House rules */}
+                {presidentsMode && (
+                  <div className="space-y-3 pt-1">
+                    <p className="text-xs font-semibold uppercase tracking-wide text-gray-400">House rules</p>
+                    {HOUSE_RULE_OPTIONS.map(({ rule, label, description }) => (
+                      <SettingToggle
+                        key={rule}
+                        label={label}
+                        description={description}
+                        enabled={!!houseRules[rule]}
+                        disabled={!canEditSettings}
+                        onToggle={() => handleHouseRuleToggle(rule)}
+                      />
+                    ))}
+                  </div>
+                )}
+
+                {/* Custom ruleset */}
+                {gameMode === 'custom' && (
+                  <>
+                    <CustomRulesEditor
+                      ruleset={customRuleset}
+                      disabled={!canEditSettings}
+                      onChange={handleRulesetChange}
+                    />
+                    {rulesError && <p className="text-sm text-red-400">{rulesError}</p>}
+                  </>
+                )}
               </div>
             </section>
 
@@ -273,13 +727,16 @@ export default function RoomPage() {
                 </span>
               </div>
 
+              {missingName && !missingCode && <NamePrompt />}
+
               {/* Error / missing params */}
-              {(missingCode || missingName || joinError || startError) && (
+              {(missingCode || missingName || joinError || startError || teamError || botError) && (
                 <div className="mb-4 text-sm text-red-400">
                   {missingCode && <p>No room code provided. Go back and enter a code.</p>}
-                  {missingName && !missingCode && <p>No username provided. Go back and enter your name.</p>}
                   {joinError && !missingCode && !missingName && !startError && <p>{joinError}</p>}
                   {startError && <p>{startError}</p>}
+                  {teamError && <p>{teamError}</p>}
+                  {botError && <p>{botError}</p>}
                 </div>
               )}
 
@@ -294,7 +751,7 @@ export default function RoomPage() {
                     Go to game
                   </button>
                 </div>
-              ) : canEditSettings && players.length >= 2 && gameMode === 'presidents' && (
+              ) : canEditSettings && players.length >= 2 && playableMode && (
                 <div className="mb-4">
                   <button
                     type="button"
@@ -323,23 +780,91 @@ export default function RoomPage() {
                       className="flex items-center justify-between rounded-lg bg-gray-900/70 px-4 py-3 border border-gray-700/60"
                     >
                       <div className="flex items-center gap-3">
-                        <div className="h-8 w-8 rounded-full bg-gradient-to-br from-blue-500 to-purple-500 flex items-center justify-center text-xs font-semibold">
-                          {player.username === usernameParam ? 'YOU' : index + 1}
+                        <div className="relative h-8 w-8 rounded-full bg-gradient-to-br from-blue-500 to-purple-500 flex items-center justify-center text-xs font-semibold">
+                          {player.username === username ? 'YOU' : index + 1}
+                          {!player.isBot && (
+                            <span
+                              className={`absolute -bottom-0.5 -right-0.5 h-2.5 w-2.5 rounded-full border border-gray-900 ${isOnline(player.lastSeenAt, now) ? 'bg-green-400' : 'bg-gray-500'}`}
+                              title={isOnline(player.lastSeenAt, now) ? 'Online' : 'Away'}
+                            />
+                          )}
                         </div>
                         <div>
-                          <p className="text-sm font-medium">
+                          <Link
+                            href={`/profile?name=${encodeURIComponent(player.username)}`}
+                            className="text-sm font-medium hover:underline"
+                          >
                             {player.username}
-                          </p>
+                          </Link>
                           <p className="text-xs text-gray-400">
-                            {player.role === 'admin' ? 'Host' : ' '}
+                            {player.role === 'admin'
+                              ? 'Host'
+                              : player.isBot ? `Bot · ${BOT_LEVEL_NAMES[player.botLevel ?? DEFAULT_BOT_LEVEL]}` : ' '}
                           </p>
                         </div>
                       </div>
+                      {teamMode && (
+                        <div className="flex items-center gap-1.5">
+                          {Array.from({ length: teamCount }, (_, team) => (
+                            <button
+                              key={team}
+                              type="button"
+                              onClick={() => handleSetTeam(player, team)}
+                              disabled={gameInProgress || (player.username !== username && !isHost)}
+                              title={`Team ${TEAM_NAMES[team]}`}
+                              className={`h-5 w-5 rounded-full transition disabled:cursor-not-allowed ${TEAM_COLORS[team]} ${
+                                player.team === team ? 'ring-2 ring-white' : 'opacity-30 hover:opacity-70'
+                              }`}
+                            />
+                          ))}
+                        </div>
+                      )}
+                      {player.isBot && canEditSettings && !gameInProgress && (
+                        <div className="flex items-center gap-3">
+                          <select
+                            value={player.botLevel ?? DEFAULT_BOT_LEVEL}
+                            onChange={(e) => handleSetBotLevel(player, e.target.value)}
+                            className="px-2 py-1 bg-gray-800 rounded text-xs text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            {BOT_LEVELS.map((level) => (
+                              <option key={level} value={level}>{BOT_LEVEL_NAMES[level]}</option>
+                            ))}
+                          </select>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveBot(player)}
+                            className="text-xs text-gray-400 hover:text-red-400 transition"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))
                 )}
               </div>
 
+              {canEditSettings && !gameInProgress && botsAllowed && players.length < maxSlots && (
+                <div className="mt-3 flex gap-2">
+                  <button
+                    type="button"
+                    onClick={handleAddBot}
+                    className="flex-1 px-4 py-2.5 bg-gray-900/70 border border-dashed border-gray-600 hover:border-blue-500 rounded-lg text-sm text-gray-300 transition"
+                  >
+                    + Add bot
+                  </button>
+                  <select
+                    value={newBotLevel}
+                    onChange={(e) => setNewBotLevel(e.target.value)}
+                    className="px-3 py-2.5 bg-gray-900/70 border border-gray-600 rounded-lg text-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {BOT_LEVELS.map((level) => (
+                      <option key={level} value={level}>{BOT_LEVEL_NAMES[level]}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Leave Room Button */}
               <div className="w-full text-right mt-6">
                 <button
@@ -0,0 +1,482 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useMutation, useQuery } from 'convex/react';
+import { api } from '../../convex/_generated/api';
+import NamePrompt, { useNameField } from '../NamePrompt';
+import { MAX_TABLE_SIZE, MIN_TABLE_SIZE } from '../../convex/rules/tournament';
+
+const MODE_OPTIONS = [
+  { value: 'presidents', label: 'Presidents' },
+  { value: 'classic', label: 'Classic' },
+  { value: 'speed', label: 'Speed' },
+  { value: 'chaos', label: 'Chaos' },
+  { value: 'bigtwo', label: 'Big Two' },
+];
+
+const ROUNDS_PER_TABLE_OPTIONS = [1, 2, 3, 5, 7];
+
+const STATUS_LABELS = {
+  registering: 'Registration open',
+  in_progress: 'In progress',
+  finished: 'Finished',
+};
+
+const inputClassName =
+  'w-full px-4 py-2.5 rounded-lg bg-gray-900/70 text-gray-100 placeholder:text-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900';
+
+function modeLabel(gameMode) {
+  return MODE_OPTIONS.find((opt) => opt.value === gameMode)?.label ?? gameMode;
+}
+
+/** Create and join forms, shown when the page has no tournament code. */
+function TournamentForms() {
+  const router = useRouter();
+  const createTournament = useMutation(api.tournaments.createTournament);
+
+  const { name: playerName, setName: setPlayerName, error: nameError, save: saveName } = useNameField();
+  const [name, setName] = useState('');
+  const [gameMode, setGameMode] = useState('presidents');
+  const [tableSize, setTableSize] = useState(6);
+  const [roundsPerTable, setRoundsPerTable] = useState(3);
+  const [advancePerTable, setAdvancePerTable] = useState(2);
+  const [creating, setCreating] = useState(false);
+  const [createError, setCreateError] = useState(null);
+
+  const [joinCode, setJoinCode] = useState('');
+
+  const openTournament = (code) => {
+    router.push(`/tournament?code=${encodeURIComponent(code.toUpperCase())}`);
+  };
+
+  const handleJoin = async () => {
+    if (!joinCode.trim() || !(await saveName())) return;
+    openTournament(joinCode.trim());
+  };
+
+  const handleCreate = async () => {
+    if (creating || !playerName.trim() || !name.trim()) return;
+    setCreating(true);
+    setCreateError(null);
+    try {
+      if (!(await saveName())) {
+        setCreating(false);
+        return;
+      }
+      const { code } = await createTournament({
+        name: name.trim(),
+        gameMode,
+        tableSize,
+        roundsPerTable,
+        advancePerTable,
+      });
+      openTournament(code);
+    } catch (err) {
+      setCreateError(err?.message ?? 'Failed to create tournament');
+      setCreating(false);
+    }
+  };
+
+  const tableSizes = [];
+  for (let n = MIN_TABLE_SIZE; n <= MAX_TABLE_SIZE; n++) tableSizes.push(n);
+  const advanceOptions = [];
+  for (let n = 1; n < tableSize; n++) advanceOptions.push(n);
+
+  return (
+    <div className="mx-auto max-w-4xl grid gap-8 md:grid-cols-2">
+      {/* Create */}
+      <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6 space-y-4">
+        <h2 className="text-lg font-semibold">Host a tournament</h2>
+        <div className="space-y-1">
+          <label className="block text-sm text-gray-300">Your username</label>
+          <input
+            type="text"
+            value={playerName}
+            onChange={(e) => setPlayerName(e.target.value)}
+            placeholder="Choose a name"
+            maxLength={20}
+            className={inputClassName}
+          />
+        </div>
+        <div className="space-y-1">
+          <label className="block text-sm text-gray-300">Tournament name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Friday night cup"
+            className={inputClassName}
+          />
+        </div>
+        <div className="space-y-1">
+          <label className="block text-sm text-gray-300">Game mode</label>
+          <select value={gameMode} onChange={(e) => setGameMode(e.target.value)} className={inputClassName}>
+            {MODE_OPTIONS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <label className="block text-xs text-gray-300">Players per table</label>
+            <select
+              value={tableSize}
+              onChange={(e) => {
+                const size = Number(e.target.value);
+                setTableSize(size);
+                setAdvancePerTable((prev) => Math.min(prev, size - 1));
+              }}
+              className={inputClassName}
+            >
+              {tableSizes.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs text-gray-300">Rounds per table</label>
+            <select
+              value={roundsPerTable}
+              onChange={(e) => setRoundsPerTable(Number(e.target.value))}
+              className={inputClassName}
+            >
+              {ROUNDS_PER_TABLE_OPTIONS.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs text-gray-300">Advance per table</label>
+            <select
+              value={advancePerTable}
+              onChange={(e) => setAdvancePerTable(Number(e.target.value))}
+              className={inputClassName}
+            >
+              {advanceOptions.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="text-xs text-gray-400">
+          Each stage seats everyone at tables of up to {tableSize}. The top {advancePerTable} at each table go
+          through, until a single final table decides the winner.
+        </p>
+        <button
+          type="button"
+          onClick={handleCreate}
+          disabled={creating || !playerName.trim() || !name.trim()}
+          className="w-full px-4 py-2.5 text-sm font-medium bg-blue-500 rounded-lg hover:bg-blue-600 transition disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {creating ? 'Creating…' : 'Create tournament'}
+        </button>
+        {createError && <p className="text-sm text-red-400">{createError}</p>}
+      </section>
+
+      {/* Join */}
+      <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6 space-y-4 self-start">
+        <h2 className="text-lg font-semibold">Join a tournament</h2>
+        <div className="space-y-1">
+          <label className="block text-sm text-gray-300">Tournament code</label>
+          <input
+            type="text"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder="ABC123"
+            className={inputClassName}
+          />
+        </div>
+        <div className="space-y-1">
+          <label className="block text-sm text-gray-300">Your username</label>
+          <input
+            type="text"
+            value={playerName}
+            onChange={(e) => setPlayerName(e.target.value)}
+            placeholder="Choose a name"
+            maxLength={20}
+            className={inputClassName}
+          />
+        </div>
+        {nameError && <p className="text-sm text-red-400">{nameError}</p>}
+        <button
+          type="button"
+          onClick={handleJoin}
+          disabled={!joinCode.trim() || !playerName.trim()}
+          className="w-full px-4 py-2.5 text-sm font-medium bg-purple-500 rounded-lg hover:bg-purple-600 transition disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          Open tournament
+        </button>
+      </section>
+    </div>
+  );
+}
+
+/** One table in a stage: its players in seat order with match scores, and placements once finished. */
+function TableCard({ table, username }) {
+  const isMine = table.players.some((p) => p.username === username);
+  return (
+    <div
+      className={`rounded-lg border p-4 space-y-2 ${
+        isMine ? 'border-blue-500 bg-blue-500/10' : 'border-gray-700 bg-gray-900/60'
+      }`}
+    >
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-semibold">Table {table.tableNumber}</p>
+        <span className="text-xs text-gray-400">{table.status === 'finished' ? 'Finished' : 'Playing'}</span>
+      </div>
+      <ul className="text-sm space-y-1">
+        {table.players.map((p) => (
+          <li key={p.username} className="flex justify-between gap-2">
+            <span className={p.username === username ? 'font-semibold text-blue-300' : ''}>
+              {p.placement ? `${p.placement}. ` : ''}
+              {p.username}
+            </span>
+            <span className="tabular-nums text-gray-400">{p.score} pts</span>
+          </li>
+        ))}
+      </ul>
+      {isMine && table.status === 'playing' && table.roomCode && (
+        <Link
+          href={`/game?code=${encodeURIComponent(table.roomCode)}`}
+          className="block w-full py-2 px-3 bg-green-600 hover:bg-green-500 rounded-lg font-semibold text-sm text-center transition"
+        >
+          Go to your table
+        </Link>
+      )}
+    </div>
+  );
+}
+
+export default function TournamentPage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const codeParam = searchParams.get('code');
+  // Signed-in player; null until they've picked a name
+  const viewer = useQuery(api.users.viewer);
+  const username = viewer?.username;
+
+  const [registering, setRegistering] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const data = useQuery(
+    api.tournaments.getTournament,
+    codeParam ? { code: codeParam.toUpperCase() } : 'skip',
+  );
+
+  const register = useMutation(api.tournaments.registerForTournament);
+  const startTournament = useMutation(api.tournaments.startTournament);
+
+  const handleRegister = async () => {
+    if (!codeParam || !username || registering) return;
+    setRegistering(true);
+    setActionError(null);
+    try {
+      await register({ code: codeParam.toUpperCase() });
+    } catch (err) {
+      setActionError(err?.message ?? 'Failed to register');
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const handleStart = async () => {
+    if (!codeParam || !username || starting) return;
+    setStarting(true);
+    setActionError(null);
+    try {
+      await startTournament({ code: codeParam.toUpperCase() });
+    } catch (err) {
+      setActionError(err?.message ?? 'Failed to start tournament');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (!codeParam) return <TournamentForms />;
+    if (viewer === null) {
+      return (
+        <div className="mx-auto max-w-md bg-gray-800/80 border border-gray-700 rounded-xl p-6">
+          <NamePrompt label="Pick a name to see this tournament" />
+        </div>
+      );
+    }
+    if (data === undefined) return <p className="text-gray-400">Loading tournament…</p>;
+    if (data === null) return <p className="text-gray-400">Tournament not found.</p>;
+
+    const { tournament, entries, tables } = data;
+    const isHost = tournament.hostUsername === username;
+    const isRegistered = entries.some((e) => e.username === username);
+    const stages = [...new Set(tables.map((t) => t.stage))].sort((a, b) => b - a);
+    const finalStage = tournament.status === 'finished' ? stages[0] : undefined;
+
+    return (
+      <div className="mx-auto max-w-5xl space-y-6">
+        {/* Summary */}
+        <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6 flex flex-wrap items-center justify-between gap-4">
+          <div className="space-y-1">
+            <h2 className="text-2xl font-bold">{tournament.name}</h2>
+            <p className="text-sm text-gray-400">
+              {modeLabel(tournament.gameMode)} · up to {tournament.tableSize} per table ·{' '}
+              {tournament.roundsPerTable} round{tournament.roundsPerTable !== 1 ? 's' : ''} per table · top{' '}
+              {tournament.advancePerTable} advance
+            </p>
+            <p className="text-sm text-gray-400">
+              {STATUS_LABELS[tournament.status]}
+              {tournament.status === 'in_progress' && ` · stage ${tournament.stage}`}
+              {tournament.hostUsername && ` · hosted by ${tournament.hostUsername}`}
+            </p>
+          </div>
+          <div className="text-right">
+            <p className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-1">Code</p>
+            <p className="text-2xl font-mono font-semibold tracking-[0.4em]">{tournament.code}</p>
+          </div>
+        </section>
+
+        {tournament.status === 'finished' && tournament.winnerUsername && (
+          <section className="bg-green-900/40 border border-green-700 rounded-xl p-6 text-center">
+            <p className="text-lg">
+              <strong>{tournament.winnerUsername}</strong> wins the tournament!
+            </p>
+          </section>
+        )}
+
+        {tournament.status === 'registering' && (
+          <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <h3 className="text-lg font-semibold">
+                Entrants <span className="text-gray-400 font-normal">({entries.length})</span>
+              </h3>
+              <div className="flex gap-3">
+                {!isRegistered && (
+                  <button
+                    type="button"
+                    onClick={handleRegister}
+                    disabled={registering}
+                    className="px-4 py-2 bg-blue-500 rounded-lg hover:bg-blue-600 disabled:opacity-50 text-sm font-medium"
+                  >
+                    {registering ? 'Registering…' : 'Register'}
+                  </button>
+                )}
+                {isHost && (
+                  <button
+                    type="button"
+                    onClick={handleStart}
+                    disabled={starting || entries.length < 2}
+                    className="px-4 py-2 bg-green-600 rounded-lg hover:bg-green-500 disabled:opacity-50 text-sm font-medium"
+                  >
+                    {starting ? 'Starting…' : 'Start tournament'}
+                  </button>
+                )}
+              </div>
+            </div>
+            {entries.length === 0 ? (
+              <p className="text-sm text-gray-400">Nobody has registered yet. Share the code to invite players.</p>
+            ) : (
+              <ul className="flex flex-wrap gap-2">
+                {entries.map((e) => (
+                  <li
+                    key={e.username}
+                    className={`px-3 py-1 rounded-full text-sm ${
+                      e.username === username ? 'bg-blue-500/30 text-blue-200' : 'bg-gray-700 text-gray-200'
+                    }`}
+                  >
+                    {e.username}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {!isHost && isRegistered && (
+              <p className="text-xs text-gray-500">You&apos;re in. Tables are seated when the host starts the tournament.</p>
+            )}
+          </section>
+        )}
+
+        {actionError && <p className="text-sm text-red-400">{actionError}</p>}
+
+        {/* Stages, latest first */}
+        {stages.map((stage) => (
+          <section key={stage} className="bg-gray-800/80 border border-gray-700 rounded-xl p-6 space-y-4">
+            <h3 className="text-lg font-semibold">
+              {tables.filter((t) => t.stage === stage).length === 1 ? 'Final table' : `Stage ${stage}`}
+            </h3>
+            <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+              {tables
+                .filter((t) => t.stage === stage)
+                .map((t) => (
+                  <TableCard key={t.tableNumber} table={t} username={username} />
+                ))}
+            </div>
+          </section>
+        ))}
+
+        {tournament.status !== 'registering' && (
+          <section className="bg-gray-800/80 border border-gray-700 rounded-xl p-6 space-y-3">
+            <h3 className="text-lg font-semibold">{finalStage ? 'Final standings' : 'Players'}</h3>
+            <table className="w-full text-sm">
+              <thead className="text-left text-xs uppercase tracking-wide text-gray-400">
+                <tr>
+                  {finalStage && <th className="py-2 pr-4">#</th>}
+                  <th className="py-2 pr-4">Player</th>
+                  <th className="py-2">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700/60">
+                {entries.map((e) => (
+                  <tr key={e.username}>
+                    {finalStage && <td className="py-2 pr-4 tabular-nums text-gray-400">{e.finalRank}</td>}
+                    <td className="py-2 pr-4 font-medium">{e.username}</td>
+                    <td className="py-2 text-gray-400">
+                      {e.status === 'eliminated'
+                        ? `Out in stage ${e.eliminatedInStage}`
+                        : finalStage
+                          ? 'Final table'
+                          : 'Still in'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="relative min-h-screen text-white bg-cover bg-center bg-no-repeat"
+      style={{ backgroundImage: "url('/bg/bg-menu-big.png')" }}
+    >
+      <div className="absolute inset-0 bg-black/40" aria-hidden="true" />
+
+      <div className="relative z-10 flex flex-col min-h-screen">
+        <header className="px-6 pt-10 pb-6 md:px-10 flex flex-wrap items-center justify-between gap-4">
+          <h1 className="text-4xl md:text-5xl font-bold pl-6">
+            <span className="text-blue-500">Tourna</span>ments
+          </h1>
+          <button
+            type="button"
+            onClick={() => router.push('/')}
+            className="px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 text-sm font-medium"
+          >
+            Home
+          </button>
+        </header>
+
+        <main className="flex-1 px-6 pb-24 md:px-10">{renderContent()}</main>
+      </div>
+    </div>
+  );
+}
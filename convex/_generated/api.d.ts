@@ -13,8 +13,34 @@ import type {
   FilterApi,
   FunctionReference,
 } from "convex/server";
+import type * as bots from "../bots.js";
+import type * as classic from "../classic.js";
+import type * as crons from "../crons.js";
 import type * as games from "../games.js";
+import type * as leaderboard from "../leaderboard.js";
+import type * as presence from "../presence.js";
+import type * as profiles from "../profiles.js";
 import type * as rooms from "../rooms.js";
+import type * as rules_bigtwo from "../rules/bigtwo.js";
+import type * as rules_bots from "../rules/bots.js";
+import type * as rules_cards from "../rules/cards.js";
+import type * as rules_chaos from "../rules/chaos.js";
+import type * as rules_classic from "../rules/classic.js";
+import type * as rules_custom from "../rules/custom.js";
+import type * as rules_engine from "../rules/engine.js";
+import type * as rules_hearts from "../rules/hearts.js";
+import type * as rules_modes from "../rules/modes.js";
+import type * as rules_presence from "../rules/presence.js";
+import type * as rules_presidents from "../rules/presidents.js";
+import type * as rules_rating from "../rules/rating.js";
+import type * as rules_scoring from "../rules/scoring.js";
+import type * as rules_speed from "../rules/speed.js";
+import type * as rules_teams from "../rules/teams.js";
+import type * as rules_tournament from "../rules/tournament.js";
+import type * as rules_visibility from "../rules/visibility.js";
+import type * as stats from "../stats.js";
+import type * as tournaments from "../tournaments.js";
+import type * as users from "../users.js";
 
 /**
  * A utility for referencing Convex functions in your app's API.
@@ -25,8 +51,34 @@ import type * as rooms from "../rooms.js";
  * ```
  */
 declare const fullApi: ApiFromModules<{
+  bots: typeof bots;
+  classic: typeof classic;
+  crons: typeof crons;
   games: typeof games;
+  leaderboard: typeof leaderboard;
+  presence: typeof presence;
+  profiles: typeof profiles;
   rooms: typeof rooms;
+  "rules/bigtwo": typeof rules_bigtwo;
+  "rules/bots": typeof rules_bots;
+  "rules/cards": typeof rules_cards;
+  "rules/chaos": typeof rules_chaos;
+  "rules/classic": typeof rules_classic;
+  "rules/custom": typeof rules_custom;
+  "rules/engine": typeof rules_engine;
+  "rules/hearts": typeof rules_hearts;
+  "rules/modes": typeof rules_modes;
+  "rules/presence": typeof rules_presence;
+  "rules/presidents": typeof rules_presidents;
+  "rules/rating": typeof rules_rating;
+  "rules/scoring": typeof rules_scoring;
+  "rules/speed": typeof rules_speed;
+  "rules/teams": typeof rules_teams;
+  "rules/tournament": typeof rules_tournament;
+  "rules/visibility": typeof rules_visibility;
+  stats: typeof stats;
+  tournaments: typeof tournaments;
+  users: typeof users;
 }>;
 export declare const api: FilterApi<
   typeof fullApi,
@@ -0,0 +1,13 @@
+// Who may sign players in: an OpenID Connect issuer Convex checks tokens against. During
+// development the Next.js app is its own stand-in issuer (app/api/auth and app/.well-known), so
+// set AUTH_ISSUER_URL on the Convex deployment to the app's public URL, reachable from Convex.
+// Any other OIDC provider works the same way, as long as its tokens are issued for "card.io".
+
+export default {
+  providers: [
+    {
+      domain: process.env.AUTH_ISSUER_URL,
+      applicationID: "card.io",
+    },
+  ],
+};
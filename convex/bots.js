@@ -0,0 +1,255 @@
+// Computer players. The host adds bots in the lobby; each bot is a users row and a roomMembers
+// row flagged isBot, with a level (easy, medium or hard), seated and dealt like anyone else.
+// Whenever a bot has to act, games.js schedules takeTurn, which picks a move for its level with
+// rules/bots.js using only what the bot can see, and applies it through the rules engine as
+// playCards, pass and submitExchangeSelection would for a person.
+
+import { internalAction, internalMutation, internalQuery, mutation } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { v, ConvexError } from "convex/values";
+import { getMode } from "./rules/modes";
+import { chooseBotMove, DEFAULT_BOT_LEVEL } from "./rules/bots";
+import { botLevel } from "./schema";
+import { BOT_DELAY_MS, engineFor, saveEngineState, toEngineState } from "./games";
+import { getCurrentUser } from "./users";
+
+export const BOT_NAMES = ["Ada", "Alan", "Grace", "Edsger", "Barbara", "Donald", "Margaret"];
+// How long a Hard bot may spend searching for its move
+const HARD_THINK_MS = 1500;
+
+/** Load the room and check that the signed-in user hosts it and that bots may come and go right now. */
+async function loadRoomForHost(ctx, code) {
+  const room = await ctx.db
+    .query("rooms")
+    .withIndex("by_code", (q) => q.eq("code", code))
+    .first();
+  if (!room) throw new ConvexError("Room not found");
+  if (room.tournamentId) throw new ConvexError("Tournament tables are for registered players only");
+  if (room.status === "in_progress") throw new ConvexError("Bots can't join or leave while a game is in progress");
+  const user = await getCurrentUser(ctx);
+  const member = user
+    ? await ctx.db
+      .query("roomMembers")
+      .withIndex("by_room_and_user", (q) => q.eq("roomId", room._id).eq("userId", user._id))
+      .first()
+    : null;
+  if (!member || member.role !== "admin") throw new ConvexError("Only the host can manage bots");
+  return room;
+}
+
+/** A bot user named username, created on first use. Null if a person already has the name. */
+async function getOrCreateBotUser(ctx, username) {
+  const existing = await ctx.db
+    .query("users")
+    .withIndex("by_username", (q) => q.eq("username", username))
+    .first();
+  if (existing) return existing.isBot ? existing : null;
+
+  const now = Date.now();
+  const userId = await ctx.db.insert("users", {
+    clerkId: `bot_${now}_${Math.random().toString(36).slice(2, 8)}`,
+    email: `${username.split(" ")[0].toLowerCase()}+bot@example.com`,
+    username,
+    avatarUrl: undefined,
+    isBot: true,
+    gamesPlayed: 0,
+    gamesWon: 0,
+    gamesLost: 0,
+    createdAt: now,
+    lastSeenAt: now,
+  });
+  return ctx.db.get(userId);
+}
+
+/** Host only: seat a bot of the given level (Medium by default) in the lobby, ready to play. */
+export const addBot = mutation({
+  args: {
+    code: v.string(),
+    level: v.optional(botLevel),
+  },
+  handler: async (ctx, args) => {
+    const room = await loadRoomForHost(ctx, args.code);
+    const mode = getMode(room.gameMode);
+    if (mode && !mode.engine.chooseBotAction) {
+      throw new ConvexError(`Bots can't play ${mode.name}`);
+    }
+    const members = await ctx.db
+      .query("roomMembers")
+      .withIndex("by_room", (q) => q.eq("roomId", room._id))
+      .collect();
+    if (members.length >= room.maxPlayers) {
+      throw new ConvexError("The room is full");
+    }
+
+    const seated = new Set(members.map((m) => m.userId));
+    let bot = null;
+    for (const name of BOT_NAMES) {
+      const user = await getOrCreateBotUser(ctx, `${name} (bot)`);
+      if (user && !seated.has(user._id)) {
+        bot = user;
+        break;
+      }
+    }
+    if (!bot) throw new ConvexError("No more bots available");
+
+    await ctx.db.insert("roomMembers", {
+      roomId: room._id,
+      userId: bot._id,
+      role: "player",
+      isReady: true,
+      seatIndex: members.length,
+      isBot: true,
+      botLevel: args.level ?? DEFAULT_BOT_LEVEL,
+      score: undefined,
+      joinedAt: Date.now(),
+    });
+  },
+});
+
+/** Host only: take a bot out of the lobby. */
+export const removeBot = mutation({
+  args: {
+    code: v.string(),
+    playerId: v.id("roomMembers"),
+  },
+  handler: async (ctx, args) => {
+    const room = await loadRoomForHost(ctx, args.code);
+    const target = await ctx.db.get(args.playerId);
+    if (!target || target.roomId !== room._id || !target.isBot) {
+      throw new ConvexError("Bot not found in this room");
+    }
+    await ctx.db.delete(target._id);
+  },
+});
+
+/** Host only: change how well a bot in the lobby plays. */
+export const setBotLevel = mutation({
+  args: {
+    code: v.string(),
+    playerId: v.id("roomMembers"),
+    level: botLevel,
+  },
+  handler: async (ctx, args) => {
+    const room = await loadRoomForHost(ctx, args.code);
+    const target = await ctx.db.get(args.playerId);
+    if (!target || target.roomId !== room._id || !target.isBot) {
+      throw new ConvexError("Bot not found in this room");
+    }
+    await ctx.db.patch(target._id, { botLevel: args.level });
+  },
+});
+
+/**
+ * What userId can see of the game at turnNumber: the engine state with every other player's
+ * hand emptied (handCount says how many cards they hold), no deck, and only the bot's own
+ * exchange selection. Null once the turn has moved on or the game is over. Also returns the
+ * bot's level and how many decks are in play, for Hard's guesses at the hidden cards.
+ */
+export const getBotView = internalQuery({
+  args: {
+    gameStateId: v.id("gameStates"),
+    turnNumber: v.number(),
+    userId: v.id("users"),
+  },
+  handler: async (ctx, args) => {
+    const gameState = await ctx.db.get(args.gameStateId);
+    if (!gameState || gameState.turnNumber !== args.turnNumber) return null;
+    const game = await ctx.db.get(gameState.gameId);
+    if (!game || game.status !== "active") return null;
+    const gamePlayers = await ctx.db
+      .query("gamePlayers")
+      .withIndex("by_game", (q) => q.eq("gameId", game._id))
+      .collect();
+    const state = toEngineState(game, gameState, gamePlayers);
+    const room = await ctx.db.get(game.roomId);
+    return {
+      gameMode: game.gameMode,
+      level: gamePlayers.find((gp) => gp.userId === args.userId)?.botLevel ?? DEFAULT_BOT_LEVEL,
+      deckCount: engineFor(game).DECK_COUNT ?? Math.max(1, room?.deckCount ?? 1),
+      state: {
+        ...state,
+        players: state.players.map((p) => (p.userId === args.userId
+          ? p
+          : { userId: p.userId, seatIndex: p.seatIndex, hand: [], handCount: p.hand.length })),
+        deck: undefined,
+        exchangeSelections: state.exchangeSelections?.filter((s) => s.fromUserId === args.userId),
+      },
+    };
+  },
+});
+
+/** Scheduled by games.js when a bot has to act: choose its move and apply it. */
+export const takeTurn = internalAction({
+  args: {
+    gameStateId: v.id("gameStates"),
+    turnNumber: v.number(),
+    userId: v.id("users"),
+  },
+  handler: async (ctx, args) => {
+    const view = await ctx.runQuery(internal.bots.getBotView, args);
+    if (!view) return;
+    const engine = getMode(view.gameMode)?.engine;
+    if (!engine?.chooseBotAction) return;
+    const action = chooseBotMove(engine, view.state, args.userId, {
+      level: view.level,
+      deckCount: view.deckCount,
+      deadline: Date.now() + HARD_THINK_MS,
+    });
+    if (!action) return;
+    await ctx.runMutation(internal.bots.applyBotAction, {
+      ...args,
+      action: { type: action.type, cardIds: action.cardIds, suit: action.suit },
+    });
+  },
+});
+
+/**
+ * Apply a bot's chosen action, unless the turn has moved on since it was chosen or the player a
+ * stand-in bot was covering for is back. If the engine turns it down, the bot does what the
+ * turn timer would do instead (in an exchange, gives the cards the baseline bot picks). A bot
+ * still on turn after acting (Classic, after drawing) is scheduled again.
+ */
+export const applyBotAction = internalMutation({
+  args: {
+    gameStateId: v.id("gameStates"),
+    turnNumber: v.number(),
+    userId: v.id("users"),
+    action: v.object({
+      type: v.string(),
+      cardIds: v.optional(v.array(v.string())),
+      suit: v.optional(v.string()),
+    }),
+  },
+  handler: async (ctx, args) => {
+    const gameState = await ctx.db.get(args.gameStateId);
+    if (!gameState || gameState.turnNumber !== args.turnNumber) return;
+    const game = await ctx.db.get(gameState.gameId);
+    if (!game || game.status !== "active") return;
+    const gamePlayers = await ctx.db
+      .query("gamePlayers")
+      .withIndex("by_game", (q) => q.eq("gameId", game._id))
+      .collect();
+    // A stand-in bot steps back as soon as its player returns
+    const actor = gamePlayers.find((gp) => gp.userId === args.userId);
+    if (!actor?.isBot && !actor?.standIn) return;
+    const engine = engineFor(game);
+    const state = toEngineState(game, gameState, gamePlayers);
+    let result = engine.applyAction(state, { ...args.action, userId: args.userId });
+    if (!result.ok) {
+      const fallback = engine.getTimeoutAction(state, args.userId);
+      if (!fallback) return;
+      result = engine.applyAction(state, fallback);
+      if (!result.ok) return;
+    }
+    await saveEngineState(ctx, game, gameState, gamePlayers, result.state);
+
+    const next = result.state;
+    if (next.phase === "play" && next.currentTurnUserId === args.userId && next.turnNumber === args.turnNumber) {
+      await ctx.scheduler.runAfter(BOT_DELAY_MS, internal.bots.takeTurn, {
+        gameStateId: args.gameStateId,
+        turnNumber: args.turnNumber,
+        userId: args.userId,
+      });
+    }
+  },
+});
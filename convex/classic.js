@@ -0,0 +1,16 @@
+import { mutation } from "./_generated/server";
+import { v } from "convex/values";
+import { loadActiveGame, runAction } from "./games";
+
+// Classic (Crazy Eights) moves beyond the shared ones: playing and passing go through
+// games.playCards and games.pass like every other mode.
+
+export const drawCard = mutation({
+  args: {
+    code: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { user, game, gameState, gamePlayers } = await loadActiveGame(ctx, args.code, ["classic"]);
+    await runAction(ctx, game, gameState, gamePlayers, { type: "draw", userId: user._id });
+  },
+});
@@ -0,0 +1,9 @@
+import { cronJobs } from "convex/server";
+import { internal } from "./_generated/api";
+
+const crons = cronJobs();
+
+// Keep games moving when a player has closed the page (see presence.js)
+crons.interval("check for away players", { seconds: 15 }, internal.presence.checkAwayPlayers);
+
+export default crons;
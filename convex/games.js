@@ -1,78 +1,375 @@
-import { mutation, query } from "./_generated/server";
+import { internalMutation, mutation, query } from "./_generated/server";
+import { internal } from "./_generated/api";
 import { v, ConvexError } from "convex/values";
+import { getMode, MODES, PLAYABLE_MODES } from "./rules/modes";
+import { REJOIN_GRACE_MS } from "./rules/presence";
+import { isMatchOver, rankStandings, roundPoints } from "./rules/scoring";
+import { viewGameState, viewPlayerCards } from "./rules/visibility";
+import { recordMatchStats, recordRoundRatings, recordRoundStats } from "./stats";
+import { getCurrentUser, requireUser } from "./users";
+
+// Bots wait this long before acting, so their moves can be followed at the table
+export const BOT_DELAY_MS = 1200;
+// Tournament tables deal the next round themselves after this long, rather than wait for the host
+const TABLE_RESTART_DELAY_MS = 10000;
+
+export function engineFor(game) {
+  return (getMode(game.gameMode) ?? MODES.presidents).engine;
+}
+
+/** Build the rules-engine state from the game, its gameStates document and its players. */
+export function toEngineState(game, gameState, gamePlayers) {
+  const state = {
+    players: gamePlayers.map((p) => ({ userId: p.userId, seatIndex: p.seatIndex, hand: p.hand, drawPile: p.drawPile })),
+    rules: game.houseRules ?? {},
+    ruleset: game.customRuleset,
+    deckCount: game.deckCount,
+  };
+  for (const field of engineFor(game).STATE_FIELDS) {
+    state[field] = gameState[field];
+  }
+  return state;
+}
+
+/** If there is a turn limit, schedule expireTurn for the turn (or exchange) that just started. */
+async function scheduleTurnTimer(ctx, timeLimitSeconds, gameStateId, turnNumber, phase) {
+  if (!timeLimitSeconds || (phase !== "play" && phase !== "exchange")) return;
+  await ctx.scheduler.runAfter(timeLimitSeconds * 1000, internal.games.expireTurn, {
+    gameStateId,
+    turnNumber,
+  });
+}
 
-const RANKS = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "T", "J", "Q", "K"];
-const SUITS = ["S", "H", "D", "C"]; // Spades, Hearts, Diamonds, Clubs
-// For play comparison: 2 highest, then A, K... 3 lowest. Lower index = higher rank.
-const RANK_ORDER = ["2", "A", "K", "Q", "J", "T", "9", "8", "7", "6", "5", "4", "3"];
+/**
+ * Schedule bots.takeTurn for every bot that has to act in the state just saved: the bot whose
+ * turn it is, or each bot giving cards in an exchange that has just begun. players are
+ * gamePlayers (or roomMembers, at the start of a game) carrying isBot, and standIn for away
+ * players a bot is covering for (see presence.js).
+ */
+async function scheduleBotTurns(ctx, gameStateId, players, previousPhase, next) {
+  const botIds = players.filter((p) => p.isBot || p.standIn).map((p) => p.userId);
+  let actors = [];
+  if (next.phase === "play") {
+    actors = botIds.filter((userId) => userId === next.currentTurnUserId);
+  } else if (next.phase === "exchange" && previousPhase !== "exchange") {
+    actors = botIds.filter((userId) => (next.exchangePairs ?? []).some((p) => p.fromUserId === userId));
+  }
+  for (const userId of actors) {
+    await ctx.scheduler.runAfter(BOT_DELAY_MS, internal.bots.takeTurn, {
+      gameStateId,
+      turnNumber: next.turnNumber,
+      userId,
+    });
+  }
+}
 
-function rankValue(rank) {
-  const i = RANK_ORDER.indexOf(rank);
-  return i < 0 ? 999 : i;
+/** Write an engine state back: changed hands/seats/draw piles on gamePlayers, everything else on gameStates. */
+export async function saveEngineState(ctx, game, gameState, gamePlayers, next) {
+  for (const gp of gamePlayers) {
+    const np = next.players.find((p) => p.userId === gp.userId);
+    if (!np) continue;
+    const patch = {};
+    if (np.seatIndex !== gp.seatIndex) patch.seatIndex = np.seatIndex;
+    if (np.hand !== gp.hand) patch.hand = np.hand;
+    if (np.drawPile !== gp.drawPile) patch.drawPile = np.drawPile;
+    if (Object.keys(patch).length > 0) await ctx.db.patch(gp._id, patch);
+  }
+  const patch = {};
+  for (const field of engineFor(game).STATE_FIELDS) {
+    patch[field] = next[field];
+  }
+  const turnChanged = next.turnNumber !== gameState.turnNumber;
+  if (turnChanged) {
+    patch.turnStartedAt = Date.now();
+  }
+  await ctx.db.patch(gameState._id, patch);
+  if (next.phase === "round_ended" && gameState.phase !== "round_ended") {
+    await scoreRound(ctx, game, gamePlayers, next);
+    return;
+  }
+  if (turnChanged) {
+    await scheduleTurnTimer(ctx, game.timeLimitSeconds, gameState._id, next.turnNumber, next.phase);
+    await scheduleBotTurns(ctx, gameState._id, gamePlayers, gameState.phase, next);
+  }
 }
 
-function buildDeck(deckCount) {
-  const deck = [];
-  for (let d = 0; d < deckCount; d++) {
-    for (const suit of SUITS) {
-      for (const rank of RANKS) {
-        deck.push(rank + suit);
-      }
+/**
+ * Add this round's points to each player's running score (gamePlayers.finalScore) and update
+ * career stats. When the match target or round limit is reached, record placements and finish the
+ * game; otherwise a tournament table's next round is scheduled (tournaments.restartTableRound).
+ */
+async function scoreRound(ctx, game, gamePlayers, state) {
+  const engine = engineFor(game);
+  const finishedOrder = state.finishedOrder ?? [];
+  await recordRoundStats(ctx, game, finishedOrder);
+  await recordRoundRatings(ctx, game, finishedOrder);
+  const points = engine.roundPoints ? engine.roundPoints(state) : roundPoints(finishedOrder);
+  const standings = gamePlayers.map((gp) => ({
+    id: gp._id,
+    userId: gp.userId,
+    score: (gp.finalScore ?? 0) + (points.get(gp.userId) ?? 0),
+  }));
+  const matchOver = isMatchOver({
+    scores: standings.map((p) => p.score),
+    roundNumber: state.roundNumber ?? 1,
+    targetScore: game.targetScore,
+    maxRounds: game.maxRounds,
+  });
+  if (!matchOver) {
+    for (const p of standings) {
+      await ctx.db.patch(p.id, { finalScore: p.score });
+    }
+    const room = await ctx.db.get(game.roomId);
+    if (room?.tournamentId) {
+      await ctx.scheduler.runAfter(TABLE_RESTART_DELAY_MS, internal.tournaments.restartTableRound, {
+        gameId: game._id,
+        turnNumber: state.turnNumber,
+      });
     }
+    return;
   }
-  return deck;
+  await finishMatch(ctx, game, standings, finishedOrder);
 }
 
-function shuffleArray(arr) {
-  const out = [...arr];
-  for (let i = out.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [out[i], out[j]] = [out[j], out[i]];
+/**
+ * Finish the match on standings ({ id, userId, score } per gamePlayer): rank them the mode's way
+ * (ties broken by finishedOrder), record placements, the winner and match stats, and report a
+ * tournament table's result.
+ */
+async function finishMatch(ctx, game, standings, finishedOrder) {
+  const ranked = rankStandings(standings, finishedOrder, engineFor(game).LOW_SCORE_WINS);
+  for (const p of ranked) {
+    await ctx.db.patch(p.id, { finalScore: p.score, placement: p.placement });
+  }
+  await ctx.db.patch(game._id, {
+    status: "finished",
+    winnerId: ranked[0]?.userId,
+    endedAt: Date.now(),
+  });
+  await recordMatchStats(ctx, game, ranked);
+  const room = await ctx.db.get(game.roomId);
+  if (room?.tournamentId) {
+    await ctx.scheduler.runAfter(0, internal.tournaments.recordTableResult, { gameId: game._id });
   }
-  return out;
 }
 
-/** Distribute cards evenly. Returns array of hands (each hand is array of card ids). */
-function distributeEvenly(deck, numPlayers) {
-  const total = deck.length;
-  const baseCount = Math.floor(total / numPlayers);
-  const remainder = total % numPlayers;
-  const hands = [];
-  let idx = 0;
-  for (let p = 0; p < numPlayers; p++) {
-    const count = baseCount + (p < remainder ? 1 : 0);
-    hands.push(deck.slice(idx, idx + count));
-    idx += count;
+/** Finish an active match on the scores so far, as finishMatch does for one played to the end. */
+export async function finishMatchEarly(ctx, game) {
+  const gameState = await ctx.db
+    .query("gameStates")
+    .withIndex("by_game", (q) => q.eq("gameId", game._id))
+    .first();
+  const gamePlayers = await ctx.db
+    .query("gamePlayers")
+    .withIndex("by_game", (q) => q.eq("gameId", game._id))
+    .collect();
+  await finishMatch(
+    ctx,
+    game,
+    gamePlayers.map((gp) => ({ id: gp._id, userId: gp.userId, score: gp.finalScore ?? 0 })),
+    gameState?.finishedOrder ?? [],
+  );
+}
+
+/** Run an action through the rules engine; rejections become ConvexErrors with the engine's message. */
+export async function runAction(ctx, game, gameState, gamePlayers, action) {
+  const result = engineFor(game).applyAction(toEngineState(game, gameState, gamePlayers), action);
+  if (!result.ok) {
+    throw new ConvexError(result.error.message);
   }
-  return hands;
+  await saveEngineState(ctx, game, gameState, gamePlayers, result.state);
+  return result.state;
 }
 
-/** Sort hand by rank (best first: 2, A, K... 3). */
-function sortHandByRank(hand) {
-  return [...hand].sort((a, b) => rankValue(a[0]) - rankValue(b[0]));
+/**
+ * userId has left the room mid-game. They forfeit the round in progress (the engine's forfeit
+ * action) and their seat is kept for REJOIN_GRACE_MS in case they come back (rejoinGame), with a
+ * stand-in bot playing it from the next round where the mode has bots.
+ */
+export async function forfeitPlayer(ctx, game, gameState, gamePlayers, userId) {
+  const gamePlayer = gamePlayers.find((gp) => gp.userId === userId);
+  if (!gamePlayer || gamePlayer.leftAt) return;
+  const engine = engineFor(game);
+  const patch = { leftAt: Date.now(), standIn: engine.chooseBotAction ? true : undefined };
+  await ctx.db.patch(gamePlayer._id, patch);
+  if (gameState.phase === "round_ended") return;
+  const players = gamePlayers.map((gp) => (gp._id === gamePlayer._id ? { ...gp, ...patch } : gp));
+  const result = engine.applyAction(toEngineState(game, gameState, players), { type: "forfeit", userId });
+  if (result.ok) await saveEngineState(ctx, game, gameState, players, result.state);
 }
 
-/** Pick the n best cards (highest rank). */
-function pickBest(hand, n) {
-  const sorted = sortHandByRank(hand);
-  return sorted.slice(0, Math.min(n, sorted.length));
+/** Give userId their seat in the room's active game back if they left it less than REJOIN_GRACE_MS ago. */
+export async function rejoinGame(ctx, room, userId) {
+  const game = await ctx.db
+    .query("games")
+    .withIndex("by_room", (q) => q.eq("roomId", room._id))
+    .filter((q) => q.eq(q.field("status"), "active"))
+    .first();
+  if (!game) return;
+  const gamePlayer = await ctx.db
+    .query("gamePlayers")
+    .withIndex("by_game_and_user", (q) => q.eq("gameId", game._id).eq("userId", userId))
+    .first();
+  if (!gamePlayer?.leftAt || Date.now() - gamePlayer.leftAt > REJOIN_GRACE_MS) return;
+  await ctx.db.patch(gamePlayer._id, { leftAt: undefined, standIn: undefined });
 }
 
-/** Pick the n worst cards (lowest rank). */
-function pickWorst(hand, n) {
-  const sorted = sortHandByRank(hand);
-  return sorted.slice(-Math.min(n, sorted.length));
+/**
+ * Load the room, the signed-in user, the active game, its state and players for a game mutation.
+ * With gameModes, the game must be one of those modes.
+ */
+export async function loadActiveGame(ctx, code, gameModes) {
+  const room = await ctx.db
+    .query("rooms")
+    .withIndex("by_code", (q) => q.eq("code", code))
+    .first();
+  if (!room) throw new ConvexError("Room not found");
+  const user = await requireUser(ctx);
+  const game = await ctx.db
+    .query("games")
+    .withIndex("by_room", (q) => q.eq("roomId", room._id))
+    .filter((q) => q.eq(q.field("status"), "active"))
+    .first();
+  if (!game) throw new ConvexError("Game not found");
+  if (gameModes && !gameModes.includes(game.gameMode)) {
+    throw new ConvexError(`This game is not ${MODES[gameModes[0]].name} mode`);
+  }
+  const gameState = await ctx.db
+    .query("gameStates")
+    .withIndex("by_game", (q) => q.eq("gameId", game._id))
+    .first();
+  if (!gameState) throw new ConvexError("Game not found");
+  const gamePlayers = await ctx.db
+    .query("gamePlayers")
+    .withIndex("by_game", (q) => q.eq("gameId", game._id))
+    .collect();
+  return { room, user, game, gameState, gamePlayers };
 }
 
-function removeCards(hand, cardsToRemove) {
-  const set = new Set(cardsToRemove);
-  return hand.filter((c) => !set.has(c));
+/** Load the room, the signed-in user, their membership and the room's latest game (active or finished). */
+async function loadLatestGame(ctx, code) {
+  const room = await ctx.db
+    .query("rooms")
+    .withIndex("by_code", (q) => q.eq("code", code))
+    .first();
+  if (!room) throw new ConvexError("Room not found");
+  const user = await requireUser(ctx);
+  const member = await ctx.db
+    .query("roomMembers")
+    .withIndex("by_room_and_user", (q) => q.eq("roomId", room._id).eq("userId", user._id))
+    .first();
+  const game = await ctx.db
+    .query("games")
+    .withIndex("by_room", (q) => q.eq("roomId", room._id))
+    .order("desc")
+    .first();
+  if (!game) throw new ConvexError("Game not found");
+  return { room, user, member, game };
+}
+
+/**
+ * Members seated for a game of the room's mode, or a ConvexError saying why they can't play it
+ * (too few or the wrong number of players, bots in a mode without them, uneven teams).
+ */
+function seatForGame(room, members) {
+  if (members.length < 2) {
+    throw new ConvexError("Need at least 2 players to start");
+  }
+  if (!getMode(room.gameMode)) {
+    const names = PLAYABLE_MODES.map((gameMode) => MODES[gameMode].name);
+    throw new ConvexError(
+      `This mode can't be started yet. Select ${names.slice(0, -1).join(", ")} or ${names[names.length - 1]} in room settings.`,
+    );
+  }
+  const { engine } = getMode(room.gameMode);
+  const { PLAYER_COUNTS: counts } = engine;
+  if (counts && !counts.includes(members.length)) {
+    const needed = counts.length > 1 ? `${counts.slice(0, -1).join(", ")} or ${counts[counts.length - 1]}` : counts[0];
+    throw new ConvexError(`${MODES[room.gameMode].name} needs ${needed} players`);
+  }
+  if (members.some((m) => m.isBot) && !engine.chooseBotAction) {
+    throw new ConvexError(`Bots can't play ${MODES[room.gameMode].name}; remove them or pick another mode`);
+  }
+  if (!engine.seatMembers) {
+    return [...members].sort((a, b) => (a.seatIndex ?? 999) - (b.seatIndex ?? 999));
+  }
+  const seating = engine.seatMembers(members);
+  if (!seating.ok) {
+    throw new ConvexError(seating.error.message);
+  }
+  return seating.members;
+}
+
+/**
+ * Deal a new game for the room's members, seat them, start the first round and mark the room in
+ * progress. Throws a ConvexError if they can't play the room's mode (see seatForGame).
+ */
+export async function createGame(ctx, room, members) {
+  const sortedMembers = seatForGame(room, members);
+  const { engine } = getMode(room.gameMode);
+  const deckCount = engine.DECK_COUNT ?? Math.max(1, room.deckCount ?? 1);
+  const { hands, drawPiles, state } = engine.newGame({
+    userIds: sortedMembers.map((m) => m.userId),
+    deckCount,
+    rules: room.houseRules ?? {},
+  });
+  // Real-time modes have no turns to time
+  const timeLimitSeconds = engine.TURN_BASED === false ? undefined : room.timeLimitSeconds;
+
+  const now = Date.now();
+  const gameId = await ctx.db.insert("games", {
+    roomId: room._id,
+    status: "active",
+    winnerId: undefined,
+    gameMode: room.gameMode,
+    timeLimitSeconds,
+    houseRules: room.houseRules,
+    targetScore: engine.TARGET_SCORE ?? room.targetScore,
+    maxRounds: room.maxRounds,
+    // Modes played under a host-built ruleset (custom) snapshot it like houseRules
+    customRuleset: engine.DEFAULT_RULESET ? room.customRuleset ?? engine.DEFAULT_RULESET : undefined,
+    deckCount,
+    startedAt: now,
+    endedAt: undefined,
+  });
+
+  for (let i = 0; i < sortedMembers.length; i++) {
+    await ctx.db.insert("gamePlayers", {
+      gameId,
+      userId: sortedMembers[i].userId,
+      seatIndex: i,
+      finalScore: 0,
+      placement: undefined,
+      isEliminated: false,
+      isBot: sortedMembers[i].isBot,
+      botLevel: sortedMembers[i].botLevel,
+      hand: hands[i],
+      drawPile: drawPiles?.[i],
+    });
+  }
+
+  const gameStateId = await ctx.db.insert("gameStates", {
+    gameId,
+    turnNumber: 0,
+    turnStartedAt: now,
+    lastAction: undefined,
+    roundNumber: 1,
+    ...state,
+  });
+  await scheduleTurnTimer(ctx, timeLimitSeconds, gameStateId, 0, state.phase);
+  await scheduleBotTurns(ctx, gameStateId, sortedMembers, undefined, { ...state, turnNumber: 0 });
+
+  await ctx.db.patch(room._id, {
+    status: "in_progress",
+    startedAt: now,
+  });
+
+  return gameId;
 }
 
 export const startGame = mutation({
   args: {
     code: v.string(),
-    username: v.string(),
   },
   handler: async (ctx, args) => {
     const room = await ctx.db
@@ -88,15 +385,12 @@ export const startGame = mutation({
       throw new ConvexError("A game is already in progress");
     }
 
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
-
-    if (!user) {
-      throw new ConvexError("User not found");
+    if (room.tournamentId) {
+      throw new ConvexError("Tournament tables are started by the tournament");
     }
 
+    const user = await requireUser(ctx);
+
     const member = await ctx.db
       .query("roomMembers")
       .withIndex("by_room_and_user", (q) =>
@@ -113,67 +407,7 @@ export const startGame = mutation({
       .withIndex("by_room", (q) => q.eq("roomId", room._id))
       .collect();
 
-    if (members.length < 2) {
-      throw new ConvexError("Need at least 2 players to start");
-    }
-
-    if (room.gameMode !== "presidents") {
-      throw new ConvexError("Only Presidents mode can be started. Select Presidents in room settings.");
-    }
-
-    const deckCount = Math.max(1, room.deckCount ?? 1);
-    const fullDeck = buildDeck(deckCount);
-    const shuffled = shuffleArray(fullDeck);
-    const hands = distributeEvenly(shuffled, members.length);
-
-    const now = Date.now();
-    const gameId = await ctx.db.insert("games", {
-      roomId: room._id,
-      status: "active",
-      winnerId: undefined,
-      gameMode: room.gameMode,
-      timeLimitSeconds: room.timeLimitSeconds,
-      startedAt: now,
-      endedAt: undefined,
-    });
-
-    const sortedMembers = [...members].sort(
-      (a, b) => (a.seatIndex ?? 999) - (b.seatIndex ?? 999),
-    );
-
-    for (let i = 0; i < sortedMembers.length; i++) {
-      await ctx.db.insert("gamePlayers", {
-        gameId,
-        userId: sortedMembers[i].userId,
-        seatIndex: i,
-        finalScore: undefined,
-        placement: undefined,
-        isEliminated: false,
-        hand: hands[i],
-      });
-    }
-
-    const firstUserId = sortedMembers[0].userId;
-    await ctx.db.insert("gameStates", {
-      gameId,
-      currentTurnUserId: firstUserId,
-      turnNumber: 0,
-      turnStartedAt: now,
-      deck: [],
-      discardPile: [],
-      direction: "clockwise",
-      phase: "play",
-      lastAction: undefined,
-      lastPlayedCount: 0,
-      lastPlayedRank: undefined,
-      lastPlayedBy: undefined,
-      passedUserIds: [],
-    });
-
-    await ctx.db.patch(room._id, {
-      status: "in_progress",
-      startedAt: now,
-    });
+    const gameId = await createGame(ctx, room, members);
 
     return { gameId };
   },
@@ -182,7 +416,6 @@ export const startGame = mutation({
 export const getGameByRoomCode = query({
   args: {
     code: v.string(),
-    username: v.string(),
   },
   handler: async (ctx, args) => {
     const room = await ctx.db
@@ -192,18 +425,16 @@ export const getGameByRoomCode = query({
 
     if (!room) return null;
 
+    // Latest game: the active one, or a finished match whose standings stay up while the room is in progress
     const game = await ctx.db
       .query("games")
       .withIndex("by_room", (q) => q.eq("roomId", room._id))
-      .filter((q) => q.eq(q.field("status"), "active"))
+      .order("desc")
       .first();
 
-    if (!game) return null;
+    if (!game || (game.status !== "active" && room.status !== "in_progress")) return null;
 
-    const currentUser = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
+    const currentUser = await getCurrentUser(ctx);
 
     if (!currentUser) return null;
 
@@ -229,6 +460,12 @@ export const getGameByRoomCode = query({
       .first();
     const isHost = roomMember?.role === "admin";
 
+    const presence = await ctx.db
+      .query("presence")
+      .withIndex("by_room", (q) => q.eq("roomId", room._id))
+      .collect();
+    const lastSeen = new Map(presence.map((p) => [p.userId, p.lastSeenAt]));
+
     const totalCards = gamePlayers.reduce((sum, p) => sum + p.hand.length, 0);
     const deckCount = Math.ceil(totalCards / 52) || 1;
 
@@ -241,8 +478,14 @@ export const getGameByRoomCode = query({
         userId: gp.userId,
         username: u.username,
         seatIndex: gp.seatIndex,
-        handCount: gp.hand.length,
-        hand: isCurrentUser ? gp.hand : undefined,
+        ...viewPlayerCards(gp, currentUser._id),
+        score: gp.finalScore ?? 0,
+        placement: gp.placement,
+        isBot: gp.isBot,
+        botLevel: gp.botLevel,
+        standIn: gp.standIn,
+        leftAt: gp.leftAt,
+        lastSeenAt: lastSeen.get(gp.userId),
         isCurrentUser,
       };
     }).filter(Boolean);
@@ -250,7 +493,7 @@ export const getGameByRoomCode = query({
     return {
       game,
       players,
-      gameState,
+      gameState: viewGameState(gameState, currentUser._id),
       deckCount,
       totalCards,
       isHost,
@@ -258,252 +501,52 @@ export const getGameByRoomCode = query({
   },
 });
 
-function getNextPlayer(gamePlayers, currentUserId) {
-  const sorted = [...gamePlayers].sort((a, b) => a.seatIndex - b.seatIndex);
-  const idx = sorted.findIndex((p) => p.userId === currentUserId);
-  if (idx < 0) return sorted[0].userId;
-  return sorted[(idx + 1) % sorted.length].userId;
-}
-
-/** Next player in order who can play: not passed and has cards (not a spectator). Returns null if no one can play. */
-function getNextPlayerToPlay(gamePlayers, currentUserId, passedUserIds, skipUserIdsOrZeroCardMap) {
-  const sorted = [...gamePlayers].sort((a, b) => a.seatIndex - b.seatIndex);
-  const idx = sorted.findIndex((p) => p.userId === currentUserId);
-  if (idx < 0) return sorted[0].userId;
-  const passedSet = new Set(passedUserIds ?? []);
-  const skipSet = skipUserIdsOrZeroCardMap instanceof Set
-    ? skipUserIdsOrZeroCardMap
-    : new Set();
-  for (let i = 1; i < sorted.length; i++) {
-    const next = sorted[(idx + i) % sorted.length];
-    if (next.userId !== currentUserId && !passedSet.has(next.userId) && !skipSet.has(next.userId)) return next.userId;
-  }
-  return null;
-}
-
+/**
+ * Play cards in any mode; the mode's engine decides what is legal. In Speed there are no turns,
+ * so two players can race for the same center pile. Convex runs each mutation as a serializable
+ * transaction: when two plays read the same pile, one commits and the other is retried against
+ * the new state, where expectedTop no longer matches and the engine rejects it.
+ */
 export const playCards = mutation({
   args: {
     code: v.string(),
-    username: v.string(),
     cardIds: v.array(v.string()),
+    suit: v.optional(v.string()),         // classic: suit to follow when playing an 8
+    pileIndex: v.optional(v.number()),    // speed: center pile to play onto
+    expectedTop: v.optional(v.string()),  // speed: top card of that pile as the player saw it
   },
   handler: async (ctx, args) => {
     if (args.cardIds.length === 0) {
       throw new ConvexError("Select at least one card to play");
     }
-    const room = await ctx.db
-      .query("rooms")
-      .withIndex("by_code", (q) => q.eq("code", args.code))
-      .first();
-    if (!room) throw new ConvexError("Room not found");
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
-    if (!user) throw new ConvexError("User not found");
-    const game = await ctx.db
-      .query("games")
-      .withIndex("by_room", (q) => q.eq("roomId", room._id))
-      .filter((q) => q.eq(q.field("status"), "active"))
-      .first();
-    if (!game) throw new ConvexError("Game not found");
-    if (game.gameMode !== "presidents") {
-      throw new ConvexError("This game is not Presidents mode");
-    }
-    const gameState = await ctx.db
-      .query("gameStates")
-      .withIndex("by_game", (q) => q.eq("gameId", game._id))
-      .first();
-    if (!gameState || gameState.phase === "round_ended" || gameState.phase === "exchange") {
-      throw new ConvexError(gameState?.phase === "exchange" ? "Complete the card exchange first" : "Round has ended; wait for the host to restart");
-    }
-    if (gameState.currentTurnUserId !== user._id) {
-      throw new ConvexError("Not your turn");
-    }
-    const gamePlayers = await ctx.db
-      .query("gamePlayers")
-      .withIndex("by_game", (q) => q.eq("gameId", game._id))
-      .collect();
-    const gp = gamePlayers.find((p) => p.userId === user._id);
-    if (!gp) throw new ConvexError("You are not in this game");
-    const hand = [...gp.hand];
-    for (const cid of args.cardIds) {
-      const i = hand.indexOf(cid);
-      if (i < 0) throw new ConvexError("Card not in hand");
-      hand.splice(i, 1);
-    }
-    const ranks = args.cardIds.map((id) => id[0]);
-    const twos = ranks.filter((r) => r === "2");
-    const nonTwos = ranks.filter((r) => r !== "2");
-    if (twos.length === args.cardIds.length) {
-      throw new ConvexError("2 cannot be played alone (joker must go with another rank)");
-    }
-    const uniqueNonTwo = [...new Set(nonTwos)];
-    if (uniqueNonTwo.length > 1) {
-      throw new ConvexError("Play same rank only (2 counts as joker)");
-    }
-    const playRank = uniqueNonTwo.length ? uniqueNonTwo[0] : "2";
-    const lastCount = gameState.lastPlayedCount ?? 0;
-    const lastRank = gameState.lastPlayedRank ?? null;
-    if (lastCount > 0) {
-      if (args.cardIds.length < lastCount) {
-        throw new ConvexError(`Play at least ${lastCount} card(s)`);
-      }
-      if (rankValue(playRank) > rankValue(lastRank)) {
-        throw new ConvexError("Play same or higher rank");
-      }
-    }
-    const newHand = hand;
-    await ctx.db.patch(gp._id, { hand: newHand });
-    const passedUserIds = gameState.passedUserIds ?? [];
-    const discardPile = [...(gameState.discardPile ?? []), ...args.cardIds];
-    let finishedOrder = gameState.finishedOrder ?? [];
-    if (newHand.length === 0 && !finishedOrder.includes(user._id)) {
-      finishedOrder = [...finishedOrder, user._id];
-    }
-    const playerJustFinished = newHand.length === 0;
-    const zeroCardUserIds = gamePlayers
-      .filter((p) => (p._id === gp._id ? newHand.length : p.hand.length) === 0)
-      .map((p) => p.userId);
-    const skipSpectators = new Set(zeroCardUserIds);
-    const nextUserIdRaw = getNextPlayerToPlay(gamePlayers, user._id, passedUserIds, skipSpectators);
-    const samePlayerLeadsAgain = nextUserIdRaw === null;
-    const nextUserId = nextUserIdRaw !== null ? nextUserIdRaw : user._id;
-
-    const playersWithCards = gamePlayers.map((p) =>
-      p._id === gp._id ? newHand.length : p.hand.length
-    ).filter((c) => c > 0).length;
-    const onlyOneHasCards = playersWithCards === 1;
-
-    if (playerJustFinished && onlyOneHasCards) {
-      const roundLoserId = gamePlayers.find((p) => (p._id === gp._id ? newHand.length : p.hand.length) > 0)?.userId;
-      const finishedOrderWithLoser = roundLoserId ? [...finishedOrder, roundLoserId] : finishedOrder;
-      await ctx.db.patch(gameState._id, {
-        phase: "round_ended",
-        finishedOrder: finishedOrderWithLoser,
-        roundLoserId,
-        currentTurnUserId: nextUserId,
-        discardPile,
-        lastPlayedCount: 0,
-        lastPlayedRank: undefined,
-        lastPlayedBy: undefined,
-        turnNumber: gameState.turnNumber + 1,
-        turnStartedAt: Date.now(),
-      });
-    } else {
-      const clearTable = playerJustFinished || samePlayerLeadsAgain;
-      await ctx.db.patch(gameState._id, {
-        currentTurnUserId: nextUserId,
-        lastPlayedCount: clearTable ? 0 : args.cardIds.length,
-        lastPlayedRank: clearTable ? undefined : playRank,
-        lastPlayedBy: clearTable ? undefined : user._id,
-        discardPile: clearTable ? [] : discardPile,
-        turnNumber: gameState.turnNumber + 1,
-        turnStartedAt: Date.now(),
-        ...((samePlayerLeadsAgain || playerJustFinished) ? { passedUserIds: [] } : {}),
-        ...(finishedOrder.length > 0 ? { finishedOrder } : {}),
-      });
-    }
+    const { user, game, gameState, gamePlayers } = await loadActiveGame(ctx, args.code);
+    await runAction(ctx, game, gameState, gamePlayers, {
+      type: "play",
+      userId: user._id,
+      cardIds: args.cardIds,
+      suit: args.suit,
+      pileIndex: args.pileIndex,
+      expectedTop: args.expectedTop,
+    });
   },
 });
 
 export const pass = mutation({
   args: {
     code: v.string(),
-    username: v.string(),
   },
   handler: async (ctx, args) => {
-    const room = await ctx.db
-      .query("rooms")
-      .withIndex("by_code", (q) => q.eq("code", args.code))
-      .first();
-    if (!room) throw new ConvexError("Room not found");
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
-    if (!user) throw new ConvexError("User not found");
-    const game = await ctx.db
-      .query("games")
-      .withIndex("by_room", (q) => q.eq("roomId", room._id))
-      .filter((q) => q.eq(q.field("status"), "active"))
-      .first();
-    if (!game) throw new ConvexError("Game not found");
-    if (game.gameMode !== "presidents") {
-      throw new ConvexError("This game is not Presidents mode");
-    }
-    const gameState = await ctx.db
-      .query("gameStates")
-      .withIndex("by_game", (q) => q.eq("gameId", game._id))
-      .first();
-    if (!gameState || gameState.phase === "round_ended" || gameState.phase === "exchange") {
-      throw new ConvexError(gameState?.phase === "exchange" ? "Complete the card exchange first" : "Round has ended; wait for the host to restart");
-    }
-    if (gameState.currentTurnUserId !== user._id) {
-      throw new ConvexError("Not your turn");
-    }
-    const lastPlayedCount = gameState.lastPlayedCount ?? 0;
-    if (lastPlayedCount === 0) {
-      throw new ConvexError("You must lead; you cannot pass");
-    }
-    const gamePlayers = await ctx.db
-      .query("gamePlayers")
-      .withIndex("by_game", (q) => q.eq("gameId", game._id))
-      .collect();
-    const passedUserIds = [...(gameState.passedUserIds ?? []), user._id];
-    const lastPlayedBy = gameState.lastPlayedBy ?? null;
-    const numPlayers = gamePlayers.length;
-    const zeroCardUserIds = gamePlayers.filter((p) => p.hand.length === 0).map((p) => p.userId);
-    const skipSpectators = new Set(zeroCardUserIds);
-    const nextUserId = getNextPlayerToPlay(gamePlayers, user._id, passedUserIds, skipSpectators);
-    if (nextUserId === null) {
-      // Everyone passed — shouldn't happen; fallback to lastPlayedBy leading
-      await ctx.db.patch(gameState._id, {
-        currentTurnUserId: lastPlayedBy,
-        lastPlayedCount: 0,
-        lastPlayedRank: undefined,
-        lastPlayedBy: undefined,
-        passedUserIds: [],
-        turnNumber: gameState.turnNumber + 1,
-        turnStartedAt: Date.now(),
-      });
-    } else if (lastPlayedBy !== null && nextUserId === lastPlayedBy && passedUserIds.length >= numPlayers - 1) {
-      await ctx.db.patch(gameState._id, {
-        currentTurnUserId: lastPlayedBy,
-        lastPlayedCount: 0,
-        lastPlayedRank: undefined,
-        lastPlayedBy: undefined,
-        passedUserIds: [],
-        turnNumber: gameState.turnNumber + 1,
-        turnStartedAt: Date.now(),
-      });
-    } else {
-      await ctx.db.patch(gameState._id, {
-        currentTurnUserId: nextUserId,
-        passedUserIds,
-        turnNumber: gameState.turnNumber + 1,
-        turnStartedAt: Date.now(),
-      });
-    }
+    const { user, game, gameState, gamePlayers } = await loadActiveGame(ctx, args.code);
+    await runAction(ctx, game, gameState, gamePlayers, { type: "pass", userId: user._id });
   },
 });
 
 export const restartRound = mutation({
   args: {
     code: v.string(),
-    username: v.string(),
   },
   handler: async (ctx, args) => {
-    const room = await ctx.db
-      .query("rooms")
-      .withIndex("by_code", (q) => q.eq("code", args.code))
-      .first();
-    if (!room) throw new ConvexError("Room not found");
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
-    if (!user) throw new ConvexError("User not found");
+    const { room, user, game, gameState, gamePlayers } = await loadActiveGame(ctx, args.code);
     const member = await ctx.db
       .query("roomMembers")
       .withIndex("by_room_and_user", (q) =>
@@ -513,182 +556,128 @@ export const restartRound = mutation({
     if (!member || member.role !== "admin") {
       throw new ConvexError("Only the host can restart the round");
     }
-    const game = await ctx.db
-      .query("games")
-      .withIndex("by_room", (q) => q.eq("roomId", room._id))
-      .filter((q) => q.eq(q.field("status"), "active"))
-      .first();
-    if (!game) throw new ConvexError("Game not found");
-    if (game.gameMode !== "presidents") {
-      throw new ConvexError("This game is not Presidents mode");
+    await runAction(ctx, game, gameState, gamePlayers, { type: "restart" });
+  },
+});
+
+export const submitExchangeSelection = mutation({
+  args: {
+    code: v.string(),
+    cardIds: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const { user, game, gameState, gamePlayers } = await loadActiveGame(ctx, args.code);
+    await runAction(ctx, game, gameState, gamePlayers, {
+      type: "exchange",
+      userId: user._id,
+      cardIds: args.cardIds,
+    });
+  },
+});
+
+/**
+ * Host only: close the match and send everyone back to the lobby. A match still in progress is
+ * finished on its current scores, and counts toward match stats like one played to the end.
+ */
+export const endMatch = mutation({
+  args: {
+    code: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { room, member, game } = await loadLatestGame(ctx, args.code);
+    if (!member || member.role !== "admin") {
+      throw new ConvexError("Only the host can end the match");
     }
-    const gameState = await ctx.db
-      .query("gameStates")
-      .withIndex("by_game", (q) => q.eq("gameId", game._id))
-      .first();
-    if (!gameState || gameState.phase !== "round_ended") {
-      throw new ConvexError("Round has not ended");
+    if (room.status !== "in_progress") {
+      throw new ConvexError("No match in progress");
     }
-    const gamePlayers = await ctx.db
-      .query("gamePlayers")
-      .withIndex("by_game", (q) => q.eq("gameId", game._id))
-      .collect();
-    const finishedOrder = gameState.finishedOrder ?? [];
-    const n = gamePlayers.length;
-    const firstLeaderId = finishedOrder.length > 0 ? finishedOrder[0] : gamePlayers.sort((a, b) => a.seatIndex - b.seatIndex)[0].userId;
-
-    const allCards = [
-      ...gamePlayers.flatMap((p) => p.hand),
-      ...(gameState.discardPile ?? []),
-    ];
-    const shuffled = shuffleArray(allCards);
-    const hands = distributeEvenly(shuffled, n);
-
-    const sortedPlayers = [...gamePlayers].sort((a, b) => a.seatIndex - b.seatIndex);
-    const playerIdxByUserId = new Map(sortedPlayers.map((p, i) => [p.userId, i]));
-
-    // Playing order = position in last round (winner first). Reassign seatIndex and assign hands by finishedOrder.
-    const newHandsByOrder = finishedOrder.length === n
-      ? finishedOrder.map((userId) => hands[playerIdxByUserId.get(userId)] ?? [])
-      : hands;
-    for (let i = 0; i < n; i++) {
-      const userId = finishedOrder.length === n ? finishedOrder[i] : sortedPlayers[i].userId;
-      const gp = gamePlayers.find((p) => p.userId === userId);
-      if (!gp) continue;
-      const hand = finishedOrder.length === n ? newHandsByOrder[i] : hands[i];
-      await ctx.db.patch(gp._id, { seatIndex: i, hand });
+    if (room.tournamentId && game.status === "active") {
+      throw new ConvexError("Tournament matches are played to the end");
     }
-
-    // Build exchange pairs: 2–3 swap 1 each; 4+ first↔last 2, second↔second-last 1
-    let exchangePairs = [];
-    if (finishedOrder.length >= n) {
-      if (n === 2 || n === 3) {
-        const winnerId = finishedOrder[0];
-        const loserId = finishedOrder[n - 1];
-        exchangePairs = [
-          { fromUserId: loserId, toUserId: winnerId, count: 1 },
-          { fromUserId: winnerId, toUserId: loserId, count: 1 },
-        ];
-      } else if (n >= 4) {
-        const firstId = finishedOrder[0];
-        const lastId = finishedOrder[n - 1];
-        const secondId = finishedOrder[1];
-        const secondLastId = finishedOrder[n - 2];
-        exchangePairs = [
-          { fromUserId: firstId, toUserId: lastId, count: 2 },
-          { fromUserId: lastId, toUserId: firstId, count: 2 },
-          { fromUserId: secondId, toUserId: secondLastId, count: 1 },
-          { fromUserId: secondLastId, toUserId: secondId, count: 1 },
-        ];
-      }
+    if (game.status === "active") {
+      await finishMatchEarly(ctx, game);
     }
-
-    const now = Date.now();
-    await ctx.db.patch(gameState._id, {
-      phase: exchangePairs.length > 0 ? "exchange" : "play",
-      currentTurnUserId: firstLeaderId,
-      turnNumber: gameState.turnNumber + 1,
-      turnStartedAt: now,
-      discardPile: [],
-      lastPlayedCount: 0,
-      lastPlayedRank: undefined,
-      lastPlayedBy: undefined,
-      passedUserIds: [],
-      finishedOrder: undefined,
-      roundLoserId: undefined,
-      exchangePairs: exchangePairs.length > 0 ? exchangePairs : undefined,
-      exchangeSelections: [],
-      roundLeaderId: exchangePairs.length > 0 ? firstLeaderId : undefined,
-    });
+    await ctx.db.patch(room._id, { status: "waiting" });
   },
 });
 
-export const submitExchangeSelection = mutation({
+/**
+ * Vote to play again once a match is over. When a majority of the players still in the room
+ * have voted, a fresh game starts with those players and the room's current settings.
+ */
+export const voteRematch = mutation({
   args: {
     code: v.string(),
-    username: v.string(),
-    cardIds: v.array(v.string()),
   },
   handler: async (ctx, args) => {
-    const room = await ctx.db
-      .query("rooms")
-      .withIndex("by_code", (q) => q.eq("code", args.code))
-      .first();
-    if (!room) throw new ConvexError("Room not found");
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
-    if (!user) throw new ConvexError("User not found");
-    const game = await ctx.db
-      .query("games")
-      .withIndex("by_room", (q) => q.eq("roomId", room._id))
-      .filter((q) => q.eq(q.field("status"), "active"))
-      .first();
-    if (!game) throw new ConvexError("Game not found");
-    if (game.gameMode !== "presidents") {
-      throw new ConvexError("This game is not Presidents mode");
+    const { room, user, member, game } = await loadLatestGame(ctx, args.code);
+    if (room.status !== "in_progress" || game.status !== "finished") {
+      throw new ConvexError("The match is not over yet");
     }
-    const gameState = await ctx.db
-      .query("gameStates")
-      .withIndex("by_game", (q) => q.eq("gameId", game._id))
-      .first();
-    if (!gameState || gameState.phase !== "exchange") {
-      throw new ConvexError("Not in exchange phase");
-    }
-    const exchangePairs = gameState.exchangePairs ?? [];
-    const myPair = exchangePairs.find((p) => p.fromUserId === user._id);
-    if (!myPair) throw new ConvexError("You are not giving cards in this exchange");
-    if (args.cardIds.length !== myPair.count) {
-      throw new ConvexError(`Select exactly ${myPair.count} card(s) to give`);
+    if (room.tournamentId) {
+      throw new ConvexError("Tournament tables have no rematches");
     }
     const gamePlayers = await ctx.db
       .query("gamePlayers")
       .withIndex("by_game", (q) => q.eq("gameId", game._id))
       .collect();
-    const gp = gamePlayers.find((p) => p.userId === user._id);
-    if (!gp) throw new ConvexError("You are not in this game");
-    const handSet = new Set(gp.hand);
-    for (const cid of args.cardIds) {
-      if (!handSet.has(cid)) throw new ConvexError("Selected card not in your hand");
+    if (!member || !gamePlayers.some((gp) => gp.userId === user._id)) {
+      throw new ConvexError("You are not in this game");
     }
 
-    const existing = gameState.exchangeSelections ?? [];
-    const withoutMe = existing.filter((s) => s.fromUserId !== user._id);
-    const newSelections = [...withoutMe, { fromUserId: user._id, cardIds: args.cardIds }];
-
-    const allIn = exchangePairs.every((p) => {
-      const sel = newSelections.find((s) => s.fromUserId === p.fromUserId);
-      return sel && sel.cardIds.length === p.count;
-    });
+    const votes = [...new Set([...(game.rematchVotes ?? []), user._id])];
+    await ctx.db.patch(game._id, { rematchVotes: votes });
 
-    if (allIn) {
-      const handsByUserId = new Map(gamePlayers.map((p) => [p.userId, [...p.hand]]));
-      for (const p of exchangePairs) {
-        const sel = newSelections.find((s) => s.fromUserId === p.fromUserId);
-        if (!sel || sel.cardIds.length !== p.count) continue;
-        const fromHand = handsByUserId.get(p.fromUserId) ?? [];
-        const toHand = handsByUserId.get(p.toUserId) ?? [];
-        const set = new Set(sel.cardIds);
-        handsByUserId.set(p.fromUserId, fromHand.filter((c) => !set.has(c)));
-        handsByUserId.set(p.toUserId, [...toHand, ...sel.cardIds]);
-      }
-      for (const gp of gamePlayers) {
-        const hand = handsByUserId.get(gp.userId) ?? gp.hand;
-        await ctx.db.patch(gp._id, { hand });
-      }
-      const now = Date.now();
-      await ctx.db.patch(gameState._id, {
-        phase: "play",
-        currentTurnUserId: gameState.roundLeaderId,
-        turnNumber: gameState.turnNumber + 1,
-        turnStartedAt: now,
-        exchangePairs: undefined,
-        exchangeSelections: undefined,
-        roundLeaderId: undefined,
-      });
-    } else {
-      await ctx.db.patch(gameState._id, { exchangeSelections: newSelections });
+    const members = await ctx.db
+      .query("roomMembers")
+      .withIndex("by_room", (q) => q.eq("roomId", room._id))
+      .collect();
+    const playerIds = new Set(gamePlayers.map((gp) => gp.userId));
+    const stillHere = members.filter((m) => playerIds.has(m.userId));
+    // Bots are always up for another match
+    const votesHere = stillHere.filter((m) => m.isBot || votes.includes(m.userId)).length;
+    if (stillHere.length < 2 || votesHere * 2 <= stillHere.length) {
+      return { started: false };
     }
+
+    await createGame(ctx, room, stillHere);
+    return { started: true };
+  },
+});
+
+/**
+ * Scheduled by scheduleTurnTimer: acts for a player whose turn ran past the game's time limit, or
+ * in an exchange, gives the cards for everyone who hasn't chosen yet.
+ */
+export const expireTurn = internalMutation({
+  args: {
+    gameStateId: v.id("gameStates"),
+    turnNumber: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const gameState = await ctx.db.get(args.gameStateId);
+    // The player already acted (or the round moved on); this timer is stale.
+    if (!gameState || gameState.turnNumber !== args.turnNumber) return;
+    const game = await ctx.db.get(gameState.gameId);
+    if (!game || game.status !== "active") return;
+    const gamePlayers = await ctx.db
+      .query("gamePlayers")
+      .withIndex("by_game", (q) => q.eq("gameId", game._id))
+      .collect();
+    const engine = engineFor(game);
+    let state = toEngineState(game, gameState, gamePlayers);
+    const late = state.phase === "exchange"
+      ? (state.exchangePairs ?? []).map((p) => p.fromUserId)
+        .filter((userId) => !(state.exchangeSelections ?? []).some((s) => s.fromUserId === userId))
+      : [state.currentTurnUserId];
+    let acted = false;
+    for (const userId of late) {
+      const action = engine.getTimeoutAction(state, userId);
+      const result = action ? engine.applyAction(state, action) : null;
+      if (!result?.ok) continue;
+      state = result.state;
+      acted = true;
+    }
+    if (acted) await saveEngineState(ctx, game, gameState, gamePlayers, state);
   },
 });
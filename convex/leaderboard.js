@@ -0,0 +1,63 @@
+import { query } from "./_generated/server";
+import { v } from "convex/values";
+
+const LEADERBOARD_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGE_DAYS = { week: 7, month: 30 };
+// Most rating events read for a week or month board; a busier window counts only its latest rounds
+const RANGE_EVENT_LIMIT = 4000;
+
+export const getLeaderboard = query({
+  args: {
+    gameMode: v.string(),
+    range: v.union(v.literal("all"), v.literal("month"), v.literal("week")),
+  },
+  handler: async (ctx, args) => {
+    let rows;
+
+    if (args.range === "all") {
+      const ratings = await ctx.db
+        .query("ratings")
+        .withIndex("by_mode_and_rating", (q) => q.eq("gameMode", args.gameMode))
+        .order("desc")
+        .take(LEADERBOARD_LIMIT);
+      rows = ratings.map((r) => ({
+        userId: r.userId,
+        rating: r.rating,
+        rounds: r.roundsRated,
+        change: undefined,
+      }));
+    } else {
+      // Only players who played in the window; ranked by their rating at its end
+      const since = Date.now() - RANGE_DAYS[args.range] * DAY_MS;
+      const events = await ctx.db
+        .query("ratingEvents")
+        .withIndex("by_mode_and_time", (q) => q.eq("gameMode", args.gameMode).gte("createdAt", since))
+        .order("desc")
+        .take(RANGE_EVENT_LIMIT);
+      const byUser = new Map();
+      for (const e of events) {
+        // Newest first, so a user's first event is their latest rating
+        const row = byUser.get(e.userId) ?? { userId: e.userId, rating: e.rating, rounds: 0, change: 0 };
+        row.rounds += 1;
+        row.change += e.delta;
+        byUser.set(e.userId, row);
+      }
+      rows = [...byUser.values()]
+        .sort((a, b) => b.rating - a.rating)
+        .slice(0, LEADERBOARD_LIMIT);
+    }
+
+    const users = await Promise.all(rows.map((r) => ctx.db.get(r.userId)));
+    return rows
+      .map((r, i) => ({ ...r, user: users[i] }))
+      .filter((r) => r.user)
+      .map((r, i) => ({
+        rank: i + 1,
+        username: r.user.username,
+        rating: Math.round(r.rating),
+        rounds: r.rounds,
+        change: r.change === undefined ? undefined : Math.round(r.change),
+      }));
+  },
+});
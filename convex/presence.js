@@ -0,0 +1,124 @@
+// Presence. While the room or game page is open it calls heartbeat every HEARTBEAT_MS; players
+// show as online while their last heartbeat is recent (rules/presence.js). checkAwayPlayers runs
+// on a cron (crons.js) and keeps games moving for anyone gone longer than AWAY_GRACE_MS: in modes
+// with bots a Medium bot stands in for them (gamePlayers.standIn) until their next heartbeat,
+// and otherwise their turn is passed for them as the turn timer would.
+
+import { internalMutation, mutation } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { v } from "convex/values";
+import { AWAY_GRACE_MS } from "./rules/presence";
+import { engineFor, saveEngineState, toEngineState } from "./games";
+import { getCurrentUser } from "./users";
+
+/** Whether userId has something to do in gameState: their turn to play, or cards still to give. */
+function mustAct(gameState, userId) {
+  if (gameState.phase === "play") return gameState.currentTurnUserId === userId;
+  if (gameState.phase !== "exchange") return false;
+  return (gameState.exchangePairs ?? []).some((p) => p.fromUserId === userId)
+    && !(gameState.exchangeSelections ?? []).some((s) => s.fromUserId === userId);
+}
+
+/** Called by the room and game pages while they're open. Takes control back from a stand-in bot. */
+export const heartbeat = mutation({
+  args: {
+    code: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const room = await ctx.db
+      .query("rooms")
+      .withIndex("by_code", (q) => q.eq("code", args.code))
+      .first();
+    const user = await getCurrentUser(ctx);
+    // Not signed in yet, or the room code is wrong
+    if (!room || !user) return;
+
+    const now = Date.now();
+    const existing = await ctx.db
+      .query("presence")
+      .withIndex("by_room_and_user", (q) => q.eq("roomId", room._id).eq("userId", user._id))
+      .first();
+    // Only the presence row changes on each beat: patching the user too would rerun every query
+    // that reads users (every room and game page), not just the presence readers
+    if (existing) {
+      await ctx.db.patch(existing._id, { lastSeenAt: now });
+    } else {
+      await ctx.db.insert("presence", { roomId: room._id, userId: user._id, lastSeenAt: now });
+      // The profile's last seen falls back to this once the room and its presence rows are gone
+      await ctx.db.patch(user._id, { lastSeenAt: now });
+    }
+
+    const game = await ctx.db
+      .query("games")
+      .withIndex("by_room", (q) => q.eq("roomId", room._id))
+      .filter((q) => q.eq(q.field("status"), "active"))
+      .first();
+    if (!game) return;
+    const gamePlayer = await ctx.db
+      .query("gamePlayers")
+      .withIndex("by_game_and_user", (q) => q.eq("gameId", game._id).eq("userId", user._id))
+      .first();
+    // Someone who left the game only gets their seat back by rejoining the room
+    if (gamePlayer?.standIn && !gamePlayer.leftAt) {
+      await ctx.db.patch(gamePlayer._id, { standIn: undefined });
+    }
+  },
+});
+
+/** Cron: hand away players' seats in active games to a stand-in bot, or pass their turn. */
+export const checkAwayPlayers = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const now = Date.now();
+    const games = await ctx.db
+      .query("games")
+      .withIndex("by_status", (q) => q.eq("status", "active"))
+      .collect();
+    for (const game of games) {
+      const gameState = await ctx.db
+        .query("gameStates")
+        .withIndex("by_game", (q) => q.eq("gameId", game._id))
+        .first();
+      if (!gameState || gameState.phase === "round_ended") continue;
+      const gamePlayers = await ctx.db
+        .query("gamePlayers")
+        .withIndex("by_game", (q) => q.eq("gameId", game._id))
+        .collect();
+      const presence = await ctx.db
+        .query("presence")
+        .withIndex("by_room", (q) => q.eq("roomId", game.roomId))
+        .collect();
+      const lastSeen = new Map(presence.map((p) => [p.userId, p.lastSeenAt]));
+      // Someone who has never sent a heartbeat counts from the start of the game
+      const away = gamePlayers.filter((gp) =>
+        !gp.isBot && !gp.standIn && now - (lastSeen.get(gp.userId) ?? game.startedAt) > AWAY_GRACE_MS,
+      );
+      if (away.length === 0) continue;
+
+      const engine = engineFor(game);
+      if (engine.chooseBotAction) {
+        for (const gp of away) {
+          await ctx.db.patch(gp._id, { standIn: true });
+          if (mustAct(gameState, gp.userId)) {
+            await ctx.scheduler.runAfter(0, internal.bots.takeTurn, {
+              gameStateId: gameState._id,
+              turnNumber: gameState.turnNumber,
+              userId: gp.userId,
+            });
+          }
+        }
+        continue;
+      }
+
+      // No bots for this mode: pass for whoever is on turn, at most once per grace period
+      if (engine.TURN_BASED === false) continue;
+      const onTurn = away.some((gp) => gp.userId === gameState.currentTurnUserId);
+      if (!onTurn || now - gameState.turnStartedAt < AWAY_GRACE_MS) continue;
+      const state = toEngineState(game, gameState, gamePlayers);
+      const action = engine.getTimeoutAction(state);
+      const result = action ? engine.applyAction(state, action) : null;
+      if (!result?.ok) continue;
+      await saveEngineState(ctx, game, gameState, gamePlayers, result.state);
+    }
+  },
+});
@@ -0,0 +1,103 @@
+import { query } from "./_generated/server";
+import { v } from "convex/values";
+
+const RECENT_GAMES_LIMIT = 10;
+
+export const getProfile = query({
+  args: {
+    username: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.db
+      .query("users")
+      .withIndex("by_username", (q) => q.eq("username", args.username))
+      .first();
+
+    if (!user) return null;
+
+    // Heartbeats only touch presence rows; users.lastSeenAt is stamped when a room is first opened
+    const presence = await ctx.db
+      .query("presence")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .collect();
+    const lastSeenAt = Math.max(user.lastSeenAt, ...presence.map((p) => p.lastSeenAt));
+
+    const modeStats = await ctx.db
+      .query("userStats")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .collect();
+
+    const totals = modeStats.reduce(
+      (sum, s) => ({
+        roundsPlayed: sum.roundsPlayed + s.roundsPlayed,
+        totalFinishPosition: sum.totalFinishPosition + s.totalFinishPosition,
+        timesPresident: sum.timesPresident + s.roundsWon,
+        timesScum: sum.timesScum + s.roundsLost,
+      }),
+      { roundsPlayed: 0, totalFinishPosition: 0, timesPresident: 0, timesScum: 0 },
+    );
+
+    const averageFinish = (played, total) => (played > 0 ? total / played : null);
+
+    const byMode = modeStats.map((s) => ({
+      gameMode: s.gameMode,
+      roundsPlayed: s.roundsPlayed,
+      timesPresident: s.roundsWon,
+      timesScum: s.roundsLost,
+      averageFinish: averageFinish(s.roundsPlayed, s.totalFinishPosition),
+      matchesPlayed: s.matchesPlayed,
+      matchesWon: s.matchesWon,
+    }));
+
+    // Most recent games first; gamePlayers rows are created when a game starts
+    const recentEntries = await ctx.db
+      .query("gamePlayers")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .order("desc")
+      .take(RECENT_GAMES_LIMIT);
+
+    const recentGames = (
+      await Promise.all(
+        recentEntries.map(async (entry) => {
+          const game = await ctx.db.get(entry.gameId);
+          if (!game) return null;
+          const tablePlayers = await ctx.db
+            .query("gamePlayers")
+            .withIndex("by_game", (q) => q.eq("gameId", game._id))
+            .collect();
+          const winner = game.winnerId ? await ctx.db.get(game.winnerId) : null;
+          return {
+            gameId: game._id,
+            gameMode: game.gameMode,
+            status: game.status,
+            startedAt: game.startedAt,
+            endedAt: game.endedAt,
+            playerCount: tablePlayers.length,
+            score: entry.finalScore ?? 0,
+            placement: entry.placement,
+            winnerUsername: winner?.username,
+          };
+        }),
+      )
+    ).filter(Boolean);
+
+    return {
+      username: user.username,
+      avatarUrl: user.avatarUrl,
+      joinedAt: user.createdAt,
+      lastSeenAt,
+      // Finished matches; the round counts below come from userStats
+      record: {
+        played: user.gamesPlayed,
+        won: user.gamesWon,
+        lost: user.gamesLost,
+      },
+      roundsPlayed: totals.roundsPlayed,
+      averageFinish: averageFinish(totals.roundsPlayed, totals.totalFinishPosition),
+      timesPresident: totals.timesPresident,
+      timesScum: totals.timesScum,
+      byMode,
+      recentGames,
+    };
+  },
+});
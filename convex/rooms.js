@@ -1,7 +1,12 @@
 import { mutation, query } from "./_generated/server";
 import { v, ConvexError } from "convex/values";
+import { customRuleset, houseRules } from "./schema";
+import { finishMatchEarly, forfeitPlayer, rejoinGame } from "./games";
+import { getCurrentUser, requireUser } from "./users";
+import { validateRuleset } from "./rules/custom";
+import { TEAM_NAMES } from "./rules/teams";
 
-function generateRoomCode() {
+export function generateRoomCode() {
   const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
   let code = "";
   for (let i = 0; i < 6; i++) {
@@ -10,6 +15,15 @@ function generateRoomCode() {
   return code;
 }
 
+/** Generate a code nothing in table (rooms, or tournaments, both indexed by_code) is using yet. */
+export async function generateUniqueCode(ctx, table = "rooms") {
+  let code = generateRoomCode();
+  while (await ctx.db.query(table).withIndex("by_code", (q) => q.eq("code", code)).first()) {
+    code = generateRoomCode();
+  }
+  return code;
+}
+
 async function getOrCreateSystemUser(ctx) {
   const existing = await ctx.db
     .query("users")
@@ -42,26 +56,16 @@ export const createRoom = mutation({
       v.literal("custom"),
       v.literal("chaos"),
       v.literal("presidents"),
+      v.literal("bigtwo"),
+      v.literal("hearts"),
+      v.literal("teams"),
     ),
     maxPlayers: v.number(),
   },
   handler: async (ctx, args) => {
     const adminId = await getOrCreateSystemUser(ctx);
 
-    // Generate a unique room code
-    let code;
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const candidate = generateRoomCode();
-      const existing = await ctx.db
-        .query("rooms")
-        .withIndex("by_code", (q) => q.eq("code", candidate))
-        .first();
-      if (!existing) {
-        code = candidate;
-        break;
-      }
-    }
+    const code = await generateUniqueCode(ctx);
 
     const now = Date.now();
     const roomId = await ctx.db.insert("rooms", {
@@ -87,7 +91,6 @@ export const createRoom = mutation({
 export const joinRoom = mutation({
   args: {
     code: v.string(),
-    username: v.string(),
   },
   handler: async (ctx, args) => {
     const room = await ctx.db
@@ -99,31 +102,7 @@ export const joinRoom = mutation({
       throw new ConvexError("Room not found");
     }
 
-    // Find or create a simple user record based on username
-    let user = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
-
-    if (!user) {
-      const now = Date.now();
-      const userId = await ctx.db.insert("users", {
-        clerkId: `local_${now}_${Math.random().toString(36).slice(2, 8)}`,
-        email: `${args.username.toLowerCase()}+local@example.com`,
-        username: args.username,
-        avatarUrl: undefined,
-        gamesPlayed: 0,
-        gamesWon: 0,
-        gamesLost: 0,
-        createdAt: now,
-        lastSeenAt: now,
-      });
-      user = await ctx.db.get(userId);
-    }
-
-    if (!user) {
-      throw new ConvexError("Failed to create user");
-    }
+    const user = await requireUser(ctx);
 
     // Check if the user is already a member of the room
     let member = await ctx.db
@@ -152,6 +131,8 @@ export const joinRoom = mutation({
       });
 
       member = await ctx.db.get(memberId);
+      // Back within the grace period after leaving mid-game: take their seat again
+      if (room.status === "in_progress") await rejoinGame(ctx, room, user._id);
     }
 
     return {
@@ -178,6 +159,11 @@ export const getRoomByCode = query({
 
     const users = await Promise.all(members.map((m) => ctx.db.get(m.userId)));
     const usersById = new Map(users.filter(Boolean).map((u) => [u._id, u]));
+    const presence = await ctx.db
+      .query("presence")
+      .withIndex("by_room", (q) => q.eq("roomId", room._id))
+      .collect();
+    const lastSeen = new Map(presence.map((p) => [p.userId, p.lastSeenAt]));
 
     const players = members
       .map((m) => {
@@ -189,13 +175,20 @@ export const getRoomByCode = query({
           role: m.role,
           isReady: m.isReady,
           seatIndex: m.seatIndex ?? undefined,
+          team: m.team,
+          isBot: m.isBot,
+          botLevel: m.botLevel,
+          lastSeenAt: lastSeen.get(m.userId),
         };
       })
       .filter(Boolean);
 
+    const tournament = room.tournamentId ? await ctx.db.get(room.tournamentId) : null;
+
     return {
       room,
       players,
+      tournamentCode: tournament?.code,
     };
   },
 });
@@ -203,7 +196,6 @@ export const getRoomByCode = query({
 export const updateRoomSettings = mutation({
   args: {
     code: v.string(),
-    username: v.string(),
     isPrivate: v.optional(v.boolean()),
     gameMode: v.optional(
       v.union(
@@ -214,10 +206,18 @@ export const updateRoomSettings = mutation({
         v.literal("custom"),
         v.literal("chaos"),
         v.literal("presidents"),
+        v.literal("bigtwo"),
+        v.literal("hearts"),
+        v.literal("teams"),
       ),
     ),
     maxPlayers: v.optional(v.number()),
     deckCount: v.optional(v.number()),
+    timeLimitSeconds: v.optional(v.number()), // 0 = no time limit
+    houseRules: v.optional(houseRules),       // merged into the room's current rules
+    targetScore: v.optional(v.number()),      // 0 = no target
+    maxRounds: v.optional(v.number()),        // 0 = no round limit
+    customRuleset: v.optional(customRuleset), // replaces the room's whole ruleset
   },
   handler: async (ctx, args) => {
     const room = await ctx.db
@@ -229,14 +229,7 @@ export const updateRoomSettings = mutation({
       throw new ConvexError("Room not found");
     }
 
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
-
-    if (!user) {
-      throw new ConvexError("User not found");
-    }
+    const user = await requireUser(ctx);
 
     const member = await ctx.db
       .query("roomMembers")
@@ -269,6 +262,32 @@ export const updateRoomSettings = mutation({
       patch.deckCount = deckCount;
     }
 
+    if (args.timeLimitSeconds !== undefined) {
+      patch.timeLimitSeconds = args.timeLimitSeconds > 0
+        ? Math.max(10, Math.min(300, Math.round(args.timeLimitSeconds)))
+        : undefined;
+    }
+
+    if (args.targetScore !== undefined) {
+      patch.targetScore = args.targetScore > 0 ? Math.round(args.targetScore) : undefined;
+    }
+
+    if (args.maxRounds !== undefined) {
+      patch.maxRounds = args.maxRounds > 0 ? Math.round(args.maxRounds) : undefined;
+    }
+
+    if (args.customRuleset !== undefined) {
+      const check = validateRuleset(args.customRuleset);
+      if (!check.ok) {
+        throw new ConvexError(check.error.message);
+      }
+      patch.customRuleset = args.customRuleset;
+    }
+
+    if (args.houseRules !== undefined) {
+      patch.houseRules = { ...room.houseRules, ...args.houseRules };
+    }
+
     if (Object.keys(patch).length === 0) {
       return;
     }
@@ -277,11 +296,69 @@ export const updateRoomSettings = mutation({
   },
 });
 
+/**
+ * Team Presidents: put a player on a team, or take them off it with no team. Players pick
+ * their own team; the host can move anyone.
+ */
+export const setTeam = mutation({
+  args: {
+    code: v.string(),
+    playerId: v.id("roomMembers"),
+    team: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const room = await ctx.db
+      .query("rooms")
+      .withIndex("by_code", (q) => q.eq("code", args.code))
+      .first();
+
+    if (!room) {
+      throw new ConvexError("Room not found");
+    }
+
+    if (room.status === "in_progress") {
+      throw new ConvexError("Teams can't change while a game is in progress");
+    }
+
+    const user = await requireUser(ctx);
+
+    const member = await ctx.db
+      .query("roomMembers")
+      .withIndex("by_room_and_user", (q) =>
+        q.eq("roomId", room._id).eq("userId", user._id),
+      )
+      .first();
+
+    const target = await ctx.db.get(args.playerId);
+
+    if (!member || !target || target.roomId !== room._id) {
+      throw new ConvexError("Player not found in this room");
+    }
+
+    if (target._id !== member._id && member.role !== "admin") {
+      throw new ConvexError("Only the host can move other players");
+    }
+
+    if (args.team !== undefined) {
+      if (!Number.isInteger(args.team) || args.team < 0 || args.team >= TEAM_NAMES.length) {
+        throw new ConvexError("No such team");
+      }
+      const members = await ctx.db
+        .query("roomMembers")
+        .withIndex("by_room", (q) => q.eq("roomId", room._id))
+        .collect();
+      if (members.filter((m) => m._id !== target._id && m.team === args.team).length >= 2) {
+        throw new ConvexError(`Team ${TEAM_NAMES[args.team]} is full`);
+      }
+    }
+
+    await ctx.db.patch(target._id, { team: args.team });
+  },
+});
 
 export const leaveRoom = mutation({
   args: {
     code: v.string(),
-    username: v.string(),
   },
   handler: async (ctx, args) => {
     const room = await ctx.db
@@ -293,10 +370,7 @@ export const leaveRoom = mutation({
       throw new ConvexError("Room not found");
     }
 
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_username", (q) => q.eq("username", args.username))
-      .first();
+    const user = await getCurrentUser(ctx);
 
     if (!user) {
       return;
@@ -322,32 +396,67 @@ export const leaveRoom = mutation({
       .withIndex("by_room", (q) => q.eq("roomId", room._id))
       .collect();
 
-    if (remainingMembers.length === 0) {
+    // Bots don't keep a room open on their own. A tournament table's room is kept for the
+    // tournament's records, and its match is finished below so the stage can go on
+    const humansLeft = remainingMembers.some((m) => !m.isBot);
+    if (!humansLeft && !room.tournamentId) {
+      for (const m of remainingMembers) await ctx.db.delete(m._id);
       const games = await ctx.db
         .query("games")
         .withIndex("by_room", (q) => q.eq("roomId", room._id))
         .collect();
+      // Games and their players stay: they are the players' match history (profiles.js) and what
+      // rating events point at. A match still in progress is finished on its scores so far
       for (const game of games) {
+        if (game.status === "active") await finishMatchEarly(ctx, game);
         const gameStates = await ctx.db
           .query("gameStates")
           .withIndex("by_game", (q) => q.eq("gameId", game._id))
           .collect();
         for (const gs of gameStates) await ctx.db.delete(gs._id);
-        const gamePlayers = await ctx.db
-          .query("gamePlayers")
-          .withIndex("by_game", (q) => q.eq("gameId", game._id))
-          .collect();
-        for (const gp of gamePlayers) await ctx.db.delete(gp._id);
-        await ctx.db.delete(game._id);
       }
+      const presence = await ctx.db
+        .query("presence")
+        .withIndex("by_room", (q) => q.eq("roomId", room._id))
+        .collect();
+      for (const p of presence) await ctx.db.delete(p._id);
       await ctx.db.delete(room._id);
       return;
     }
 
+    // Walking out of a game forfeits the round in progress
+    const game = room.status === "in_progress"
+      ? await ctx.db
+        .query("games")
+        .withIndex("by_room", (q) => q.eq("roomId", room._id))
+        .filter((q) => q.eq(q.field("status"), "active"))
+        .first()
+      : null;
+    const gameState = game
+      ? await ctx.db
+        .query("gameStates")
+        .withIndex("by_game", (q) => q.eq("gameId", game._id))
+        .first()
+      : null;
+    if (game && gameState) {
+      const gamePlayers = await ctx.db
+        .query("gamePlayers")
+        .withIndex("by_game", (q) => q.eq("gameId", game._id))
+        .collect();
+      await forfeitPlayer(ctx, game, gameState, gamePlayers, user._id);
+    }
+
+    if (!humansLeft) {
+      const current = game ? await ctx.db.get(game._id) : null;
+      if (current?.status === "active") await finishMatchEarly(ctx, current);
+      return;
+    }
+
     if (wasHost) {
-      const nextHost = remainingMembers.reduce((earliest, current) =>
+      const humans = remainingMembers.filter((m) => !m.isBot);
+      const nextHost = humans.reduce((earliest, current) =>
         current.joinedAt < earliest.joinedAt ? current : earliest,
-      remainingMembers[0]);
+      humans[0]);
 
       await ctx.db.patch(nextHost._id, { role: "admin" });
       await ctx.db.patch(room._id, { adminId: nextHost.userId });
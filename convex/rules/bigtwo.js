@@ -0,0 +1,396 @@
+// Pure Big Two rules engine (see engine.js). Besides games.js, the game page uses classifyPlay,
+// legalPlays and validatePlay to name and check a selection before it is sent.
+//
+// State shape (mirrors the gameStates document plus each player's hand):
+//   { players: [{ userId, seatIndex, hand }], phase, currentTurnUserId, turnNumber, discardPile,
+//     playedCards, lastPlayedCount, lastPlayedBy, passedUserIds, finishedOrder, roundLoserId, forfeitedUserIds,
+//     openingCard, roundNumber, direction }
+//
+// A climbing game like Presidents, played with one deck. Ranks run 3 (low) to 2 (high) and suits
+// break ties (♦ < ♣ < ♥ < ♠), so every card is distinct. A play is a single, a pair, three of a
+// kind or a five-card hand (straight < flush < full house < four of a kind plus one < straight
+// flush). Each play must have as many cards as the one it follows and beat it; a player who passes
+// sits out until the trick is won. The holder of the 3♦ opens the game with it. The round ends when
+// someone goes out; everyone else is ranked by how many cards they still hold. The last play's
+// cards are the tail of discardPile (lastPlayedCount of them), which is cleared when a trick is
+// won; playedCards keeps every card played this round.
+//
+// applyAction(state, action) returns { ok: true, state } or { ok: false, error: { code, message } }.
+
+import { buildDeck, distributeEvenly, getRank, getSuit, shuffleArray } from "./cards";
+import { accept, dispatchAction, reject, sortedBySeat } from "./engine";
+import { applyAction as applyPresidentsAction, forfeitOrder, getNextPlayerToPlay } from "./presidents";
+
+// Lowest first. 2s are high and can't be part of a straight.
+export const RANK_ORDER = ["3", "4", "5", "6", "7", "8", "9", "T", "J", "Q", "K", "A", "2"];
+export const SUIT_ORDER = ["D", "C", "H", "S"];
+export const OPENING_CARD = "3D";
+// Suits break ties, so duplicate cards from a second deck couldn't be ordered
+export const DECK_COUNT = 1;
+
+/** Display names of the combinations, weakest five-card hand first among the five-card ones. */
+export const COMBINATIONS = {
+  single: "Single",
+  pair: "Pair",
+  triple: "Three of a kind",
+  straight: "Straight",
+  flush: "Flush",
+  full_house: "Full house",
+  four_of_a_kind: "Four of a kind",
+  straight_flush: "Straight flush",
+};
+const FIVE_CARD_ORDER = ["straight", "flush", "full_house", "four_of_a_kind", "straight_flush"];
+const PLAY_SIZES = [1, 2, 3, 5];
+
+/** Fields of the gameStates document that the engine reads and writes. */
+export const STATE_FIELDS = [
+  "phase",
+  "currentTurnUserId",
+  "turnNumber",
+  "discardPile",
+  "playedCards",
+  "lastPlayedCount",
+  "lastPlayedBy",
+  "passedUserIds",
+  "finishedOrder",
+  "roundLoserId",
+  "forfeitedUserIds",
+  "openingCard",
+  "roundNumber",
+  "direction",
+];
+
+function rankIndex(cardId) {
+  return RANK_ORDER.indexOf(getRank(cardId));
+}
+
+/** 0 (3♦) to 51 (2♠): rank first, then suit. */
+export function cardValue(cardId) {
+  return rankIndex(cardId) * SUIT_ORDER.length + SUIT_ORDER.indexOf(getSuit(cardId));
+}
+
+/** Sort a hand highest card first. */
+export function sortHand(hand) {
+  return [...hand].sort((a, b) => cardValue(b) - cardValue(a));
+}
+
+/**
+ * What combination cardIds make, or null if none. strength orders plays of the same size: for
+ * five-card hands it ranks the kind of hand first, then the cards within it.
+ * Returns { type, strength }.
+ */
+export function classifyPlay(cardIds) {
+  const values = cardIds.map(cardValue).sort((a, b) => a - b);
+  const high = values[values.length - 1];
+  const ranks = cardIds.map(rankIndex).sort((a, b) => a - b);
+  const sameRank = ranks.every((r) => r === ranks[0]);
+  if (cardIds.length === 1) return { type: "single", strength: high };
+  if (cardIds.length === 2) return sameRank ? { type: "pair", strength: high } : null;
+  if (cardIds.length === 3) return sameRank ? { type: "triple", strength: ranks[0] } : null;
+  if (cardIds.length !== 5) return null;
+
+  const counts = new Map();
+  for (const r of ranks) counts.set(r, (counts.get(r) ?? 0) + 1);
+  const countOf = (n) => [...counts.entries()].find(([, c]) => c === n)?.[0];
+  const flush = cardIds.every((c) => getSuit(c) === getSuit(cardIds[0]));
+  const straight = counts.size === 5
+    && ranks[4] - ranks[0] === 4
+    && ranks[4] < RANK_ORDER.indexOf("2");
+  let type;
+  let strength;
+  if (straight && flush) {
+    type = "straight_flush";
+    strength = high;
+  } else if (countOf(4) !== undefined) {
+    type = "four_of_a_kind";
+    strength = countOf(4);
+  } else if (countOf(3) !== undefined && countOf(2) !== undefined) {
+    type = "full_house";
+    strength = countOf(3);
+  } else if (flush) {
+    type = "flush";
+    strength = high;
+  } else if (straight) {
+    type = "straight";
+    strength = high;
+  } else {
+    return null;
+  }
+  return { type, strength: FIVE_CARD_ORDER.indexOf(type) * 100 + strength };
+}
+
+/** The cards of the play currently on the table, or [] when someone is leading. */
+export function lastPlayedCards(state) {
+  const count = state.lastPlayedCount ?? 0;
+  return count > 0 ? (state.discardPile ?? []).slice(-count) : [];
+}
+
+/**
+ * Check whether userId may play cardIds right now. Only the player's own hand is read,
+ * so the client can call this with a partial state.
+ * Returns { ok: true, combination, remainingHand } or a rejection.
+ */
+export function validatePlay(state, userId, cardIds) {
+  if (cardIds.length === 0) return reject("EMPTY_PLAY", "Select at least one card to play");
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  if (state.currentTurnUserId !== userId) return reject("NOT_YOUR_TURN", "Not your turn");
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return reject("NOT_IN_GAME", "You are not in this game");
+  const remainingHand = [...player.hand];
+  for (const cid of cardIds) {
+    const i = remainingHand.indexOf(cid);
+    if (i < 0) return reject("CARD_NOT_IN_HAND", "Card not in hand");
+    remainingHand.splice(i, 1);
+  }
+  const combination = classifyPlay(cardIds);
+  if (!combination) {
+    return reject("NOT_A_COMBINATION", "Play a single, a pair, three of a kind or a five-card hand");
+  }
+  if (state.openingCard && !cardIds.includes(state.openingCard)) {
+    return reject("OPENING_CARD_REQUIRED", "The opening play must include the 3 of diamonds");
+  }
+  const lastCards = lastPlayedCards(state);
+  if (lastCards.length > 0) {
+    if (cardIds.length !== lastCards.length) {
+      return reject("WRONG_COUNT", `Play ${lastCards.length} card(s), like the last play`);
+    }
+    const last = classifyPlay(lastCards);
+    if (last && combination.strength <= last.strength) {
+      return cardIds.length === 5
+        ? reject("NOT_HIGHER", "Play a stronger five-card hand")
+        : reject("NOT_HIGHER", `Play a higher ${COMBINATIONS[combination.type].toLowerCase()}`);
+    }
+  }
+  return { ok: true, combination, remainingHand };
+}
+
+/** Every combination in hand, weakest first within each size: [{ cardIds, type, strength }]. */
+export function findCombinations(hand) {
+  const cards = [...hand].sort((a, b) => cardValue(a) - cardValue(b));
+  const found = [];
+  const choose = (start, picked, size) => {
+    if (picked.length === size) {
+      const combination = classifyPlay(picked);
+      if (combination) found.push({ cardIds: picked, ...combination });
+      return;
+    }
+    for (let i = start; i <= cards.length - (size - picked.length); i++) {
+      choose(i + 1, [...picked, cards[i]], size);
+    }
+  };
+  for (const size of PLAY_SIZES) choose(0, [], size);
+  return found.sort((a, b) => a.cardIds.length - b.cardIds.length || a.strength - b.strength);
+}
+
+/** Combinations userId could legally play right now, weakest first. */
+export function legalPlays(state, userId) {
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return [];
+  return findCombinations(player.hand).filter((c) => validatePlay(state, userId, c.cardIds).ok);
+}
+
+/**
+ * End the round: the player who went out, then everyone else by fewest cards left, and anyone who
+ * left mid-round last.
+ */
+function endRound(state, winnerId) {
+  const forfeited = forfeitOrder(state);
+  const others = sortedBySeat(state.players)
+    .filter((p) => p.userId !== winnerId && !forfeited.includes(p.userId))
+    .sort((a, b) => a.hand.length - b.hand.length);
+  const finishedOrder = [winnerId, ...others.map((p) => p.userId), ...forfeited];
+  return accept({
+    ...state,
+    phase: "round_ended",
+    finishedOrder,
+    roundLoserId: finishedOrder[finishedOrder.length - 1],
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+function play(state, { userId, cardIds }) {
+  const check = validatePlay(state, userId, cardIds);
+  if (!check.ok) return check;
+  const players = state.players.map((p) => (p.userId === userId ? { ...p, hand: check.remainingHand } : p));
+  const next = {
+    ...state,
+    players,
+    discardPile: [...(state.discardPile ?? []), ...cardIds],
+    playedCards: [...(state.playedCards ?? []), ...cardIds],
+    openingCard: undefined,
+  };
+  if (check.remainingHand.length === 0) return endRound(next, userId);
+  const passedUserIds = state.passedUserIds ?? [];
+  const nextUserId = getNextPlayerToPlay(players, userId, passedUserIds, new Set(state.forfeitedUserIds), state.direction);
+  // Everyone else has passed this trick: the player leads again on a clear table
+  if (nextUserId === null) {
+    return accept({
+      ...next,
+      currentTurnUserId: userId,
+      discardPile: [],
+      lastPlayedCount: 0,
+      lastPlayedBy: undefined,
+      passedUserIds: [],
+      turnNumber: state.turnNumber + 1,
+    });
+  }
+  return accept({
+    ...next,
+    currentTurnUserId: nextUserId,
+    lastPlayedCount: cardIds.length,
+    lastPlayedBy: userId,
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+function pass(state, { userId }) {
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  if (state.currentTurnUserId !== userId) return reject("NOT_YOUR_TURN", "Not your turn");
+  if ((state.lastPlayedCount ?? 0) === 0) return reject("MUST_LEAD", "You must lead; you cannot pass");
+  const passedUserIds = [...(state.passedUserIds ?? []), userId];
+  const lastPlayedBy = state.lastPlayedBy ?? null;
+  const nextUserId = getNextPlayerToPlay(state.players, userId, passedUserIds, new Set(state.forfeitedUserIds), state.direction);
+  // Back around to whoever played last: they won the trick and lead on a clear table
+  if (nextUserId === null || nextUserId === lastPlayedBy) {
+    return accept({
+      ...state,
+      currentTurnUserId: lastPlayedBy ?? nextUserId,
+      discardPile: [],
+      lastPlayedCount: 0,
+      lastPlayedBy: undefined,
+      passedUserIds: [],
+      turnNumber: state.turnNumber + 1,
+    });
+  }
+  return accept({
+    ...state,
+    currentTurnUserId: nextUserId,
+    passedUserIds,
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+/**
+ * A player who left mid-round forfeits it as in Presidents: their cards leave play and the others
+ * play on without them. With one player left, the round ends with them first.
+ */
+function forfeit(state, action) {
+  return applyPresidentsAction(state, action);
+}
+
+/**
+ * Start a game: deal one deck evenly to userIds (in seat order); the holder of the 3♦ leads and
+ * must play it. Returns { hands, state } where state holds the gameStates fields to start from.
+ */
+export function newGame({ userIds, random = Math.random }) {
+  const hands = distributeEvenly(shuffleArray(buildDeck(DECK_COUNT), random), userIds.length);
+  const holder = hands.findIndex((hand) => hand.includes(OPENING_CARD));
+  return {
+    hands,
+    state: {
+      phase: "play",
+      currentTurnUserId: userIds[holder],
+      deck: [],
+      discardPile: [],
+      playedCards: [],
+      direction: "clockwise",
+      lastPlayedCount: 0,
+      passedUserIds: [],
+      openingCard: OPENING_CARD,
+    },
+  };
+}
+
+function restartRound(state, _action, { random = Math.random } = {}) {
+  if (state.phase !== "round_ended") {
+    return reject("ROUND_NOT_ENDED", "Round has not ended");
+  }
+  const sortedPlayers = sortedBySeat(state.players);
+  const hands = distributeEvenly(shuffleArray(buildDeck(DECK_COUNT), random), sortedPlayers.length);
+  const handByUserId = new Map(sortedPlayers.map((p, i) => [p.userId, hands[i]]));
+  return accept({
+    ...state,
+    players: state.players.map((p) => ({ ...p, hand: handByUserId.get(p.userId) })),
+    phase: "play",
+    // Last round's winner leads, with anything they like
+    currentTurnUserId: state.finishedOrder?.[0] ?? sortedPlayers[0].userId,
+    turnNumber: state.turnNumber + 1,
+    discardPile: [],
+    playedCards: [],
+    lastPlayedCount: 0,
+    lastPlayedBy: undefined,
+    passedUserIds: [],
+    finishedOrder: undefined,
+    roundLoserId: undefined,
+    forfeitedUserIds: undefined,
+    openingCard: undefined,
+    roundNumber: (state.roundNumber ?? 1) + 1,
+  });
+}
+
+/**
+ * Action taken for a player whose turn time runs out: pass, or when leading play their lowest
+ * card (the 3♦ on the opening lead). Null when it isn't their turn.
+ */
+export function getTimeoutAction(state, userId = state.currentTurnUserId) {
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return null;
+  if ((state.lastPlayedCount ?? 0) > 0) return { type: "pass", userId };
+  const hand = state.players.find((p) => p.userId === userId)?.hand ?? [];
+  if (hand.length === 0) return null;
+  const lowest = state.openingCard ?? sortHand(hand)[hand.length - 1];
+  return { type: "play", userId, cardIds: [lowest] };
+}
+
+/**
+ * Baseline computer player. Following, it plays the weakest combination that beats the table or
+ * passes. Leading, it gets rid of its lowest card in the biggest combination that holds it.
+ * Returns the action, or null when it isn't the bot's turn.
+ */
+export function chooseBotAction(state, userId) {
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return null;
+  const plays = legalPlays(state, userId);
+  if ((state.lastPlayedCount ?? 0) > 0) {
+    return plays.length > 0 ? { type: "play", userId, cardIds: plays[0].cardIds } : { type: "pass", userId };
+  }
+  const hand = state.players.find((p) => p.userId === userId)?.hand ?? [];
+  const lowest = sortHand(hand)[hand.length - 1];
+  const withLowest = plays.filter((c) => c.cardIds.includes(lowest));
+  const size = Math.max(0, ...withLowest.map((c) => c.cardIds.length));
+  const lead = withLowest.find((c) => c.cardIds.length === size);
+  return lead ? { type: "play", userId, cardIds: lead.cardIds } : getTimeoutAction(state, userId);
+}
+
+/**
+ * Moves a computer player weighs on its turn: the three weakest legal combinations of each size,
+ * and passing when it may.
+ */
+export function botCandidates(state, userId) {
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return [];
+  const legal = legalPlays(state, userId);
+  const plays = PLAY_SIZES.flatMap((size) =>
+    legal
+      .filter((c) => c.cardIds.length === size)
+      .slice(0, 3)
+      .map((c) => ({ type: "play", userId, cardIds: c.cardIds })),
+  );
+  return (state.lastPlayedCount ?? 0) > 0 ? [...plays, { type: "pass", userId }] : plays;
+}
+
+const ACTIONS = {
+  play,
+  pass,
+  restart: restartRound,
+  forfeit,
+};
+
+/**
+ * Apply an action to a state. Actions:
+ *   { type: "play", userId, cardIds }
+ *   { type: "pass", userId }
+ *   { type: "restart" }
+ *   { type: "forfeit", userId }        the player left mid-round
+ * options.random replaces Math.random when shuffling (restart).
+ */
+export function applyAction(state, action, options) {
+  return dispatchAction(ACTIONS, state, action, options);
+}
@@ -0,0 +1,137 @@
+// Computer-player levels, shared by every mode that has bots. No Convex imports, like the
+// engines: convex/bots.js runs it inside an action.
+//
+//   easy    picks one of the moves the mode offers (engine.botCandidates) at random, and gives
+//           away random cards in an exchange
+//   medium  the mode's own baseline player (engine.chooseBotAction)
+//   hard    looks ahead. It deals the cards it can't see to the other players at random (as
+//           many as each is holding), plays every candidate move out to the end of the round
+//           with Medium players all round, and keeps the move that did best on average over as
+//           many deals as its time allows. Exchanges use the mode's planBotExchange.
+
+import { buildDeck, shuffleArray } from "./cards";
+
+export const BOT_LEVELS = ["easy", "medium", "hard"];
+export const DEFAULT_BOT_LEVEL = "medium";
+
+// Hard weighs at most this many moves, each over at most this many deals
+const MAX_CANDIDATES = 12;
+const MAX_SAMPLES = 200;
+// A rollout still going after this many moves has stalled and is left out
+const MAX_ROLLOUT_STEPS = 600;
+
+/**
+ * Cards userId can't see: deckCount decks less its own hand and every card played this round.
+ * Modes that clear the table after each trick keep those in playedCards; elsewhere they are
+ * still on the table (discardPile and the trick in play).
+ */
+export function unseenCards(state, userId, deckCount) {
+  const played = state.playedCards ?? [...(state.discardPile ?? []), ...(state.trick ?? []).map((t) => t.cardId)];
+  const seen = [...(state.players.find((p) => p.userId === userId)?.hand ?? []), ...played];
+  const unseen = buildDeck(deckCount);
+  for (const cardId of seen) {
+    const i = unseen.indexOf(cardId);
+    if (i >= 0) unseen.splice(i, 1);
+  }
+  return unseen;
+}
+
+/**
+ * One guess at the hidden cards: each other player dealt as many cards as they hold (handCount)
+ * from the ones userId can't see, and the rest left as the deck.
+ */
+export function sampleDeal(state, userId, deckCount, random = Math.random) {
+  const pool = shuffleArray(unseenCards(state, userId, deckCount), random);
+  const players = state.players.map((p) =>
+    p.userId === userId ? p : { ...p, hand: pool.splice(0, p.handCount ?? p.hand.length) },
+  );
+  return { ...state, players, deck: pool };
+}
+
+/** Play a state out to the end of the round with Medium moves for everyone. Null if it stalls. */
+function playOut(engine, state) {
+  let current = state;
+  for (let step = 0; step < MAX_ROLLOUT_STEPS; step++) {
+    if (current.phase === "round_ended") return current;
+    const userId = current.currentTurnUserId;
+    // Like a real bot, fall back to the timeout move when the chosen one is turned down
+    const action = engine.chooseBotAction(current, userId);
+    let result = action ? engine.applyAction(current, action) : null;
+    if (!result?.ok) {
+      const fallback = engine.getTimeoutAction(current);
+      result = fallback ? engine.applyAction(current, fallback) : null;
+    }
+    if (!result?.ok) return null;
+    current = result.state;
+  }
+  return null;
+}
+
+/** How a finished round went for userId: its points (negated when low scores win), or else its finishing place. */
+function roundValue(engine, state, userId) {
+  if (engine.roundPoints) {
+    const points = engine.roundPoints(state).get(userId) ?? 0;
+    return engine.LOW_SCORE_WINS ? -points : points;
+  }
+  return -(state.finishedOrder ?? []).indexOf(userId);
+}
+
+/** Monte Carlo search over candidates: the one with the best average round over sampled deals. */
+function searchBestMove(engine, state, userId, candidates, { deckCount, random, deadline }) {
+  const totals = candidates.map(() => ({ value: 0, count: 0 }));
+  for (let sample = 0; sample < MAX_SAMPLES && (sample === 0 || Date.now() < deadline); sample++) {
+    const world = sampleDeal(state, userId, deckCount, random);
+    candidates.forEach((action, i) => {
+      const result = engine.applyAction(world, action, { random });
+      const end = result.ok ? playOut(engine, result.state) : null;
+      if (!end) return;
+      totals[i].value += roundValue(engine, end, userId);
+      totals[i].count += 1;
+    });
+  }
+  const mean = (t) => (t.count > 0 ? t.value / t.count : -Infinity);
+  let best = 0;
+  totals.forEach((t, i) => {
+    if (mean(t) > mean(totals[best])) best = i;
+  });
+  return candidates[best];
+}
+
+function easyMove(engine, state, userId, random) {
+  if (state.phase === "exchange") {
+    const pair = (state.exchangePairs ?? []).find((p) => p.fromUserId === userId);
+    const player = state.players.find((p) => p.userId === userId);
+    if (!pair || !player) return null;
+    return { type: "exchange", userId, cardIds: shuffleArray(player.hand, random).slice(0, pair.count) };
+  }
+  const candidates = engine.botCandidates?.(state, userId) ?? [];
+  if (candidates.length === 0) return engine.chooseBotAction(state, userId);
+  return candidates[Math.floor(random() * candidates.length)];
+}
+
+function hardMove(engine, state, userId, options) {
+  if (state.phase === "exchange") {
+    return (engine.planBotExchange ?? engine.chooseBotAction)(state, userId);
+  }
+  const candidates = (engine.botCandidates?.(state, userId) ?? []).slice(0, MAX_CANDIDATES);
+  if (candidates.length <= 1) return candidates[0] ?? engine.chooseBotAction(state, userId);
+  return searchBestMove(engine, state, userId, candidates, options);
+}
+
+/**
+ * The move a bot of the given level makes, or null when it has nothing to do. state is the bot's
+ * view: other players' hands empty, with handCount saying how many cards they hold.
+ * options: { level, deckCount, random, deadline }; deadline (a Date.now() time) bounds Hard's
+ * search, which always plays out at least one deal.
+ */
+export function chooseBotMove(engine, state, userId, options = {}) {
+  const {
+    level = DEFAULT_BOT_LEVEL,
+    deckCount = 1,
+    random = Math.random,
+    deadline = 0,
+  } = options;
+  if (level === "easy") return easyMove(engine, state, userId, random);
+  if (level === "hard") return hardMove(engine, state, userId, { deckCount, random, deadline });
+  return engine.chooseBotAction(state, userId);
+}
@@ -0,0 +1,53 @@
+// Deck helpers shared by every game mode. Card IDs are rank + suit, e.g. "AS", "TH".
+
+export const RANKS = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "T", "J", "Q", "K"];
+export const SUITS = ["S", "H", "D", "C"]; // Spades, Hearts, Diamonds, Clubs
+
+export function buildDeck(deckCount) {
+  const deck = [];
+  for (let d = 0; d < deckCount; d++) {
+    for (const suit of SUITS) {
+      for (const rank of RANKS) {
+        deck.push(rank + suit);
+      }
+    }
+  }
+  return deck;
+}
+
+export function shuffleArray(arr, random = Math.random) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** Distribute cards evenly. Returns array of hands (each hand is array of card ids). */
+export function distributeEvenly(deck, numPlayers) {
+  const total = deck.length;
+  const baseCount = Math.floor(total / numPlayers);
+  const remainder = total % numPlayers;
+  const hands = [];
+  let idx = 0;
+  for (let p = 0; p < numPlayers; p++) {
+    const count = baseCount + (p < remainder ? 1 : 0);
+    hands.push(deck.slice(idx, idx + count));
+    idx += count;
+  }
+  return hands;
+}
+
+export function removeCards(hand, cardsToRemove) {
+  const set = new Set(cardsToRemove);
+  return hand.filter((c) => !set.has(c));
+}
+
+export function getRank(cardId) {
+  return cardId && cardId[0] ? cardId[0] : "";
+}
+
+export function getSuit(cardId) {
+  return cardId && cardId[1] ? cardId[1] : "";
+}
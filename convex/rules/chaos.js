@@ -0,0 +1,63 @@
+// Chaos mode: Presidents with one or two random modifiers drawn from CHAOS_MODIFIERS every round.
+// The draw is stored on gameStates (modifiers, and direction for counter_clockwise) and the
+// Presidents engine reads it from there, so every play and pass in the round sees the same rules.
+
+import { shuffleArray } from "./cards";
+import * as presidents from "./presidents";
+
+/** The modifier catalogue. Effects are implemented in presidents.js. */
+export const CHAOS_MODIFIERS = [
+  {
+    id: "reversed_ranks",
+    name: "Upside down",
+    description: "Rank order is reversed for the round: 3 is highest, 2 is lowest.",
+  },
+  {
+    id: "sevens_wild",
+    name: "Wild sevens",
+    description: "7s are jokers too: they join any rank but can't be played alone.",
+  },
+  {
+    id: "counter_clockwise",
+    name: "Wrong way round",
+    description: "Play goes counter-clockwise around the table.",
+  },
+  {
+    id: "bomb_forces_pass",
+    name: "Shell shock",
+    description: `After a play of ${presidents.BOMB_COUNT} or more cards, the next player is forced to pass.`,
+  },
+];
+
+export const STATE_FIELDS = presidents.STATE_FIELDS;
+
+/** Draw this round's modifiers: one or two distinct ids from the catalogue. */
+export function drawModifiers(random = Math.random) {
+  const count = random() < 0.5 ? 1 : 2;
+  return shuffleArray(CHAOS_MODIFIERS.map((m) => m.id), random).slice(0, count);
+}
+
+/** Direction of play for a set of modifiers. */
+export function directionFor(modifiers) {
+  return modifiers.includes("counter_clockwise") ? "counter_clockwise" : "clockwise";
+}
+
+/** Presidents' newGame, with the first round's modifiers drawn. */
+export function newGame(options) {
+  const game = presidents.newGame(options);
+  const modifiers = drawModifiers(options.random);
+  return { ...game, state: { ...game.state, modifiers, direction: directionFor(modifiers) } };
+}
+
+export const getTimeoutAction = presidents.getTimeoutAction;
+export const chooseBotAction = presidents.chooseBotAction;
+export const botCandidates = presidents.botCandidates;
+export const planBotExchange = presidents.planBotExchange;
+
+/** Presidents' applyAction; a restart also draws the next round's modifiers. */
+export function applyAction(state, action, options = {}) {
+  const result = presidents.applyAction(state, action, options);
+  if (!result.ok || action.type !== "restart") return result;
+  const modifiers = drawModifiers(options.random);
+  return { ok: true, state: { ...result.state, modifiers, direction: directionFor(modifiers) } };
+}
@@ -0,0 +1,332 @@
+// Pure Crazy Eights ("classic" mode) rules engine (see engine.js). Draws go through the mutation in
+// classic.js, everything else through games.js; the game page uses validatePlay and suitToFollow.
+//
+// State shape (mirrors the gameStates document plus each player's hand):
+//   { players: [{ userId, seatIndex, hand }], phase, currentTurnUserId, turnNumber, deck,
+//     discardPile, direction, activeSuit, hasDrawn, finishedOrder, roundLoserId, forfeitedUserIds,
+//     roundNumber, deckCount }
+//
+// On their turn a player plays one card matching the top of discardPile by suit or rank, or
+// any 8, which is wild and names the suit to follow (activeSuit). A player who can't or won't
+// play draws one card from deck, then may play or pass. The round ends as soon as someone
+// empties their hand; everyone else is ranked by how many cards they still hold. Anyone who leaves
+// mid-round forfeits it (forfeitedUserIds): their cards go under the deck, play skips them and
+// they are ranked last.
+//
+// applyAction(state, action) returns { ok: true, state } or { ok: false, error: { code, message } }.
+
+import { buildDeck, getRank, getSuit, shuffleArray, SUITS } from "./cards";
+import { accept, dispatchAction, reject, sortedBySeat } from "./engine";
+
+export const WILD_RANK = "8";
+
+/** Fields of the gameStates document that the engine reads and writes. */
+export const STATE_FIELDS = [
+  "phase",
+  "currentTurnUserId",
+  "turnNumber",
+  "deck",
+  "discardPile",
+  "direction",
+  "activeSuit",
+  "hasDrawn",
+  "finishedOrder",
+  "roundLoserId",
+  "forfeitedUserIds",
+  "roundNumber",
+];
+
+/** Cards dealt to each player: 7 in a two-player game, 5 otherwise. */
+export function handSizeFor(playerCount) {
+  return playerCount === 2 ? 7 : 5;
+}
+
+/**
+ * Shuffle and deal a round. The starter card turned onto the discard pile is never an 8.
+ * Returns { hands, deck, discardPile }; hands are in seat order.
+ */
+export function dealRound(playerCount, deckCount = 1, random = Math.random) {
+  const shuffled = shuffleArray(buildDeck(deckCount), random);
+  const handSize = Math.min(handSizeFor(playerCount), Math.floor((shuffled.length - 1) / playerCount));
+  const hands = [];
+  for (let p = 0; p < playerCount; p++) {
+    hands.push(shuffled.slice(p * handSize, (p + 1) * handSize));
+  }
+  const rest = shuffled.slice(playerCount * handSize);
+  const starterIndex = rest.findIndex((c) => getRank(c) !== WILD_RANK);
+  const starter = rest[starterIndex];
+  const deck = rest.filter((_, i) => i !== starterIndex);
+  return { hands, deck, discardPile: [starter] };
+}
+
+/**
+ * Start a game: deal the first round to userIds (in seat order); the first seat leads.
+ * Returns { hands, state } where state holds the gameStates fields to start from.
+ */
+export function newGame({ userIds, deckCount = 1, random = Math.random }) {
+  const { hands, deck, discardPile } = dealRound(userIds.length, deckCount, random);
+  return {
+    hands,
+    state: {
+      phase: "play",
+      currentTurnUserId: userIds[0],
+      deck,
+      discardPile,
+      direction: "clockwise",
+      hasDrawn: false,
+    },
+  };
+}
+
+/** Suit the next card must follow: the suit named by the last 8, or the top card's suit. */
+export function suitToFollow(state) {
+  const pile = state.discardPile ?? [];
+  return state.activeSuit ?? getSuit(pile[pile.length - 1]);
+}
+
+/** Whether cardId may go on the discard pile: an 8, or a match by suit or rank. */
+export function matchesPile(state, cardId) {
+  const pile = state.discardPile ?? [];
+  const top = pile[pile.length - 1];
+  if (!top) return true;
+  if (getRank(cardId) === WILD_RANK) return true;
+  if (getSuit(cardId) === suitToFollow(state)) return true;
+  // After an 8 only the named suit (or another 8) follows
+  return !state.activeSuit && getRank(cardId) === getRank(top);
+}
+
+/** The player after userId in the current direction of play, skipping anyone who has forfeited the round. */
+export function getNextPlayer(state, userId) {
+  const forfeited = state.forfeitedUserIds ?? [];
+  const sorted = sortedBySeat(state.players).filter((p) => p.userId === userId || !forfeited.includes(p.userId));
+  const idx = sorted.findIndex((p) => p.userId === userId);
+  const step = state.direction === "counter_clockwise" ? -1 : 1;
+  return sorted[(idx + step + sorted.length) % sorted.length].userId;
+}
+
+function checkTurn(state, userId) {
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  if (state.currentTurnUserId !== userId) return reject("NOT_YOUR_TURN", "Not your turn");
+  if (!state.players.some((p) => p.userId === userId)) return reject("NOT_IN_GAME", "You are not in this game");
+  return null;
+}
+
+/**
+ * Check whether userId may play cardId right now. Only the player's own hand is read,
+ * so the client can call this with a partial state. Returns { ok: true } or a rejection.
+ */
+export function validatePlay(state, userId, cardId) {
+  const turnError = checkTurn(state, userId);
+  if (turnError) return turnError;
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player.hand.includes(cardId)) return reject("CARD_NOT_IN_HAND", "Card not in hand");
+  if (!matchesPile(state, cardId)) {
+    return reject("NO_MATCH", "Play a card of the same suit or rank, or an 8");
+  }
+  return { ok: true };
+}
+
+/** Turn the discard pile (all but its top card) over as a fresh deck when the deck runs out. */
+function refillDeck(state, random) {
+  const deck = state.deck ?? [];
+  const pile = state.discardPile ?? [];
+  if (deck.length > 0 || pile.length <= 1) return { deck, discardPile: pile };
+  return {
+    deck: shuffleArray(pile.slice(0, -1), random),
+    discardPile: pile.slice(-1),
+  };
+}
+
+/** Take the top card of the deck into userId's hand. Returns null if there is nothing to draw. */
+function drawOne(state, userId, random) {
+  const { deck, discardPile } = refillDeck(state, random);
+  if (deck.length === 0) return null;
+  const card = deck[deck.length - 1];
+  return {
+    ...state,
+    players: state.players.map((p) => (p.userId === userId ? { ...p, hand: [...p.hand, card] } : p)),
+    deck: deck.slice(0, -1),
+    discardPile,
+  };
+}
+
+/**
+ * End the round: the player who went out first, then everyone else by fewest cards left, then
+ * anyone who forfeited (whoever left first last).
+ */
+function endRound(state, winnerId) {
+  const forfeited = [...(state.forfeitedUserIds ?? [])].reverse();
+  const seatOrder = sortedBySeat(state.players);
+  const others = seatOrder
+    .filter((p) => p.userId !== winnerId && !forfeited.includes(p.userId))
+    .sort((a, b) => a.hand.length - b.hand.length);
+  const finishedOrder = [winnerId, ...others.map((p) => p.userId), ...forfeited];
+  return accept({
+    ...state,
+    phase: "round_ended",
+    finishedOrder,
+    roundLoserId: finishedOrder[finishedOrder.length - 1],
+    hasDrawn: false,
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+function play(state, { userId, cardIds, suit }) {
+  if (cardIds.length !== 1) return reject("ONE_CARD", "Play one card at a time");
+  const [cardId] = cardIds;
+  const check = validatePlay(state, userId, cardId);
+  if (!check.ok) return check;
+  const players = state.players.map((p) => {
+    if (p.userId !== userId) return p;
+    const hand = [...p.hand];
+    hand.splice(hand.indexOf(cardId), 1);
+    return { ...p, hand };
+  });
+  const wild = getRank(cardId) === WILD_RANK;
+  const next = {
+    ...state,
+    players,
+    discardPile: [...(state.discardPile ?? []), cardId],
+    activeSuit: wild ? (SUITS.includes(suit) ? suit : getSuit(cardId)) : undefined,
+  };
+  if (players.find((p) => p.userId === userId).hand.length === 0) {
+    return endRound(next, userId);
+  }
+  return accept({
+    ...next,
+    currentTurnUserId: getNextPlayer(state, userId),
+    hasDrawn: false,
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+function draw(state, { userId }, { random = Math.random } = {}) {
+  const turnError = checkTurn(state, userId);
+  if (turnError) return turnError;
+  if (state.hasDrawn) return reject("ALREADY_DREW", "You already drew this turn; play or pass");
+  const next = drawOne(state, userId, random);
+  if (!next) return reject("DECK_EMPTY", "No cards left to draw; pass instead");
+  return accept({ ...next, hasDrawn: true });
+}
+
+/** End the turn without playing. A player who hasn't drawn yet draws one card first. */
+function pass(state, { userId }, { random = Math.random } = {}) {
+  const turnError = checkTurn(state, userId);
+  if (turnError) return turnError;
+  const afterDraw = state.hasDrawn ? state : drawOne(state, userId, random) ?? state;
+  return accept({
+    ...afterDraw,
+    currentTurnUserId: getNextPlayer(state, userId),
+    hasDrawn: false,
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+/**
+ * A player who left mid-round forfeits it: their cards go under the deck and play moves on
+ * without them. The round ends at once if only one player is left.
+ */
+function forfeit(state, { userId }) {
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return reject("NOT_IN_GAME", "You are not in this game");
+  const forfeitedUserIds = state.forfeitedUserIds ?? [];
+  if (forfeitedUserIds.includes(userId)) return accept(state);
+  const next = {
+    ...state,
+    players: state.players.map((p) => (p.userId === userId ? { ...p, hand: [] } : p)),
+    deck: [...player.hand, ...(state.deck ?? [])],
+    forfeitedUserIds: [...forfeitedUserIds, userId],
+  };
+  const remaining = next.players.filter((p) => !next.forfeitedUserIds.includes(p.userId));
+  if (remaining.length < 2) return endRound(next, remaining[0].userId);
+  if (state.currentTurnUserId !== userId) return accept(next);
+  return accept({
+    ...next,
+    currentTurnUserId: getNextPlayer(next, userId),
+    hasDrawn: false,
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+function restartRound(state, _action, { random = Math.random } = {}) {
+  if (state.phase !== "round_ended") {
+    return reject("ROUND_NOT_ENDED", "Round has not ended");
+  }
+  const sortedPlayers = sortedBySeat(state.players);
+  const { hands, deck, discardPile } = dealRound(sortedPlayers.length, state.deckCount ?? 1, random);
+  const handByUserId = new Map(sortedPlayers.map((p, i) => [p.userId, hands[i]]));
+  return accept({
+    ...state,
+    players: state.players.map((p) => ({ ...p, hand: handByUserId.get(p.userId) })),
+    phase: "play",
+    // Last round's winner leads
+    currentTurnUserId: state.finishedOrder?.[0] ?? sortedPlayers[0].userId,
+    turnNumber: state.turnNumber + 1,
+    deck,
+    discardPile,
+    direction: "clockwise",
+    activeSuit: undefined,
+    hasDrawn: false,
+    finishedOrder: undefined,
+    roundLoserId: undefined,
+    forfeitedUserIds: undefined,
+    roundNumber: (state.roundNumber ?? 1) + 1,
+  });
+}
+
+/** Action taken for the current player when their turn time runs out: draw (if they haven't) and pass. */
+export function getTimeoutAction(state) {
+  if (state.phase !== "play") return null;
+  return { type: "pass", userId: state.currentTurnUserId };
+}
+
+/**
+ * Baseline computer player: play the first matching card that isn't an 8, else an 8 naming the
+ * suit it holds most of, else draw once and then pass. Returns the action, or null when it isn't
+ * the bot's turn.
+ */
+export function chooseBotAction(state, userId) {
+  const candidates = botCandidates(state, userId);
+  return candidates.find((a) => a.type === "play" && getRank(a.cardIds[0]) !== WILD_RANK) ?? candidates[0] ?? null;
+}
+
+/**
+ * Moves a computer player weighs on its turn: each card it can play (an 8 naming the suit it
+ * holds most of), then drawing, or passing once it has drawn.
+ */
+export function botCandidates(state, userId) {
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return [];
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return [];
+  const plays = player.hand
+    .filter((cardId) => validatePlay(state, userId, cardId).ok)
+    .map((cardId) => {
+      if (getRank(cardId) !== WILD_RANK) return { type: "play", userId, cardIds: [cardId] };
+      const rest = player.hand.filter((c) => c !== cardId);
+      const counts = SUITS.map((suit) => rest.filter((c) => getSuit(c) === suit).length);
+      return { type: "play", userId, cardIds: [cardId], suit: SUITS[counts.indexOf(Math.max(...counts))] };
+    });
+  return [...plays, state.hasDrawn ? { type: "pass", userId } : { type: "draw", userId }];
+}
+
+const ACTIONS = {
+  play,
+  draw,
+  pass,
+  restart: restartRound,
+  forfeit,
+};
+
+/**
+ * Apply an action to a state. Actions:
+ *   { type: "play", userId, cardIds, suit }  one card; suit is the suit named when playing an 8
+ *   { type: "draw", userId }
+ *   { type: "pass", userId }
+ *   { type: "restart" }
+ *   { type: "forfeit", userId }              the player left mid-round
+ * options.random replaces Math.random when shuffling (restart, refilling the deck).
+ */
+export function applyAction(state, action, options) {
+  return dispatchAction(ACTIONS, state, action, options);
+}
@@ -0,0 +1,61 @@
+// Custom mode: Presidents played under a ruleset the host builds in the lobby. The ruleset is
+// saved on the room, copied onto the game at start (games.customRuleset) and handed to the
+// Presidents engine as state.ruleset, which reads it in place of its built-in rank order, jokers,
+// exchange schedule and finishing rules.
+
+import { RANKS } from "./cards";
+import { reject } from "./engine";
+import * as presidents from "./presidents";
+
+// Up to this many pairs of players swap cards after a round, each swapping up to MAX_EXCHANGE_COUNT
+export const MAX_EXCHANGE_TIERS = 3;
+export const MAX_EXCHANGE_COUNT = 3;
+// More wild ranks than this and hands of nothing but wild cards, which can only be led a rank at a
+// time, stop being a rarity
+export const MAX_WILD_RANKS = 3;
+
+/** Standard Presidents, written as a ruleset: the starting point of the lobby editor. */
+export const DEFAULT_RULESET = {
+  rankOrder: presidents.RANK_ORDER,
+  wildRanks: [presidents.JOKER_RANK],
+  matchLedCount: false,
+  exchange: [2, 1],
+  noFinishOnWild: false,
+  roundEnds: "last_player",
+};
+
+/**
+ * Check that a ruleset can be played: every rank ranked exactly once, at most MAX_WILD_RANKS
+ * known wild ranks, and an exchange schedule within the limits.
+ * Returns { ok: true } or a rejection.
+ */
+export function validateRuleset(ruleset) {
+  const { rankOrder, wildRanks, exchange } = ruleset;
+  if (rankOrder.length !== RANKS.length || RANKS.some((r) => !rankOrder.includes(r))) {
+    return reject("BAD_RANK_ORDER", "Rank order must list every rank exactly once");
+  }
+  if (wildRanks.some((r) => !RANKS.includes(r)) || new Set(wildRanks).size !== wildRanks.length) {
+    return reject("BAD_WILD_RANKS", "Wild ranks must be distinct card ranks");
+  }
+  if (wildRanks.length > MAX_WILD_RANKS) {
+    return reject("TOO_MANY_WILD_RANKS", `At most ${MAX_WILD_RANKS} ranks can be wild`);
+  }
+  if (
+    exchange.length > MAX_EXCHANGE_TIERS ||
+    exchange.some((count) => !Number.isInteger(count) || count < 1 || count > MAX_EXCHANGE_COUNT)
+  ) {
+    return reject(
+      "BAD_EXCHANGE",
+      `Exchanges swap 1 to ${MAX_EXCHANGE_COUNT} cards, between at most ${MAX_EXCHANGE_TIERS} pairs of players`,
+    );
+  }
+  return { ok: true };
+}
+
+export const STATE_FIELDS = presidents.STATE_FIELDS;
+export const newGame = presidents.newGame;
+export const getTimeoutAction = presidents.getTimeoutAction;
+export const chooseBotAction = presidents.chooseBotAction;
+export const botCandidates = presidents.botCandidates;
+export const planBotExchange = presidents.planBotExchange;
+export const applyAction = presidents.applyAction;
@@ -0,0 +1,27 @@
+// Plumbing shared by the rules engines (presidents.js, bigtwo.js, hearts.js, classic.js, speed.js
+// and the modes built on them). Every engine is pure, with no Convex imports, so that the
+// mutations in games.js and the game page judge a move the same way.
+//
+// An action's result is { ok: true, state } or { ok: false, error: { code, message } }.
+
+export function reject(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+export function accept(state) {
+  return { ok: true, state };
+}
+
+export function sortedBySeat(players) {
+  return [...players].sort((a, b) => a.seatIndex - b.seatIndex);
+}
+
+/**
+ * Run the handler in actions for action.type: handler(state, action, options).
+ * An engine's applyAction calls this with its own table of handlers.
+ */
+export function dispatchAction(actions, state, action, options) {
+  const handler = actions[action.type];
+  if (!handler) return reject("UNKNOWN_ACTION", `Unknown action: ${action.type}`);
+  return handler(state, action, options);
+}
@@ -0,0 +1,425 @@
+// Pure Hearts rules engine (see engine.js). Besides games.js, the game page uses validatePlay to
+// check a card before it is sent and roundPoints to show the round's score.
+//
+// State shape (mirrors the gameStates document plus each player's hand):
+//   { players: [{ userId, seatIndex, hand }], phase, currentTurnUserId, turnNumber, discardPile,
+//     trick, lastTrick, lastTrickWinnerId, heartsBroken, pointsTaken, finishedOrder, roundLoserId,
+//     forfeitedUserIds, exchangePairs, exchangeSelections, roundLeaderId, openingCard, roundNumber,
+//     direction }
+//
+// A trick-taking game for four players, 13 cards each. Each round starts with everyone passing
+// three cards left, right, across, or not at all, in turn (the exchange phase, shared with
+// Presidents). The holder of the 2♣ leads it to the first trick; everyone must follow the led suit
+// if they can, and the highest card of that suit takes the trick and leads the next. Hearts can't
+// be led until one has been discarded on a trick (hearts broken). Each heart taken costs a point
+// and the Q♠ costs 13, unless one player takes all 26 (shooting the moon), in which case everyone
+// else gets 26. Scores add up over the match, which ends once someone reaches TARGET_SCORE; the
+// lowest score wins. Cards from finished tricks collect in discardPile. A player who leaves mid-round
+// ends it (see forfeit).
+//
+// applyAction(state, action) returns { ok: true, state } or { ok: false, error: { code, message } }.
+
+import { buildDeck, distributeEvenly, getRank, getSuit, shuffleArray } from "./cards";
+import { accept, dispatchAction, reject, sortedBySeat } from "./engine";
+import * as presidents from "./presidents";
+
+// Lowest first: aces are high
+export const RANK_ORDER = ["2", "3", "4", "5", "6", "7", "8", "9", "T", "J", "Q", "K", "A"];
+export const OPENING_CARD = "2C";
+export const QUEEN_OF_SPADES = "QS";
+export const PASS_COUNT = 3;
+// Passing cycles through these, one per round
+export const PASS_DIRECTIONS = ["left", "right", "across", "hold"];
+// A player taking every point in a round "shoots the moon"
+export const MOON_POINTS = 26;
+
+// Registry options (see modes.js)
+export const PLAYER_COUNTS = [4];
+export const DECK_COUNT = 1;
+export const TARGET_SCORE = 100;
+export const LOW_SCORE_WINS = true;
+
+const SUIT_NAMES = { S: "spades", H: "hearts", D: "diamonds", C: "clubs" };
+
+/** Fields of the gameStates document that the engine reads and writes. */
+export const STATE_FIELDS = [
+  "phase",
+  "currentTurnUserId",
+  "turnNumber",
+  "discardPile",
+  "trick",
+  "lastTrick",
+  "lastTrickWinnerId",
+  "heartsBroken",
+  "pointsTaken",
+  "finishedOrder",
+  "roundLoserId",
+  "forfeitedUserIds",
+  "exchangePairs",
+  "exchangeSelections",
+  "roundLeaderId",
+  "openingCard",
+  "roundNumber",
+  "direction",
+];
+
+/** Penalty points a card is worth to whoever takes it. */
+export function cardPoints(cardId) {
+  if (cardId === QUEEN_OF_SPADES) return 13;
+  return getSuit(cardId) === "H" ? 1 : 0;
+}
+
+/** Sort a hand by suit (♣ ♦ ♠ ♥), highest rank first within each suit. */
+export function sortHand(hand) {
+  const suits = ["C", "D", "S", "H"];
+  return [...hand].sort((a, b) =>
+    suits.indexOf(getSuit(a)) - suits.indexOf(getSuit(b))
+    || RANK_ORDER.indexOf(getRank(b)) - RANK_ORDER.indexOf(getRank(a)),
+  );
+}
+
+/** Which way cards are passed at the start of roundNumber (1-based). */
+export function passDirection(roundNumber) {
+  return PASS_DIRECTIONS[(roundNumber - 1) % PASS_DIRECTIONS.length];
+}
+
+/** Exchange pairs for a round: everyone gives PASS_COUNT cards to the seat direction points at. */
+export function buildPassPairs(players, direction) {
+  if (direction === "hold") return [];
+  const sorted = sortedBySeat(players);
+  const offset = { left: 1, right: sorted.length - 1, across: Math.floor(sorted.length / 2) }[direction];
+  return sorted.map((p, i) => ({
+    fromUserId: p.userId,
+    toUserId: sorted[(i + offset) % sorted.length].userId,
+    count: PASS_COUNT,
+  }));
+}
+
+function holderOf(players, cardId) {
+  return players.find((p) => p.hand.includes(cardId))?.userId;
+}
+
+/** Deal a round and set up its pass, or go straight to the 2♣ lead on a hold round. */
+function dealRound(players, roundNumber, random) {
+  const sorted = sortedBySeat(players);
+  const hands = distributeEvenly(shuffleArray(buildDeck(DECK_COUNT), random), sorted.length);
+  const handByUserId = new Map(sorted.map((p, i) => [p.userId, hands[i]]));
+  const dealt = players.map((p) => ({ ...p, hand: handByUserId.get(p.userId) }));
+  const exchangePairs = buildPassPairs(dealt, passDirection(roundNumber));
+  const leaderId = holderOf(dealt, OPENING_CARD);
+  return {
+    players: dealt,
+    phase: exchangePairs.length > 0 ? "exchange" : "play",
+    currentTurnUserId: leaderId,
+    discardPile: [],
+    trick: [],
+    lastTrick: undefined,
+    lastTrickWinnerId: undefined,
+    heartsBroken: false,
+    pointsTaken: sorted.map((p) => ({ userId: p.userId, points: 0 })),
+    exchangePairs: exchangePairs.length > 0 ? exchangePairs : undefined,
+    exchangeSelections: [],
+    roundLeaderId: exchangePairs.length > 0 ? leaderId : undefined,
+    openingCard: OPENING_CARD,
+  };
+}
+
+/**
+ * Check whether userId may play cardIds (a single card) right now. Only the player's own hand
+ * is read, so the client can call this with a partial state.
+ * Returns { ok: true, remainingHand } or a rejection.
+ */
+export function validatePlay(state, userId, cardIds) {
+  if (state.phase === "exchange") return reject("EXCHANGE_PENDING", "Complete the card exchange first");
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  if (state.currentTurnUserId !== userId) return reject("NOT_YOUR_TURN", "Not your turn");
+  if (cardIds.length !== 1) return reject("ONE_CARD", "Play one card at a time");
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return reject("NOT_IN_GAME", "You are not in this game");
+  const [cardId] = cardIds;
+  if (!player.hand.includes(cardId)) return reject("CARD_NOT_IN_HAND", "Card not in hand");
+  const hand = player.hand;
+  const suit = getSuit(cardId);
+  const trick = state.trick ?? [];
+
+  if (state.openingCard && cardId !== state.openingCard) {
+    return reject("OPENING_CARD_REQUIRED", "The first trick must be led with the 2 of clubs");
+  }
+  if (trick.length === 0) {
+    if (suit === "H" && !state.heartsBroken && hand.some((c) => getSuit(c) !== "H")) {
+      return reject("HEARTS_NOT_BROKEN", "Hearts can't be led until they are broken");
+    }
+  } else {
+    const ledSuit = getSuit(trick[0].cardId);
+    if (suit !== ledSuit && hand.some((c) => getSuit(c) === ledSuit)) {
+      return reject("MUST_FOLLOW_SUIT", `You must follow ${SUIT_NAMES[ledSuit]}`);
+    }
+    // No points on the first trick, unless the hand holds nothing else
+    const firstTrick = (state.discardPile ?? []).length === 0;
+    if (firstTrick && cardPoints(cardId) > 0 && hand.some((c) => cardPoints(c) === 0)) {
+      return reject("NO_POINTS_FIRST_TRICK", "Hearts and the Q♠ can't be played on the first trick");
+    }
+  }
+  return { ok: true, remainingHand: hand.filter((c) => c !== cardId) };
+}
+
+/** Cards userId could legally play right now, in hand order. */
+export function legalCards(state, userId) {
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return [];
+  return player.hand.filter((cardId) => validatePlay(state, userId, [cardId]).ok);
+}
+
+/** Who takes a finished trick: the highest card of the suit that was led. */
+export function trickWinner(trick) {
+  const ledSuit = getSuit(trick[0].cardId);
+  return trick
+    .filter((t) => getSuit(t.cardId) === ledSuit)
+    .reduce((best, t) => (RANK_ORDER.indexOf(getRank(t.cardId)) > RANK_ORDER.indexOf(getRank(best.cardId)) ? t : best))
+    .userId;
+}
+
+/**
+ * Points each player scores for a finished round, from state.pointsTaken: what they took, or
+ * when one player shot the moon, 0 for them and MOON_POINTS for everyone else. Points charged to
+ * a player who forfeited never count as shooting the moon.
+ * Returns a Map userId → points.
+ */
+export function roundPoints(state) {
+  const taken = state.pointsTaken ?? [];
+  const forfeited = state.forfeitedUserIds ?? [];
+  const shooter = taken.find((t) => t.points === MOON_POINTS && !forfeited.includes(t.userId));
+  return new Map(
+    taken.map((t) => [t.userId, shooter ? (t.userId === shooter.userId ? 0 : MOON_POINTS) : t.points]),
+  );
+}
+
+/**
+ * End the round: players ordered fewest points first, so the one who took the most is last, but
+ * behind them anyone who forfeited.
+ */
+function endRound(state) {
+  const points = roundPoints(state);
+  const forfeited = presidents.forfeitOrder(state);
+  const finishedOrder = sortedBySeat(state.players)
+    .filter((p) => !forfeited.includes(p.userId))
+    .sort((a, b) => points.get(a.userId) - points.get(b.userId))
+    .map((p) => p.userId)
+    .concat(forfeited);
+  return accept({
+    ...state,
+    phase: "round_ended",
+    finishedOrder,
+    roundLoserId: finishedOrder[finishedOrder.length - 1],
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+function play(state, { userId, cardIds }) {
+  const check = validatePlay(state, userId, cardIds);
+  if (!check.ok) return check;
+  const [cardId] = cardIds;
+  const players = state.players.map((p) => (p.userId === userId ? { ...p, hand: check.remainingHand } : p));
+  const trick = [...(state.trick ?? []), { userId, cardId }];
+  const next = {
+    ...state,
+    players,
+    heartsBroken: state.heartsBroken || getSuit(cardId) === "H",
+    openingCard: undefined,
+    turnNumber: state.turnNumber + 1,
+  };
+  if (trick.length < players.length) {
+    return accept({
+      ...next,
+      trick,
+      currentTurnUserId: presidents.getNextPlayerToPlay(players, userId, [], undefined, state.direction),
+    });
+  }
+
+  const winnerId = trickWinner(trick);
+  const won = trick.reduce((sum, t) => sum + cardPoints(t.cardId), 0);
+  const taken = {
+    ...next,
+    currentTurnUserId: winnerId,
+    discardPile: [...(state.discardPile ?? []), ...trick.map((t) => t.cardId)],
+    trick: [],
+    lastTrick: trick,
+    lastTrickWinnerId: winnerId,
+    pointsTaken: (state.pointsTaken ?? []).map((t) => (t.userId === winnerId ? { ...t, points: t.points + won } : t)),
+  };
+  if (players.every((p) => p.hand.length === 0)) return endRound(taken);
+  return accept(taken);
+}
+
+/**
+ * A player who left mid-round forfeits it. Tricks need every seat, so the round ends there: each
+ * point not yet taken, in hands or on the table, is charged to the leaver, who is placed last.
+ */
+function forfeit(state, { userId }) {
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  if (!state.players.some((p) => p.userId === userId)) return reject("NOT_IN_GAME", "You are not in this game");
+  const pointsTaken = state.pointsTaken ?? [];
+  const outstanding = MOON_POINTS - pointsTaken.reduce((sum, t) => sum + t.points, 0);
+  return endRound({
+    ...state,
+    players: state.players.map((p) => (p.userId === userId ? { ...p, hand: [] } : p)),
+    trick: [],
+    pointsTaken: pointsTaken.map((t) => (t.userId === userId ? { ...t, points: t.points + outstanding } : t)),
+    forfeitedUserIds: [...(state.forfeitedUserIds ?? []), userId],
+    exchangePairs: undefined,
+    exchangeSelections: undefined,
+    roundLeaderId: undefined,
+    openingCard: undefined,
+  });
+}
+
+/** Passing cards reuses Presidents' exchange; then the 2♣, wherever it ended up, leads. */
+function selectExchange(state, action) {
+  const result = presidents.applyAction(state, action);
+  if (!result.ok || result.state.phase !== "play") return result;
+  return accept({ ...result.state, currentTurnUserId: holderOf(result.state.players, OPENING_CARD) });
+}
+
+/**
+ * Start a game: deal 13 cards to each of userIds (in seat order) and pass left.
+ * Returns { hands, state } where state holds the gameStates fields to start from.
+ */
+export function newGame({ userIds, random = Math.random }) {
+  const round = dealRound(userIds.map((userId, seatIndex) => ({ userId, seatIndex })), 1, random);
+  const { players, ...state } = round;
+  return {
+    hands: players.map((p) => p.hand),
+    state: { ...state, deck: [], direction: "clockwise" },
+  };
+}
+
+function restartRound(state, _action, { random = Math.random } = {}) {
+  if (state.phase !== "round_ended") {
+    return reject("ROUND_NOT_ENDED", "Round has not ended");
+  }
+  const roundNumber = (state.roundNumber ?? 1) + 1;
+  return accept({
+    ...state,
+    ...dealRound(state.players, roundNumber, random),
+    turnNumber: state.turnNumber + 1,
+    finishedOrder: undefined,
+    roundLoserId: undefined,
+    forfeitedUserIds: undefined,
+    roundNumber,
+  });
+}
+
+/**
+ * Action taken for a player whose time runs out: their lowest legal card on their turn, or when
+ * passing, the cards the baseline bot would pass.
+ */
+export function getTimeoutAction(state, userId = state.currentTurnUserId) {
+  if (state.phase === "exchange") return chooseBotAction(state, userId);
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return null;
+  const lowest = legalCards(state, userId)
+    .sort((a, b) => RANK_ORDER.indexOf(getRank(a)) - RANK_ORDER.indexOf(getRank(b)))[0];
+  return lowest ? { type: "play", userId, cardIds: [lowest] } : null;
+}
+
+function rankIndex(cardId) {
+  return RANK_ORDER.indexOf(getRank(cardId));
+}
+
+/** The card among cardIds that is most dangerous to keep: Q♠, then the highest heart, then the highest card. */
+function mostDangerous(cardIds) {
+  if (cardIds.includes(QUEEN_OF_SPADES)) return QUEEN_OF_SPADES;
+  const byRank = [...cardIds].sort((a, b) => rankIndex(b) - rankIndex(a));
+  return byRank.find((c) => getSuit(c) === "H") ?? byRank[0];
+}
+
+/**
+ * Baseline computer player. It passes its three most dangerous cards. Following suit, it plays
+ * the highest card that still loses the trick, else its lowest. When it can't follow, it dumps
+ * the most dangerous card it holds. Leading, it plays its lowest card.
+ * Returns the action, or null when there is nothing to do.
+ */
+export function chooseBotAction(state, userId) {
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return null;
+  if (state.phase === "exchange") {
+    const pair = (state.exchangePairs ?? []).find((p) => p.fromUserId === userId);
+    if (!pair) return null;
+    const hand = [...player.hand];
+    const cardIds = [];
+    while (cardIds.length < pair.count && hand.length > 0) {
+      const cardId = mostDangerous(hand);
+      cardIds.push(cardId);
+      hand.splice(hand.indexOf(cardId), 1);
+    }
+    return { type: "exchange", userId, cardIds };
+  }
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return null;
+  const legal = legalCards(state, userId).sort((a, b) => rankIndex(a) - rankIndex(b));
+  if (legal.length === 0) return null;
+  const trick = state.trick ?? [];
+  let cardId = legal[0];
+  if (trick.length > 0) {
+    const ledSuit = getSuit(trick[0].cardId);
+    if (getSuit(legal[0]) === ledSuit) {
+      const winning = trick.find((t) => t.userId === trickWinner(trick)).cardId;
+      const ducks = legal.filter((c) => rankIndex(c) < rankIndex(winning));
+      if (ducks.length > 0) cardId = ducks[ducks.length - 1];
+    } else {
+      cardId = mostDangerous(legal);
+    }
+  }
+  return { type: "play", userId, cardIds: [cardId] };
+}
+
+/** Moves a computer player weighs on its turn: each card it may play. */
+export function botCandidates(state, userId) {
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return [];
+  return legalCards(state, userId).map((cardId) => ({ type: "play", userId, cardIds: [cardId] }));
+}
+
+/**
+ * Passing plan for a stronger computer player: the Q♠, A♠ and K♠ unless three lower spades
+ * guard them, then a short club or diamond suit it can void, then its highest hearts, then its
+ * highest cards.
+ */
+export function planBotExchange(state, userId) {
+  const pair = (state.exchangePairs ?? []).find((p) => p.fromUserId === userId);
+  const player = state.players.find((p) => p.userId === userId);
+  if (!pair || !player) return null;
+  const hand = player.hand;
+  const lowSpades = hand.filter((c) => getSuit(c) === "S" && rankIndex(c) < rankIndex(QUEEN_OF_SPADES));
+  const picks = lowSpades.length >= 3 ? [] : ["QS", "AS", "KS"].filter((c) => hand.includes(c));
+  const [shortest] = ["C", "D"]
+    .map((suit) => hand.filter((c) => getSuit(c) === suit))
+    .filter((cards) => cards.length > 0)
+    .sort((a, b) => a.length - b.length);
+  if (shortest && shortest.length <= pair.count - picks.length) picks.push(...shortest);
+  const byRank = [...hand].sort((a, b) => rankIndex(b) - rankIndex(a));
+  picks.push(...byRank.filter((c) => getSuit(c) === "H"), ...byRank);
+  return { type: "exchange", userId, cardIds: [...new Set(picks)].slice(0, pair.count) };
+}
+
+function pass() {
+  return reject("NO_PASSING", "Everyone plays a card to every trick; you can't pass");
+}
+
+const ACTIONS = {
+  play,
+  pass,
+  restart: restartRound,
+  exchange: selectExchange,
+  forfeit,
+};
+
+/**
+ * Apply an action to a state. Actions:
+ *   { type: "play", userId, cardIds }
+ *   { type: "pass", userId }          always rejected
+ *   { type: "exchange", userId, cardIds }
+ *   { type: "restart" }
+ *   { type: "forfeit", userId }        the player left mid-round; ends it
+ * options.random replaces Math.random when shuffling (restart).
+ */
+export function applyAction(state, action, options) {
+  return dispatchAction(ACTIONS, state, action, options);
+}
@@ -0,0 +1,72 @@
+// Game-mode registry. games.js looks every playable gameMode up here, so adding a mode means
+// writing its rules engine and adding an entry below; the shared mutations (startGame, playCards,
+// pass, submitExchangeSelection, restartRound) and the turn timer dispatch to it.
+//
+// Each engine module provides:
+//   STATE_FIELDS                  gameStates fields it reads and writes
+//   newGame({ userIds, deckCount, rules, random })
+//                                 deals the first round to userIds (in seat order) and returns
+//                                 { hands, drawPiles?, state } with the gameStates fields to start from
+//   applyAction(state, action, options)
+//                                 legal-action check and state change in one: { ok: true, state } or
+//                                 { ok: false, error }. A round ends when phase becomes "round_ended"
+//                                 with finishedOrder set; games.js scores it from there. Besides the
+//                                 mode's own actions it takes { type: "forfeit", userId } for a player
+//                                 who left mid-round (see forfeitPlayer in games.js): their cards leave
+//                                 play, they're listed in forfeitedUserIds and placed last, and the
+//                                 round ends if fewer than two players are left in it
+//   getTimeoutAction(state, userId)
+//                                 action taken when userId's time runs out, or null: on their turn
+//                                 (userId defaults to currentTurnUserId), or in an exchange, where it
+//                                 gives the cards they owe
+//   TURN_BASED                    optional; false for real-time modes without a turn clock
+//   DECK_COUNT                    optional; fixed number of decks, overriding the room setting
+//   PLAYER_COUNTS                 optional; the numbers of players the mode can be started with
+//   roundPoints(state)            optional; points each player scores for a finished round (Map
+//                                 userId → points), in place of scoring.js's points by finishing position
+//   TARGET_SCORE                  optional; the match ends once someone reaches it, overriding the room setting
+//   LOW_SCORE_WINS                optional; true when the lowest running score wins the match
+//   seatMembers(members)          optional; seats the room's members (roomMembers documents) for a
+//                                 game: { ok: true, members } in seat order, or { ok: false, error }
+//   chooseBotAction(state, userId)
+//                                 optional; a computer player's next action, or null. state is what the
+//                                 bot can see (other players' hands emptied, see bots.js); modes without
+//                                 it can't be started with bots at the table. This is the Medium bot
+//   botCandidates(state, userId)  optional; the moves Easy and Hard bots choose between on their turn
+//   planBotExchange(state, userId)
+//                                 optional; a Hard bot's exchange, in place of chooseBotAction's
+//                                 (levels are in bots.js)
+//
+// family says which lobby settings and game-page layout a mode uses.
+
+import * as bigtwo from "./bigtwo";
+import * as chaos from "./chaos";
+import * as classic from "./classic";
+import * as custom from "./custom";
+import * as hearts from "./hearts";
+import * as presidents from "./presidents";
+import * as speed from "./speed";
+import * as teams from "./teams";
+
+export const MODES = {
+  presidents: { name: "Presidents", family: "presidents", engine: presidents },
+  classic: { name: "Classic", family: "classic", engine: classic },
+  speed: { name: "Speed", family: "speed", engine: speed },
+  chaos: { name: "Chaos", family: "presidents", engine: chaos },
+  custom: { name: "Custom", family: "presidents", engine: custom },
+  bigtwo: { name: "Big Two", family: "bigtwo", engine: bigtwo },
+  hearts: { name: "Hearts", family: "trick", engine: hearts },
+  teams: { name: "Team Presidents", family: "presidents", engine: teams },
+};
+
+export const PLAYABLE_MODES = Object.keys(MODES);
+
+/** The registry entry for gameMode, or null if it can't be played. */
+export function getMode(gameMode) {
+  return MODES[gameMode] ?? null;
+}
+
+/** Playable modes that share a family's settings and layout. */
+export function modesInFamily(family) {
+  return PLAYABLE_MODES.filter((gameMode) => MODES[gameMode].family === family);
+}
@@ -0,0 +1,15 @@
+// Presence timing, shared by convex/presence.js and the room and game pages.
+
+// How often an open room or game page sends a heartbeat
+export const HEARTBEAT_MS = 10 * 1000;
+// A player counts as online while their last heartbeat is at most this old...
+export const ONLINE_WINDOW_MS = 25 * 1000;
+// ...and once they've been gone this long mid-game, a bot or an auto-pass takes their turns
+export const AWAY_GRACE_MS = 60 * 1000;
+// A player who leaves mid-game can take their seat back for this long
+export const REJOIN_GRACE_MS = 2 * 60 * 1000;
+
+/** Whether a player last seen at lastSeenAt (a timestamp, or undefined if never) is online at now. */
+export function isOnline(lastSeenAt, now) {
+  return lastSeenAt !== undefined && now - lastSeenAt <= ONLINE_WINDOW_MS;
+}
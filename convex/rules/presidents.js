@@ -0,0 +1,824 @@
+// Pure Presidents rules engine. No Convex imports: the mutations in games.js and the
+// game page both use it, so a play is judged the same way on either side.
+//
+// State shape (mirrors the gameStates document plus each player's hand and the game's house rules):
+//   { players: [{ userId, seatIndex, hand }], rules: { ...houseRules }, phase, currentTurnUserId,
+//     turnNumber, discardPile, playedCards, lastPlayedCount, lastPlayedRank, lastPlayedBy, passedUserIds,
+//     finishedOrder, roundLoserId, forfeitedUserIds, exchangePairs, exchangeSelections,
+//     roundLeaderId, revolution, openingCard, roundNumber, direction, modifiers, ruleset, deckCount }
+//
+// applyAction(state, action) returns { ok: true, state } or { ok: false, error: { code, message } }.
+
+import { buildDeck, distributeEvenly, getRank, shuffleArray } from "./cards";
+import { accept, dispatchAction, reject, sortedBySeat } from "./engine";
+
+// For play comparison: 2 highest, then A, K... 3 lowest. Lower index = higher rank.
+export const RANK_ORDER = ["2", "A", "K", "Q", "J", "T", "9", "8", "7", "6", "5", "4", "3"];
+// 2 is a joker: it can join any other rank, but is only played on its own from a hand of nothing but jokers.
+export const JOKER_RANK = "2";
+// Revolution and burn house rules: a play of this many cards flips the rank order / burns the table.
+export const REVOLUTION_COUNT = 4;
+export const BURN_COUNT = 4;
+// Opening-lead rule: whoever holds this card leads the first round and must play it.
+export const OPENING_CARD = "3C";
+// Chaos bomb: a play of this many cards forces the next player to pass.
+export const BOMB_COUNT = 4;
+
+/*
+ * House rules a host can toggle (stored on rooms/games as houseRules). All default to off.
+ *   revolution        four or more of a kind flips the rank order until the round ends
+ *   skipOnEqualRank   matching the last rank skips the next player
+ *   strictlyHigher    a play must beat the last rank, not just equal it
+ *   noFinishOnTwo     a player's last play may not contain a 2
+ *   fourOfAKindBurns  four or more of a kind clears the table; the same player leads again
+ *   openingLead       who leads the first round: "seat" (seat 0), "three_of_clubs" or "random"
+ *
+ * Chaos-mode modifiers (stored per round on gameStates.modifiers; see chaos.js):
+ *   reversed_ranks    the rank order is flipped for the whole round (a revolution flips it back)
+ *   sevens_wild       7s are jokers as well as 2s
+ *   counter_clockwise play goes the other way round the table (gameStates.direction)
+ *   bomb_forces_pass  after a play of BOMB_COUNT or more cards the next player is forced to pass
+ *
+ * Custom-mode ruleset (games.customRuleset, passed in as state.ruleset; see custom.js):
+ *   rankOrder         replaces RANK_ORDER, highest first
+ *   wildRanks         replaces the jokers (2s); may be empty
+ *   matchLedCount     plays must have exactly as many cards as the lead, not at least as many
+ *   exchange          cards swapped between 1st and last, 2nd and second-last, ... after each round
+ *   noFinishOnWild    a player's last play may not contain a wild card
+ *   roundEnds         "last_player" (default) or "first_out": the round ends when the first player
+ *                     goes out and everyone else is ranked by cards left
+ */
+
+/** Fields of the gameStates document that the engine reads and writes. */
+export const STATE_FIELDS = [
+  "phase",
+  "currentTurnUserId",
+  "turnNumber",
+  "discardPile",
+  "playedCards",
+  "lastPlayedCount",
+  "lastPlayedRank",
+  "lastPlayedBy",
+  "passedUserIds",
+  "finishedOrder",
+  "roundLoserId",
+  "forfeitedUserIds",
+  "exchangePairs",
+  "exchangeSelections",
+  "roundLeaderId",
+  "revolution",
+  "openingCard",
+  "roundNumber",
+  "direction",
+  "modifiers",
+];
+
+function hasModifier(state, modifier) {
+  return (state.modifiers ?? []).includes(modifier);
+}
+
+/** Whether the rank order is flipped: by a revolution or the reversed_ranks modifier, not both. */
+export function isReversed(state) {
+  return !!state.revolution !== hasModifier(state, "reversed_ranks");
+}
+
+/** Ranks that act as jokers: a custom ruleset's wild ranks, else 2s plus 7s under the sevens_wild modifier. */
+export function jokerRanks(state) {
+  if (state.ruleset) return state.ruleset.wildRanks;
+  return hasModifier(state, "sevens_wild") ? [JOKER_RANK, "7"] : [JOKER_RANK];
+}
+
+/** Rank order in play, highest first: a custom ruleset's, or RANK_ORDER. */
+export function rankOrderFor(state) {
+  return state.ruleset?.rankOrder ?? RANK_ORDER;
+}
+
+/** Lower value = higher rank. During a revolution the order is flipped (3 highest, 2 lowest). */
+export function rankValue(rank, revolution = false, order = RANK_ORDER) {
+  const i = order.indexOf(rank);
+  if (i < 0) return 999;
+  return revolution ? order.length - 1 - i : i;
+}
+
+/** Sort hand by rank (best first: 2, A, K... 3, or the reverse during a revolution). */
+export function sortHandByRank(hand, revolution = false, order = RANK_ORDER) {
+  return [...hand].sort((a, b) => rankValue(a[0], revolution, order) - rankValue(b[0], revolution, order));
+}
+
+/** Pick the n best cards (highest rank). */
+export function pickBest(hand, n, revolution = false, order = RANK_ORDER) {
+  const sorted = sortHandByRank(hand, revolution, order);
+  return sorted.slice(0, Math.min(n, sorted.length));
+}
+
+/** Pick the n worst cards (lowest rank). */
+export function pickWorst(hand, n, revolution = false, order = RANK_ORDER) {
+  const sorted = sortHandByRank(hand, revolution, order);
+  return sorted.slice(-Math.min(n, sorted.length));
+}
+
+/**
+ * Next player in order who can play: not passed and has cards (not a spectator). Returns null if no one can play.
+ * direction "counter_clockwise" walks the seats backwards.
+ */
+export function getNextPlayerToPlay(players, currentUserId, passedUserIds, skipUserIds, direction = "clockwise") {
+  const sorted = sortedBySeat(players);
+  const idx = sorted.findIndex((p) => p.userId === currentUserId);
+  if (idx < 0) return sorted[0].userId;
+  const passedSet = new Set(passedUserIds ?? []);
+  const skipSet = skipUserIds ?? new Set();
+  const step = direction === "counter_clockwise" ? -1 : 1;
+  for (let i = 1; i < sorted.length; i++) {
+    const next = sorted[(idx + step * i + sorted.length) % sorted.length];
+    if (next.userId !== currentUserId && !passedSet.has(next.userId) && !skipSet.has(next.userId)) return next.userId;
+  }
+  return null;
+}
+
+/** Players who left during the round, as they are placed at its end: whoever left first comes last. */
+export function forfeitOrder(state) {
+  return [...(state.forfeitedUserIds ?? [])].reverse();
+}
+
+/** Whether every card in hand is a joker (or a custom ruleset's wild card). */
+export function isJokersOnly(state, hand) {
+  const jokers = jokerRanks(state);
+  return hand.length > 0 && hand.every((cardId) => jokers.includes(getRank(cardId)));
+}
+
+function checkPlayPhase(state) {
+  if (state.phase === "exchange") return reject("EXCHANGE_PENDING", "Complete the card exchange first");
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  return null;
+}
+
+/**
+ * Check whether userId may play cardIds right now. Only the player's own hand is read,
+ * so the client can call this with a partial state.
+ * Returns { ok: true, playRank, remainingHand } or a rejection.
+ */
+export function validatePlay(state, userId, cardIds) {
+  if (cardIds.length === 0) {
+    return reject("EMPTY_PLAY", "Select at least one card to play");
+  }
+  const phaseError = checkPlayPhase(state);
+  if (phaseError) return phaseError;
+  if (state.currentTurnUserId !== userId) {
+    return reject("NOT_YOUR_TURN", "Not your turn");
+  }
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return reject("NOT_IN_GAME", "You are not in this game");
+  const remainingHand = [...player.hand];
+  for (const cid of cardIds) {
+    const i = remainingHand.indexOf(cid);
+    if (i < 0) return reject("CARD_NOT_IN_HAND", "Card not in hand");
+    remainingHand.splice(i, 1);
+  }
+  const ranks = cardIds.map(getRank);
+  const jokers = jokerRanks(state);
+  const nonJokers = ranks.filter((r) => !jokers.includes(r));
+  const lastCount = state.lastPlayedCount ?? 0;
+  const lastRank = state.lastPlayedRank ?? null;
+  // A player holding nothing but jokers may lead them on their own, as their own rank: otherwise
+  // they could never lead again
+  const jokersOnlyLead = nonJokers.length === 0 && lastCount === 0 && isJokersOnly(state, player.hand);
+  if (nonJokers.length === 0 && !jokersOnlyLead) {
+    return jokers.length === 1 && jokers[0] === JOKER_RANK
+      ? reject("JOKER_ALONE", "2 cannot be played alone (joker must go with another rank)")
+      : reject("JOKER_ALONE", "Wild cards cannot be played alone (they must go with another rank)");
+  }
+  const uniqueRanks = [...new Set(jokersOnlyLead ? ranks : nonJokers)];
+  if (uniqueRanks.length > 1) {
+    return reject("MIXED_RANKS", "Play same rank only (2 counts as joker)");
+  }
+  const playRank = uniqueRanks[0];
+  const rules = state.rules ?? {};
+  const ruleset = state.ruleset ?? {};
+  if (lastCount > 0) {
+    if (ruleset.matchLedCount && cardIds.length !== lastCount) {
+      return reject("WRONG_COUNT", `Play exactly ${lastCount} card(s)`);
+    }
+    if (cardIds.length < lastCount) {
+      return reject("TOO_FEW_CARDS", `Play at least ${lastCount} card(s)`);
+    }
+    const playValue = rankValue(playRank, isReversed(state), rankOrderFor(state));
+    const lastValue = rankValue(lastRank, isReversed(state), rankOrderFor(state));
+    if (rules.strictlyHigher && playValue >= lastValue) {
+      return reject("RANK_NOT_HIGHER", "Play a higher rank");
+    }
+    if (playValue > lastValue) {
+      return reject("RANK_TOO_LOW", "Play same or higher rank");
+    }
+  }
+  if (state.openingCard && !cardIds.includes(state.openingCard)) {
+    return reject("OPENING_CARD_REQUIRED", "The opening play must include the 3 of clubs");
+  }
+  if (rules.noFinishOnTwo && remainingHand.length === 0 && ranks.includes(JOKER_RANK)) {
+    return reject("FINISH_ON_TWO", "You cannot go out on a 2");
+  }
+  if (ruleset.noFinishOnWild && remainingHand.length === 0 && ranks.some((r) => jokers.includes(r))) {
+    return reject("FINISH_ON_WILD", "You cannot go out on a wild card");
+  }
+  return { ok: true, playRank, remainingHand };
+}
+
+function play(state, { userId, cardIds }) {
+  const check = validatePlay(state, userId, cardIds);
+  if (!check.ok) return check;
+  const { playRank, remainingHand: newHand } = check;
+
+  const players = state.players.map((p) => (p.userId === userId ? { ...p, hand: newHand } : p));
+  let passedUserIds = state.passedUserIds ?? [];
+  const discardPile = [...(state.discardPile ?? []), ...cardIds];
+  // The table is cleared after each trick, so the round's plays are kept here as well
+  const playedCards = [...(state.playedCards ?? []), ...cardIds];
+  let finishedOrder = state.finishedOrder ?? [];
+  if (newHand.length === 0 && !finishedOrder.includes(userId)) {
+    finishedOrder = [...finishedOrder, userId];
+  }
+  const rules = state.rules ?? {};
+  const playerJustFinished = newHand.length === 0;
+  const skipSpectators = new Set(players.filter((p) => p.hand.length === 0).map((p) => p.userId));
+  const direction = state.direction;
+  let nextUserIdRaw = getNextPlayerToPlay(players, userId, passedUserIds, skipSpectators, direction);
+  if (rules.skipOnEqualRank && nextUserIdRaw !== null && playRank === state.lastPlayedRank) {
+    // Skip one player; if that brings it back around, the player has beaten the table.
+    const afterSkip = getNextPlayerToPlay(players, nextUserIdRaw, passedUserIds, skipSpectators, direction);
+    nextUserIdRaw = afterSkip === userId ? null : afterSkip ?? nextUserIdRaw;
+  }
+  const burned = rules.fourOfAKindBurns && cardIds.length >= BURN_COUNT;
+  if (hasModifier(state, "bomb_forces_pass") && !burned && nextUserIdRaw !== null && cardIds.length >= BOMB_COUNT) {
+    // The next player passes without a choice; if nobody else is left, the bomber leads again.
+    passedUserIds = [...passedUserIds, nextUserIdRaw];
+    const afterPass = getNextPlayerToPlay(players, nextUserIdRaw, passedUserIds, skipSpectators, direction);
+    nextUserIdRaw = afterPass === userId ? null : afterPass;
+  }
+  // A burn clears the table and the same player leads again (or the next player if they just went out)
+  const samePlayerLeadsAgain = nextUserIdRaw === null || (burned && !playerJustFinished);
+  // A player who just went out cannot lead; the next player still holding cards does.
+  const nextUserId = playerJustFinished
+    ? nextUserIdRaw ?? getNextPlayerToPlay(players, userId, [], skipSpectators, direction) ?? userId
+    : samePlayerLeadsAgain ? userId : nextUserIdRaw;
+  const playersWithCards = players.filter((p) => p.hand.length > 0);
+  const revolution = rules.revolution && cardIds.length >= REVOLUTION_COUNT
+    ? !state.revolution
+    : state.revolution;
+
+  // Usually the round ends when one player is left holding cards; under a "first_out" ruleset it
+  // ends with the first player out, and those still holding cards are ranked by how many they have
+  const roundOver = playersWithCards.length === 1 || state.ruleset?.roundEnds === "first_out";
+  if (playerJustFinished && roundOver) {
+    const stillHolding = sortedBySeat(playersWithCards)
+      .sort((a, b) => a.hand.length - b.hand.length)
+      .map((p) => p.userId);
+    const fullOrder = [...finishedOrder, ...stillHolding, ...forfeitOrder(state)];
+    return accept({
+      ...state,
+      players,
+      phase: "round_ended",
+      finishedOrder: fullOrder,
+      roundLoserId: fullOrder[fullOrder.length - 1],
+      currentTurnUserId: nextUserId,
+      discardPile,
+      playedCards,
+      lastPlayedCount: 0,
+      lastPlayedRank: undefined,
+      lastPlayedBy: undefined,
+      turnNumber: state.turnNumber + 1,
+      openingCard: undefined,
+    });
+  }
+
+  const clearTable = playerJustFinished || samePlayerLeadsAgain;
+  return accept({
+    ...state,
+    players,
+    currentTurnUserId: nextUserId,
+    lastPlayedCount: clearTable ? 0 : cardIds.length,
+    lastPlayedRank: clearTable ? undefined : playRank,
+    lastPlayedBy: clearTable ? undefined : userId,
+    discardPile: clearTable ? [] : discardPile,
+    playedCards,
+    turnNumber: state.turnNumber + 1,
+    passedUserIds: clearTable ? [] : passedUserIds,
+    finishedOrder: finishedOrder.length > 0 ? finishedOrder : state.finishedOrder,
+    revolution,
+    openingCard: undefined,
+  });
+}
+
+function pass(state, { userId }) {
+  const phaseError = checkPlayPhase(state);
+  if (phaseError) return phaseError;
+  if (state.currentTurnUserId !== userId) {
+    return reject("NOT_YOUR_TURN", "Not your turn");
+  }
+  if ((state.lastPlayedCount ?? 0) === 0) {
+    if (lowestLegalSingle(state, userId)) return reject("MUST_LEAD", "You must lead; you cannot pass");
+    return passLead(state, userId);
+  }
+  const passedUserIds = [...(state.passedUserIds ?? []), userId];
+  const lastPlayedBy = state.lastPlayedBy ?? null;
+  const skipSpectators = new Set(state.players.filter((p) => p.hand.length === 0).map((p) => p.userId));
+  const nextUserId = getNextPlayerToPlay(state.players, userId, passedUserIds, skipSpectators, state.direction);
+  // Back around to whoever played last: everyone else passed (or was skipped), so they lead.
+  // Everyone passed (null) shouldn't happen; fall back to lastPlayedBy leading.
+  const trickWon = nextUserId === null || (lastPlayedBy !== null && nextUserId === lastPlayedBy);
+  if (trickWon) {
+    return accept({
+      ...state,
+      currentTurnUserId: lastPlayedBy,
+      lastPlayedCount: 0,
+      lastPlayedRank: undefined,
+      lastPlayedBy: undefined,
+      passedUserIds: [],
+      turnNumber: state.turnNumber + 1,
+    });
+  }
+  return accept({
+    ...state,
+    currentTurnUserId: nextUserId,
+    passedUserIds,
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+/**
+ * The player on lead has nothing they may lead (a last joker they may not go out on), so the lead
+ * moves on to the next player holding cards. If none of those can lead either, the round ends
+ * with everyone still holding cards ranked by how many they have left.
+ */
+function passLead(state, userId) {
+  const holding = sortedBySeat(state.players).filter((p) => p.hand.length > 0);
+  const canLead = (p) => lowestLegalSingle({ ...state, currentTurnUserId: p.userId }, p.userId) !== null;
+  if (!holding.some(canLead)) {
+    const stillHolding = holding.sort((a, b) => a.hand.length - b.hand.length).map((p) => p.userId);
+    const fullOrder = [...(state.finishedOrder ?? []), ...stillHolding, ...forfeitOrder(state)];
+    return accept({
+      ...state,
+      phase: "round_ended",
+      finishedOrder: fullOrder,
+      roundLoserId: fullOrder[fullOrder.length - 1],
+      currentTurnUserId: fullOrder[0],
+      passedUserIds: [],
+      turnNumber: state.turnNumber + 1,
+      openingCard: undefined,
+    });
+  }
+  const spectators = new Set(state.players.filter((p) => p.hand.length === 0).map((p) => p.userId));
+  return accept({
+    ...state,
+    currentTurnUserId: getNextPlayerToPlay(state.players, userId, [], spectators, state.direction),
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+/** Whether userId may pass now: when following, or when leading with nothing they may lead. */
+export function canPass(state, userId) {
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return false;
+  return (state.lastPlayedCount ?? 0) > 0 || lowestLegalSingle(state, userId) === null;
+}
+
+/**
+ * Exchange pairs for the next round: 2–3 swap 1 each; 4+ first↔last 2, second↔second-last 1.
+ * A custom schedule gives the count for each tier instead (first↔last, second↔second-last, ...),
+ * skipping tiers the table is too small for.
+ */
+export function buildExchangePairs(finishedOrder, n, schedule) {
+  if (finishedOrder.length < n) return [];
+  if (schedule) {
+    const pairs = [];
+    schedule.forEach((count, i) => {
+      if (i >= n - 1 - i) return;
+      const topId = finishedOrder[i];
+      const bottomId = finishedOrder[n - 1 - i];
+      pairs.push(
+        { fromUserId: topId, toUserId: bottomId, count },
+        { fromUserId: bottomId, toUserId: topId, count },
+      );
+    });
+    return pairs;
+  }
+  if (n === 2 || n === 3) {
+    const winnerId = finishedOrder[0];
+    const loserId = finishedOrder[n - 1];
+    return [
+      { fromUserId: loserId, toUserId: winnerId, count: 1 },
+      { fromUserId: winnerId, toUserId: loserId, count: 1 },
+    ];
+  }
+  if (n >= 4) {
+    const firstId = finishedOrder[0];
+    const lastId = finishedOrder[n - 1];
+    const secondId = finishedOrder[1];
+    const secondLastId = finishedOrder[n - 2];
+    return [
+      { fromUserId: firstId, toUserId: lastId, count: 2 },
+      { fromUserId: lastId, toUserId: firstId, count: 2 },
+      { fromUserId: secondId, toUserId: secondLastId, count: 1 },
+      { fromUserId: secondLastId, toUserId: secondId, count: 1 },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Who leads the first round under the openingLead rule, and the card they must open with.
+ * players are in seat order. Returns { leaderId, openingCard }.
+ */
+export function chooseOpeningLeader(players, openingLead, random = Math.random) {
+  if (openingLead === "three_of_clubs") {
+    const holder = players.find((p) => p.hand.includes(OPENING_CARD));
+    if (holder) return { leaderId: holder.userId, openingCard: OPENING_CARD };
+  }
+  if (openingLead === "random") {
+    return { leaderId: players[Math.floor(random() * players.length)].userId, openingCard: undefined };
+  }
+  return { leaderId: players[0].userId, openingCard: undefined };
+}
+
+/**
+ * Start a game: deal the whole deck evenly to userIds (in seat order) and let the openingLead
+ * house rule pick who leads. Returns { hands, state } where state holds the gameStates fields to start from.
+ */
+export function newGame({ userIds, deckCount = 1, rules = {}, random = Math.random }) {
+  const hands = distributeEvenly(shuffleArray(buildDeck(deckCount), random), userIds.length);
+  const { leaderId, openingCard } = chooseOpeningLeader(
+    userIds.map((userId, i) => ({ userId, hand: hands[i] })),
+    rules.openingLead,
+    random,
+  );
+  return {
+    hands,
+    state: {
+      phase: "play",
+      currentTurnUserId: leaderId,
+      deck: [],
+      discardPile: [],
+      playedCards: [],
+      direction: "clockwise",
+      lastPlayedCount: 0,
+      passedUserIds: [],
+      openingCard,
+    },
+  };
+}
+
+function restartRound(state, _action, { random = Math.random } = {}) {
+  if (state.phase !== "round_ended") {
+    return reject("ROUND_NOT_ENDED", "Round has not ended");
+  }
+  const finishedOrder = state.finishedOrder ?? [];
+  const n = state.players.length;
+  const sortedPlayers = sortedBySeat(state.players);
+  const firstLeaderId = finishedOrder.length > 0 ? finishedOrder[0] : sortedPlayers[0].userId;
+
+  // Cleared tricks are gone from the state by now, so deal a fresh deck rather than gathering cards up
+  const hands = distributeEvenly(shuffleArray(buildDeck(state.deckCount ?? 1), random), n);
+
+  // Playing order = position in last round (winner first). Reassign seatIndex and assign hands by finishedOrder.
+  const fullOrder = finishedOrder.length === n;
+  const playerIdxByUserId = new Map(sortedPlayers.map((p, i) => [p.userId, i]));
+  const nextSeats = new Map();
+  for (let i = 0; i < n; i++) {
+    const userId = fullOrder ? finishedOrder[i] : sortedPlayers[i].userId;
+    const hand = fullOrder ? hands[playerIdxByUserId.get(userId)] ?? [] : hands[i];
+    nextSeats.set(userId, { seatIndex: i, hand });
+  }
+  const players = state.players.map((p) => (nextSeats.has(p.userId) ? { ...p, ...nextSeats.get(p.userId) } : p));
+
+  const exchangePairs = buildExchangePairs(finishedOrder, n, state.ruleset?.exchange);
+  return accept({
+    ...state,
+    players,
+    phase: exchangePairs.length > 0 ? "exchange" : "play",
+    currentTurnUserId: firstLeaderId,
+    turnNumber: state.turnNumber + 1,
+    discardPile: [],
+    playedCards: [],
+    lastPlayedCount: 0,
+    lastPlayedRank: undefined,
+    lastPlayedBy: undefined,
+    passedUserIds: [],
+    finishedOrder: undefined,
+    roundLoserId: undefined,
+    forfeitedUserIds: undefined,
+    exchangePairs: exchangePairs.length > 0 ? exchangePairs : undefined,
+    exchangeSelections: [],
+    roundLeaderId: exchangePairs.length > 0 ? firstLeaderId : undefined,
+    revolution: undefined,
+    roundNumber: (state.roundNumber ?? 1) + 1,
+  });
+}
+
+function selectExchange(state, { userId, cardIds }) {
+  if (state.phase !== "exchange") {
+    return reject("NOT_EXCHANGE_PHASE", "Not in exchange phase");
+  }
+  const exchangePairs = state.exchangePairs ?? [];
+  const myPair = exchangePairs.find((p) => p.fromUserId === userId);
+  if (!myPair) return reject("NOT_GIVING", "You are not giving cards in this exchange");
+  if (cardIds.length !== myPair.count) {
+    return reject("WRONG_EXCHANGE_COUNT", `Select exactly ${myPair.count} card(s) to give`);
+  }
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return reject("NOT_IN_GAME", "You are not in this game");
+  const handSet = new Set(player.hand);
+  for (const cid of cardIds) {
+    if (!handSet.has(cid)) return reject("CARD_NOT_IN_HAND", "Selected card not in your hand");
+  }
+
+  const existing = state.exchangeSelections ?? [];
+  const newSelections = [...existing.filter((s) => s.fromUserId !== userId), { fromUserId: userId, cardIds }];
+  const allIn = exchangePairs.every((p) => {
+    const sel = newSelections.find((s) => s.fromUserId === p.fromUserId);
+    return sel && sel.cardIds.length === p.count;
+  });
+  if (!allIn) {
+    return accept({ ...state, exchangeSelections: newSelections });
+  }
+
+  const handsByUserId = new Map(state.players.map((p) => [p.userId, [...p.hand]]));
+  for (const p of exchangePairs) {
+    const sel = newSelections.find((s) => s.fromUserId === p.fromUserId);
+    const fromHand = handsByUserId.get(p.fromUserId) ?? [];
+    const toHand = handsByUserId.get(p.toUserId) ?? [];
+    const set = new Set(sel.cardIds);
+    handsByUserId.set(p.fromUserId, fromHand.filter((c) => !set.has(c)));
+    handsByUserId.set(p.toUserId, [...toHand, ...sel.cardIds]);
+  }
+  return accept({
+    ...state,
+    players: state.players.map((p) => ({ ...p, hand: handsByUserId.get(p.userId) ?? p.hand })),
+    phase: "play",
+    currentTurnUserId: state.roundLeaderId,
+    turnNumber: state.turnNumber + 1,
+    exchangePairs: undefined,
+    exchangeSelections: undefined,
+    roundLeaderId: undefined,
+  });
+}
+
+/** The exchange goes on without a player who left: their pairs are dropped, and it completes if everyone else has chosen. */
+function forfeitExchange(state, userId, nextUserId) {
+  const exchangePairs = (state.exchangePairs ?? []).filter((p) => p.fromUserId !== userId && p.toUserId !== userId);
+  const exchangeSelections = (state.exchangeSelections ?? []).filter((s) => s.fromUserId !== userId);
+  const roundLeaderId = state.roundLeaderId === userId ? nextUserId : state.roundLeaderId;
+  if (exchangePairs.length === 0) {
+    return accept({
+      ...state,
+      phase: "play",
+      currentTurnUserId: roundLeaderId,
+      turnNumber: state.turnNumber + 1,
+      exchangePairs: undefined,
+      exchangeSelections: undefined,
+      roundLeaderId: undefined,
+    });
+  }
+  const next = { ...state, exchangePairs, exchangeSelections, roundLeaderId };
+  const chosen = exchangeSelections.filter((s) => exchangePairs.some((p) => p.fromUserId === s.fromUserId));
+  if (chosen.length < exchangePairs.length) return accept(next);
+  // Resubmitting a choice already made carries out the swap
+  const last = chosen[chosen.length - 1];
+  return selectExchange(next, { userId: last.fromUserId, cardIds: last.cardIds });
+}
+
+/**
+ * A player who left mid-round forfeits it: their cards leave play until the next deal (which
+ * starts from a fresh deck), they are placed last when the round ends (forfeitedUserIds), and play
+ * goes on without them. The round ends at once if fewer than two players still hold cards.
+ * Someone who had already gone out keeps their place.
+ */
+function forfeit(state, { userId }) {
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return reject("NOT_IN_GAME", "You are not in this game");
+  if (player.hand.length === 0) return accept(state);
+
+  const players = state.players.map((p) => (p.userId === userId ? { ...p, hand: [] } : p));
+  const next = {
+    ...state,
+    players,
+    passedUserIds: (state.passedUserIds ?? []).filter((id) => id !== userId),
+    forfeitedUserIds: [...(state.forfeitedUserIds ?? []), userId],
+    openingCard: player.hand.includes(state.openingCard) ? undefined : state.openingCard,
+  };
+  const playersWithCards = players.filter((p) => p.hand.length > 0);
+  if (playersWithCards.length < 2) {
+    const fullOrder = [
+      ...(state.finishedOrder ?? []),
+      ...playersWithCards.map((p) => p.userId),
+      ...forfeitOrder(next),
+    ];
+    return accept({
+      ...next,
+      phase: "round_ended",
+      finishedOrder: fullOrder,
+      roundLoserId: fullOrder[fullOrder.length - 1],
+      currentTurnUserId: fullOrder[0],
+      lastPlayedCount: 0,
+      lastPlayedRank: undefined,
+      lastPlayedBy: undefined,
+      passedUserIds: [],
+      exchangePairs: undefined,
+      exchangeSelections: undefined,
+      roundLeaderId: undefined,
+      turnNumber: state.turnNumber + 1,
+    });
+  }
+
+  const spectators = new Set(players.filter((p) => p.hand.length === 0).map((p) => p.userId));
+  if (state.phase === "exchange") {
+    return forfeitExchange(next, userId, getNextPlayerToPlay(players, userId, [], spectators, state.direction));
+  }
+  const lastPlayedBy = state.lastPlayedBy ?? null;
+  if (state.currentTurnUserId !== userId && lastPlayedBy !== userId) return accept(next);
+  // Play moves on as though they had passed. The table clears if that hands the trick to whoever
+  // played last, or if the last play was theirs.
+  const nextUserId = state.currentTurnUserId === userId
+    ? getNextPlayerToPlay(players, userId, next.passedUserIds, spectators, state.direction)
+    : state.currentTurnUserId;
+  if (lastPlayedBy !== userId && nextUserId !== null && nextUserId !== lastPlayedBy) {
+    return accept({ ...next, currentTurnUserId: nextUserId, turnNumber: state.turnNumber + 1 });
+  }
+  const leaderId = lastPlayedBy !== null && lastPlayedBy !== userId
+    ? lastPlayedBy
+    : nextUserId ?? getNextPlayerToPlay(players, userId, [], spectators, state.direction);
+  return accept({
+    ...next,
+    currentTurnUserId: leaderId,
+    lastPlayedCount: 0,
+    lastPlayedRank: undefined,
+    lastPlayedBy: undefined,
+    passedUserIds: [],
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+/** Lowest card the player could play on its own, or null when there is none. */
+export function lowestLegalSingle(state, userId) {
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return null;
+  const worstFirst = sortHandByRank(player.hand, isReversed(state), rankOrderFor(state)).reverse();
+  return worstFirst.find((cardId) => validatePlay(state, userId, [cardId]).ok) ?? null;
+}
+
+/**
+ * Action taken for a player whose time runs out. On their turn: pass, or when leading play the
+ * lowest legal single, passing the lead on if there is none. In an exchange: give the cards the
+ * baseline bot would. Null if there is nothing to do.
+ */
+export function getTimeoutAction(state, userId = state.currentTurnUserId) {
+  if (state.phase === "exchange") {
+    const cardIds = botExchangeCards(state, userId);
+    return cardIds ? { type: "exchange", userId, cardIds } : null;
+  }
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return null;
+  if ((state.lastPlayedCount ?? 0) > 0) return { type: "pass", userId };
+  const cardId = lowestLegalSingle(state, userId);
+  return cardId ? { type: "play", userId, cardIds: [cardId] } : { type: "pass", userId };
+}
+
+/**
+ * Cards a computer player gives in an exchange: its best ones when the recipient finished above
+ * it last round (seats follow last round's finishing order), otherwise its worst.
+ */
+export function botExchangeCards(state, userId) {
+  const pair = (state.exchangePairs ?? []).find((p) => p.fromUserId === userId);
+  const player = state.players.find((p) => p.userId === userId);
+  if (!pair || !player) return null;
+  const recipient = state.players.find((p) => p.userId === pair.toUserId);
+  const owesBest = recipient && recipient.seatIndex < player.seatIndex;
+  const pick = owesBest ? pickBest : pickWorst;
+  return pick(player.hand, pair.count, isReversed(state), rankOrderFor(state));
+}
+
+/**
+ * Plays a computer player could make right now, cheapest first: each rank it holds from the
+ * lowest up, as few cards as the lead asks for (all of them when leading), topped up with jokers
+ * only when that rank is short (or when they would otherwise be stranded). A hand of nothing but
+ * jokers leads them a rank at a time. Every play returned passes validatePlay.
+ */
+export function botPlays(state, userId) {
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return [];
+  const jokers = jokerRanks(state);
+  const worstFirst = sortHandByRank(player.hand, isReversed(state), rankOrderFor(state)).reverse();
+  const wilds = worstFirst.filter((c) => jokers.includes(getRank(c)));
+  const ranks = [...new Set(worstFirst.map(getRank).filter((r) => !jokers.includes(r)))];
+  const need = state.lastPlayedCount ?? 0;
+  const candidates = [];
+  for (const rank of ranks) {
+    const naturals = worstFirst.filter((c) => getRank(c) === rank);
+    if (need === 0) candidates.push(naturals);
+    else if (naturals.length >= need) candidates.push(naturals.slice(0, need));
+  }
+  if (need === 0 && ranks.length === 0) {
+    for (const rank of new Set(wilds.map(getRank))) candidates.push(wilds.filter((c) => getRank(c) === rank));
+  }
+  if (need > 0) {
+    for (const rank of ranks) {
+      const naturals = worstFirst.filter((c) => getRank(c) === rank);
+      const short = need - naturals.length;
+      if (short > 0 && short <= wilds.length) candidates.push([...naturals, ...wilds.slice(0, short)]);
+    }
+  }
+  // Jokers only go alone from a hand of nothing else, so a bot never keeps only jokers back; when
+  // it may not go out on one either, it spends them while it still has a rank left to finish with.
+  // If the play's size is fixed (matchLedCount) it swaps jokers in for its own cards instead
+  const noFinishOnJoker = (state.rules ?? {}).noFinishOnTwo || (state.ruleset ?? {}).noFinishOnWild;
+  const plays = [];
+  for (const cardIds of candidates) {
+    const check = validatePlay(state, userId, cardIds);
+    if (!check.ok) continue;
+    const restWilds = check.remainingHand.filter((c) => jokers.includes(getRank(c)));
+    const restRanks = new Set(check.remainingHand.map(getRank).filter((r) => !jokers.includes(r)));
+    const spendWilds = restWilds.length > 0 && restRanks.size <= (noFinishOnJoker ? 1 : 0);
+    if (!spendWilds) {
+      plays.push(cardIds);
+      continue;
+    }
+    const naturals = cardIds.filter((c) => !jokers.includes(getRank(c)));
+    const swapCount = Math.min(restWilds.length, naturals.length - 1);
+    const swapped = [
+      ...naturals.slice(0, naturals.length - swapCount),
+      ...cardIds.filter((c) => jokers.includes(getRank(c))),
+      ...restWilds.slice(0, swapCount),
+    ];
+    const spent = [[...cardIds, ...restWilds], ...(swapCount > 0 ? [swapped] : [])]
+      .find((p) => validatePlay(state, userId, p).ok);
+    // Following, it would rather pass than be left with only jokers
+    if (spent || need === 0) plays.push(spent ?? cardIds);
+  }
+  return plays;
+}
+
+/**
+ * Baseline computer player. It gives cards as botExchangeCards says and makes the cheapest play
+ * from botPlays, passing when there is none. Only the bot's own hand is read.
+ * Returns the action to take, or null when there is nothing to do.
+ */
+export function chooseBotAction(state, userId) {
+  if (state.phase === "exchange") {
+    const cardIds = botExchangeCards(state, userId);
+    return cardIds ? { type: "exchange", userId, cardIds } : null;
+  }
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return null;
+  const [cheapest] = botPlays(state, userId);
+  if (cheapest) return { type: "play", userId, cardIds: cheapest };
+  return (state.lastPlayedCount ?? 0) > 0 ? { type: "pass", userId } : getTimeoutAction(state);
+}
+
+/** Moves a computer player weighs on its turn: every play from botPlays, and passing when it may. */
+export function botCandidates(state, userId) {
+  if (state.phase !== "play" || state.currentTurnUserId !== userId) return [];
+  const plays = botPlays(state, userId).map((cardIds) => ({ type: "play", userId, cardIds }));
+  return (state.lastPlayedCount ?? 0) > 0 ? [...plays, { type: "pass", userId }] : plays;
+}
+
+/**
+ * Exchange gifts for a stronger computer player. Owing its best cards it gives them, as the
+ * baseline does; otherwise it gives lone low cards first, keeping its pairs, sets and jokers.
+ */
+export function planBotExchange(state, userId) {
+  const pair = (state.exchangePairs ?? []).find((p) => p.fromUserId === userId);
+  const player = state.players.find((p) => p.userId === userId);
+  if (!pair || !player) return null;
+  const recipient = state.players.find((p) => p.userId === pair.toUserId);
+  if (recipient && recipient.seatIndex < player.seatIndex) return chooseBotAction(state, userId);
+  const jokers = jokerRanks(state);
+  const worstFirst = sortHandByRank(player.hand, isReversed(state), rankOrderFor(state)).reverse();
+  const naturals = worstFirst.filter((c) => !jokers.includes(getRank(c)));
+  const lowHalf = naturals.slice(0, Math.ceil(naturals.length / 2));
+  const loneLow = lowHalf.filter((c) => naturals.filter((o) => getRank(o) === getRank(c)).length === 1);
+  const remaining = [...player.hand];
+  const cardIds = [];
+  for (const cardId of [...loneLow, ...naturals, ...worstFirst]) {
+    const i = remaining.indexOf(cardId);
+    if (cardIds.length === pair.count || i < 0) continue;
+    cardIds.push(cardId);
+    remaining.splice(i, 1);
+  }
+  return { type: "exchange", userId, cardIds };
+}
+
+const ACTIONS = {
+  play,
+  pass,
+  restart: restartRound,
+  exchange: selectExchange,
+  forfeit,
+};
+
+/**
+ * Apply an action to a state. Actions:
+ *   { type: "play", userId, cardIds }
+ *   { type: "pass", userId }
+ *   { type: "restart" }
+ *   { type: "exchange", userId, cardIds }
+ *   { type: "forfeit", userId }        the player left mid-round
+ * options.random replaces Math.random when shuffling (restart).
+ */
+export function applyAction(state, action, options) {
+  return dispatchAction(ACTIONS, state, action, options);
+}
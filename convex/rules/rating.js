@@ -0,0 +1,29 @@
+// Multiplayer Elo. A round with n players is scored as every pairwise result: each player
+// beat everyone who finished below them. The K-factor is split across the n - 1 pairings
+// so a round moves a rating about as much as a single two-player game would.
+
+export const INITIAL_RATING = 1000;
+export const K_FACTOR = 32;
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Rating changes for one round. ratings are listed in finishing order (first place first).
+ * Returns an array of deltas in the same order; they sum to zero.
+ */
+export function multiplayerEloDeltas(ratings, kFactor = K_FACTOR) {
+  const n = ratings.length;
+  if (n < 2) return ratings.map(() => 0);
+  const k = kFactor / (n - 1);
+  return ratings.map((rating, i) => {
+    let delta = 0;
+    for (let j = 0; j < n; j++) {
+      if (j === i) continue;
+      const actual = i < j ? 1 : 0;
+      delta += k * (actual - expectedScore(rating, ratings[j]));
+    }
+    return delta;
+  });
+}
@@ -0,0 +1,35 @@
+// Match scoring for climbing games (Presidents and its variants). Pure, like the rules engines.
+//
+// Each round awards points by finishing position: with n players, first gets n - 1,
+// second n - 2, ... last gets 0. A match ends once someone reaches the target score or
+// the round limit is played, whichever the host configured (both optional).
+
+/** Points for each user in a round's finishedOrder. Returns a Map userId → points. */
+export function roundPoints(finishedOrder) {
+  const n = finishedOrder.length;
+  return new Map(finishedOrder.map((userId, i) => [userId, n - 1 - i]));
+}
+
+/** True once the match should end after roundNumber rounds with these running scores. */
+export function isMatchOver({ scores, roundNumber, targetScore, maxRounds }) {
+  if (maxRounds && roundNumber >= maxRounds) return true;
+  if (targetScore && scores.some((score) => score >= targetScore)) return true;
+  return false;
+}
+
+/**
+ * Final standings: highest score first (lowest with lowScoreWins), ties broken by finishing
+ * position in the last round.
+ * players: [{ userId, score }]. Returns [{ userId, score, placement }] with placement 1, 2, 3...
+ */
+export function rankStandings(players, lastFinishedOrder = [], lowScoreWins = false) {
+  const lastPosition = (userId) => {
+    const i = lastFinishedOrder.indexOf(userId);
+    return i < 0 ? Number.MAX_SAFE_INTEGER : i;
+  };
+  return [...players]
+    .sort((a, b) =>
+      (lowScoreWins ? a.score - b.score : b.score - a.score) || lastPosition(a.userId) - lastPosition(b.userId),
+    )
+    .map((p, i) => ({ ...p, placement: i + 1 }));
+}
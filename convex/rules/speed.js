@@ -0,0 +1,254 @@
+// Pure Speed rules engine (see engine.js). The game page only needs isAdjacent, to show which
+// center piles a selected card fits.
+//
+// State shape (mirrors the gameStates document plus each player's hand and draw pile):
+//   { players: [{ userId, seatIndex, hand, drawPile }], phase, currentTurnUserId, turnNumber,
+//     deck, centerPiles, finishedOrder, roundLoserId, forfeitedUserIds, roundNumber, deckCount }
+//
+// There are no turns. Anyone may play a card from their hand onto either center pile when it is
+// one rank above or below that pile's top card (A and K wrap). Hands refill to HAND_SIZE from the
+// player's own drawPile. When nobody can play, a card from deck is flipped onto each center pile.
+// The first player to empty both hand and draw pile wins the round. Anyone who leaves mid-round
+// forfeits it (forfeitedUserIds): their cards join the shared deck and they are ranked last.
+//
+// applyAction(state, action) returns { ok: true, state } or { ok: false, error: { code, message } }.
+
+import { buildDeck, getRank, RANKS, shuffleArray } from "./cards";
+import { accept, dispatchAction, reject, sortedBySeat } from "./engine";
+
+export const HAND_SIZE = 5;
+export const PILE_COUNT = 2;
+// Cards set aside as the shared deck that feeds the center piles when play stalls
+export const RESERVE_SIZE = 10;
+// Speed has no turns, so turn time limits don't apply
+export const TURN_BASED = false;
+
+/** Fields of the gameStates document that the engine reads and writes. */
+export const STATE_FIELDS = [
+  "phase",
+  "currentTurnUserId",
+  "turnNumber",
+  "deck",
+  "centerPiles",
+  "finishedOrder",
+  "roundLoserId",
+  "forfeitedUserIds",
+  "roundNumber",
+];
+
+/**
+ * Shuffle and deal a round: RESERVE_SIZE cards to the shared deck, one starter per center pile,
+ * and the rest split evenly into each player's hand and draw pile. Hands are in seat order.
+ * More starters are flipped if nobody can play. Returns { hands, drawPiles, deck, centerPiles }.
+ */
+export function dealRound(playerCount, deckCount = 1, random = Math.random) {
+  const shuffled = shuffleArray(buildDeck(deckCount), random);
+  const centerPiles = [];
+  for (let i = 0; i < PILE_COUNT; i++) centerPiles.push([shuffled.pop()]);
+  const deck = shuffled.splice(0, RESERVE_SIZE);
+  const perPlayer = Math.floor(shuffled.length / playerCount);
+  const hands = [];
+  const drawPiles = [];
+  for (let p = 0; p < playerCount; p++) {
+    const cards = shuffled.slice(p * perPlayer, (p + 1) * perPlayer);
+    hands.push(cards.slice(0, HAND_SIZE));
+    drawPiles.push(cards.slice(HAND_SIZE));
+  }
+  // Whatever doesn't split evenly joins the shared deck
+  deck.push(...shuffled.slice(perPlayer * playerCount));
+  const opening = unstall({ players: hands.map((hand) => ({ hand })), deck, centerPiles }, random);
+  return { hands, drawPiles, deck: opening?.deck ?? deck, centerPiles: opening?.centerPiles ?? centerPiles };
+}
+
+/**
+ * Start a game: deal the first round to userIds (in seat order). Returns { hands, drawPiles, state }
+ * where state holds the gameStates fields to start from.
+ */
+export function newGame({ userIds, deckCount = 1, random = Math.random }) {
+  const { hands, drawPiles, deck, centerPiles } = dealRound(userIds.length, deckCount, random);
+  return {
+    hands,
+    drawPiles,
+    state: {
+      phase: "play",
+      currentTurnUserId: userIds[0],
+      deck,
+      discardPile: [],
+      centerPiles,
+      direction: "clockwise",
+    },
+  };
+}
+
+/** Whether cardId may go on a pile whose top card is top: one rank apart, wrapping K–A. */
+export function isAdjacent(cardId, top) {
+  if (!top) return true;
+  const a = RANKS.indexOf(getRank(cardId));
+  const b = RANKS.indexOf(getRank(top));
+  const diff = Math.abs(a - b);
+  return diff === 1 || diff === RANKS.length - 1;
+}
+
+function topOf(pile) {
+  return pile[pile.length - 1];
+}
+
+/** True if any player holds a card that fits either center pile. */
+export function anyPlayable(state) {
+  const tops = state.centerPiles.map(topOf);
+  return state.players.some((p) => p.hand.some((c) => tops.some((top) => isAdjacent(c, top))));
+}
+
+/**
+ * Check whether userId may play cardId on centerPiles[pileIndex]. expectedTop is the top card the
+ * player saw; if another play landed first the pile has changed and this one is rejected.
+ */
+export function validatePlay(state, userId, cardId, pileIndex, expectedTop) {
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return reject("NOT_IN_GAME", "You are not in this game");
+  if (!player.hand.includes(cardId)) return reject("CARD_NOT_IN_HAND", "Card not in hand");
+  const pile = state.centerPiles?.[pileIndex];
+  if (!pile) return reject("NO_SUCH_PILE", "Pick one of the center piles");
+  if (expectedTop !== undefined && topOf(pile) !== expectedTop) {
+    return reject("PILE_CHANGED", "Too slow, that pile just changed");
+  }
+  if (!isAdjacent(cardId, topOf(pile))) {
+    return reject("NOT_ADJACENT", "Play a card one rank above or below the pile");
+  }
+  return { ok: true };
+}
+
+/**
+ * While nobody can play, flip a card from deck onto each center pile. An empty deck is rebuilt
+ * from the center piles (all but their top cards). Returns null if play can't continue.
+ */
+function unstall(state, random) {
+  let deck = state.deck ?? [];
+  let centerPiles = state.centerPiles;
+  // Every flip changes both tops; give up after a full pass through the cards
+  const maxFlips = deck.length + centerPiles.reduce((sum, pile) => sum + pile.length, 0);
+  for (let flips = 0; flips <= maxFlips; flips++) {
+    if (anyPlayable({ ...state, centerPiles })) return { ...state, deck, centerPiles };
+    if (deck.length < PILE_COUNT) {
+      deck = shuffleArray([...deck, ...centerPiles.flatMap((pile) => pile.slice(0, -1))], random);
+      centerPiles = centerPiles.map((pile) => pile.slice(-1));
+      if (deck.length < PILE_COUNT) return null;
+    }
+    centerPiles = centerPiles.map((pile, i) => [...pile, deck[deck.length - 1 - i]]);
+    deck = deck.slice(0, -PILE_COUNT);
+  }
+  return null;
+}
+
+/** End the round: fewest cards left (hand plus draw pile) first, then anyone who forfeited (whoever left first last). */
+function endRound(state) {
+  const forfeited = [...(state.forfeitedUserIds ?? [])].reverse();
+  const cardsLeft = (p) => p.hand.length + (p.drawPile ?? []).length;
+  const finishedOrder = [...state.players]
+    .filter((p) => !forfeited.includes(p.userId))
+    .sort((a, b) => cardsLeft(a) - cardsLeft(b) || a.seatIndex - b.seatIndex)
+    .map((p) => p.userId)
+    .concat(forfeited);
+  return accept({
+    ...state,
+    phase: "round_ended",
+    finishedOrder,
+    roundLoserId: finishedOrder[finishedOrder.length - 1],
+    turnNumber: state.turnNumber + 1,
+  });
+}
+
+function play(state, { userId, cardIds, pileIndex, expectedTop }, { random = Math.random } = {}) {
+  if (cardIds.length !== 1) return reject("ONE_CARD", "Play one card at a time");
+  const [cardId] = cardIds;
+  const check = validatePlay(state, userId, cardId, pileIndex, expectedTop);
+  if (!check.ok) return check;
+  const players = state.players.map((p) => {
+    if (p.userId !== userId) return p;
+    const hand = [...p.hand];
+    hand.splice(hand.indexOf(cardId), 1);
+    const drawPile = [...(p.drawPile ?? [])];
+    while (hand.length < HAND_SIZE && drawPile.length > 0) hand.push(drawPile.pop());
+    return { ...p, hand, drawPile };
+  });
+  const next = {
+    ...state,
+    players,
+    centerPiles: state.centerPiles.map((pile, i) => (i === pileIndex ? [...pile, cardId] : pile)),
+    // Any player may act at any time; currentTurnUserId just records who played last
+    currentTurnUserId: userId,
+    turnNumber: state.turnNumber + 1,
+  };
+  const me = players.find((p) => p.userId === userId);
+  if (me.hand.length === 0 && me.drawPile.length === 0) return endRound(next);
+  const unstalled = unstall(next, random);
+  return unstalled ? accept(unstalled) : endRound(next);
+}
+
+/**
+ * A player who left mid-round forfeits it: their hand and draw pile go under the shared deck. The
+ * round ends if only one player is left, or if the others can't play on.
+ */
+function forfeit(state, { userId }, { random = Math.random } = {}) {
+  if (state.phase === "round_ended") return reject("ROUND_ENDED", "Round has ended; wait for the host to restart");
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return reject("NOT_IN_GAME", "You are not in this game");
+  const forfeitedUserIds = state.forfeitedUserIds ?? [];
+  if (forfeitedUserIds.includes(userId)) return accept(state);
+  const next = {
+    ...state,
+    players: state.players.map((p) => (p.userId === userId ? { ...p, hand: [], drawPile: [] } : p)),
+    deck: [...player.hand, ...(player.drawPile ?? []), ...(state.deck ?? [])],
+    forfeitedUserIds: [...forfeitedUserIds, userId],
+  };
+  if (state.players.length - next.forfeitedUserIds.length < 2) return endRound(next);
+  const unstalled = unstall(next, random);
+  return unstalled ? accept({ ...unstalled, turnNumber: state.turnNumber + 1 }) : endRound(next);
+}
+
+function restartRound(state, _action, { random = Math.random } = {}) {
+  if (state.phase !== "round_ended") {
+    return reject("ROUND_NOT_ENDED", "Round has not ended");
+  }
+  const sortedPlayers = sortedBySeat(state.players);
+  const { hands, drawPiles, deck, centerPiles } = dealRound(sortedPlayers.length, state.deckCount ?? 1, random);
+  const seatByUserId = new Map(sortedPlayers.map((p, i) => [p.userId, i]));
+  return accept({
+    ...state,
+    players: state.players.map((p) => {
+      const i = seatByUserId.get(p.userId);
+      return { ...p, hand: hands[i], drawPile: drawPiles[i] };
+    }),
+    phase: "play",
+    turnNumber: state.turnNumber + 1,
+    deck,
+    centerPiles,
+    finishedOrder: undefined,
+    roundLoserId: undefined,
+    forfeitedUserIds: undefined,
+    roundNumber: (state.roundNumber ?? 1) + 1,
+  });
+}
+
+/** Speed has no turns to time out. */
+export function getTimeoutAction() {
+  return null;
+}
+
+const ACTIONS = {
+  play,
+  restart: restartRound,
+  forfeit,
+};
+
+/**
+ * Apply an action to a state. Actions:
+ *   { type: "play", userId, cardIds, pileIndex, expectedTop }  one card
+ *   { type: "restart" }
+ *   { type: "forfeit", userId }                                the player left mid-round
+ * options.random replaces Math.random when shuffling (restart, rebuilding the deck).
+ */
+export function applyAction(state, action, options) {
+  return dispatchAction(ACTIONS, state, action, options);
+}
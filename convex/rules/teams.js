@@ -0,0 +1,155 @@
+// Team Presidents: Presidents for 4, 6 or 8 players in teams of two. Partners sit opposite each
+// other (team t holds seats t and t + n/2, see seatMembers), and before every round's play each
+// player passes one card to their partner, through the exchange phase, in place of the
+// President/Scum swap. Play itself is plain Presidents. The round is decided by the teams'
+// combined finishing positions: the team whose two places add up lowest wins, and both partners
+// score the same points (see roundPoints).
+
+import { accept, reject } from "./engine";
+import * as presidents from "./presidents";
+
+export const PLAYER_COUNTS = [4, 6, 8];
+export const TEAM_NAMES = ["Red", "Blue", "Green", "Gold"];
+export const PARTNER_EXCHANGE_COUNT = 1;
+
+/** Team (0-based) of whoever sits at seatIndex at a table of playerCount. */
+export function teamOf(seatIndex, playerCount) {
+  return seatIndex % (playerCount / 2);
+}
+
+/** userId's partner: the player sitting opposite. */
+export function partnerOf(players, userId) {
+  const player = players.find((p) => p.userId === userId);
+  if (!player) return null;
+  const half = players.length / 2;
+  return players.find((p) => p.seatIndex === (player.seatIndex + half) % players.length)?.userId ?? null;
+}
+
+/**
+ * Seat a room's members for a game: team t's two players at seats t and t + n/2. Members
+ * without a team (roomMembers.team) fill the open places in seat order.
+ * Returns { ok: true, members } with members in seat order, or a rejection.
+ */
+export function seatMembers(members) {
+  const teamCount = members.length / 2;
+  const teams = Array.from({ length: teamCount }, () => []);
+  const unassigned = [];
+  const sorted = [...members].sort((a, b) => (a.seatIndex ?? 999) - (b.seatIndex ?? 999));
+  for (const m of sorted) {
+    if (m.team === undefined || m.team >= teamCount) unassigned.push(m);
+    else teams[m.team].push(m);
+  }
+  const full = teams.findIndex((t) => t.length > 2);
+  if (full >= 0) {
+    return reject("TEAM_TOO_BIG", `Team ${TEAM_NAMES[full]} has more than two players`);
+  }
+  for (const team of teams) {
+    while (team.length < 2) team.push(unassigned.shift());
+  }
+  const seated = [];
+  teams.forEach(([first, second], t) => {
+    seated[t] = first;
+    seated[t + teamCount] = second;
+  });
+  return { ok: true, members: seated };
+}
+
+/** Exchange phase fields for partners passing PARTNER_EXCHANGE_COUNT cards to each other. */
+function partnerExchange(players, leaderId) {
+  return {
+    phase: "exchange",
+    exchangePairs: players.map((p) => ({
+      fromUserId: p.userId,
+      toUserId: partnerOf(players, p.userId),
+      count: PARTNER_EXCHANGE_COUNT,
+    })),
+    exchangeSelections: [],
+    roundLeaderId: leaderId,
+  };
+}
+
+/**
+ * Teams ranked for a finished round: lowest combined finishing position (1-based) first, ties
+ * going to the team whose better player finished first.
+ * Returns [{ team, userIds, total }].
+ */
+export function teamStandings(players, finishedOrder) {
+  const position = (userId) => finishedOrder.indexOf(userId) + 1;
+  const teams = new Map();
+  for (const p of players) {
+    const team = teamOf(p.seatIndex, players.length);
+    if (!teams.has(team)) teams.set(team, { team, userIds: [], total: 0 });
+    teams.get(team).userIds.push(p.userId);
+    teams.get(team).total += position(p.userId);
+  }
+  const best = (t) => Math.min(...t.userIds.map(position));
+  return [...teams.values()].sort((a, b) => a.total - b.total || best(a) - best(b));
+}
+
+/**
+ * Points for a finished round: with T teams, both players on the winning team score T - 1,
+ * the next team T - 2, ... the last team 0. Returns a Map userId → points.
+ */
+export function roundPoints(state) {
+  const standings = teamStandings(state.players, state.finishedOrder ?? []);
+  const points = new Map();
+  standings.forEach((t, i) => {
+    for (const userId of t.userIds) points.set(userId, standings.length - 1 - i);
+  });
+  return points;
+}
+
+/** Deal as Presidents does, then start with the partner exchange. userIds are in seat order. */
+export function newGame(args) {
+  const { hands, state } = presidents.newGame(args);
+  const players = args.userIds.map((userId, seatIndex) => ({ userId, seatIndex }));
+  return { hands, state: { ...state, ...partnerExchange(players, state.currentTurnUserId) } };
+}
+
+/**
+ * Partners swap through Presidents' exchange; an opening card may have changed hands. A forfeit
+ * can also finish the exchange (the partner of whoever left no longer waits for a card).
+ */
+function selectExchange(state, action) {
+  const result = presidents.applyAction(state, action);
+  if (!result.ok || result.state.phase !== "play" || !result.state.openingCard) return result;
+  const holder = result.state.players.find((p) => p.hand.includes(result.state.openingCard));
+  return accept({ ...result.state, currentTurnUserId: holder?.userId ?? result.state.currentTurnUserId });
+}
+
+/** Redeal as Presidents does, but keep everyone in their seat so partners stay opposite. */
+function restartRound(state, action, options) {
+  const result = presidents.applyAction(state, action, options);
+  if (!result.ok) return result;
+  const seats = new Map(state.players.map((p) => [p.userId, p.seatIndex]));
+  const players = result.state.players.map((p) => ({ ...p, seatIndex: seats.get(p.userId) }));
+  return accept({
+    ...result.state,
+    players,
+    ...partnerExchange(players, result.state.currentTurnUserId),
+  });
+}
+
+export const STATE_FIELDS = presidents.STATE_FIELDS;
+/** Presidents' timeout action, except that in the partner exchange a player gives their worst card. */
+export function getTimeoutAction(state, userId = state.currentTurnUserId) {
+  if (state.phase !== "exchange") return presidents.getTimeoutAction(state, userId);
+  return chooseBotAction(state, userId);
+}
+
+export const botCandidates = presidents.botCandidates;
+
+/** Presidents' computer player, except that a bot passes its partner its worst card. */
+export function chooseBotAction(state, userId) {
+  if (state.phase !== "exchange") return presidents.chooseBotAction(state, userId);
+  const player = state.players.find((p) => p.userId === userId);
+  if (!player) return null;
+  return { type: "exchange", userId, cardIds: presidents.pickWorst(player.hand, PARTNER_EXCHANGE_COUNT) };
+}
+
+/** Presidents' actions, with the exchange and restart changed as above. */
+export function applyAction(state, action, options) {
+  if (action.type === "exchange" || action.type === "forfeit") return selectExchange(state, action);
+  if (action.type === "restart") return restartRound(state, action, options);
+  return presidents.applyAction(state, action, options);
+}
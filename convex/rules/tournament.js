@@ -0,0 +1,37 @@
+// Tournament brackets. Pure, like the rules engines: tournaments.js does the database work.
+//
+// Each stage seats the remaining players at tables of at most tableSize and plays one match per
+// table. The top finishers at every table advance; a stage with a single table is the final,
+// and its placements (scored from each round's finishedOrder) decide the top of the ranking.
+
+export const MIN_TABLE_SIZE = 3;
+export const MAX_TABLE_SIZE = 10;
+
+/** Split players into as few tables as tableSize allows, with table sizes differing by at most one. */
+export function splitIntoTables(playerIds, tableSize) {
+  const tableCount = Math.max(1, Math.ceil(playerIds.length / tableSize));
+  const tables = Array.from({ length: tableCount }, () => []);
+  playerIds.forEach((id, i) => tables[i % tableCount].push(id));
+  return tables;
+}
+
+/** How many players advance from a table of this size: at least one, and never the whole table. */
+export function advanceCount(tablePlayerCount, advancePerTable) {
+  return Math.max(1, Math.min(advancePerTable, tablePlayerCount - 1));
+}
+
+/**
+ * Final ranking. entries: [{ userId, eliminatedInStage, lastPlacement }], where players still in at
+ * the final table have no eliminatedInStage. Finalists come first by final-table placement, then
+ * everyone else by how far they got and their placement at the table they went out at.
+ * Returns userIds, best first.
+ */
+export function rankEntries(entries) {
+  const stageReached = (e) => e.eliminatedInStage ?? Number.MAX_SAFE_INTEGER;
+  return [...entries]
+    .sort((a, b) =>
+      stageReached(b) - stageReached(a) ||
+      (a.lastPlacement ?? Number.MAX_SAFE_INTEGER) - (b.lastPlacement ?? Number.MAX_SAFE_INTEGER),
+    )
+    .map((e) => e.userId);
+}
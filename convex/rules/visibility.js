@@ -0,0 +1,67 @@
+// What one player at the table may see of a game. Pure, like the rules engines: getGameByRoomCode
+// sends each viewer only the public state plus their own cards, and the tests check that nothing
+// else (opponents' hands, the deck, other players' exchange picks) gets through.
+
+// gameStates fields every player may see. Anything not listed here never leaves the server; add
+// new fields only if they hold no hidden cards.
+export const PUBLIC_STATE_FIELDS = [
+  "_id",
+  "gameId",
+  "currentTurnUserId",
+  "turnNumber",
+  "turnStartedAt",
+  "discardPile",
+  "direction",
+  "phase",
+  "lastAction",
+  "lastPlayedCount",
+  "lastPlayedRank",
+  "lastPlayedBy",
+  "passedUserIds",
+  "finishedOrder",
+  "roundLoserId",
+  "forfeitedUserIds",
+  "exchangePairs",
+  "roundLeaderId",
+  "revolution",
+  "openingCard",
+  "roundNumber",
+  "activeSuit",
+  "hasDrawn",
+  "modifiers",
+  "centerPiles",
+  "trick",
+  "lastTrick",
+  "lastTrickWinnerId",
+  "heartsBroken",
+  "pointsTaken",
+];
+
+/**
+ * The gameStates document as viewerId may see it: the public fields, the size of the deck instead
+ * of its cards, and exchange selections with only the viewer's own cards (others show just that
+ * they have chosen).
+ */
+export function viewGameState(gameState, viewerId) {
+  if (!gameState) return null;
+  const view = {};
+  for (const field of PUBLIC_STATE_FIELDS) {
+    if (gameState[field] !== undefined) view[field] = gameState[field];
+  }
+  view.deckSize = gameState.deck?.length ?? 0;
+  if (gameState.exchangeSelections) {
+    view.exchangeSelections = gameState.exchangeSelections.map((s) =>
+      s.fromUserId === viewerId ? s : { fromUserId: s.fromUserId },
+    );
+  }
+  return view;
+}
+
+/** A gamePlayer's cards as viewerId may see them: counts for everyone, the hand only for its owner. */
+export function viewPlayerCards(gamePlayer, viewerId) {
+  return {
+    handCount: gamePlayer.hand.length,
+    hand: gamePlayer.userId === viewerId ? gamePlayer.hand : undefined,
+    drawPileCount: gamePlayer.drawPile?.length,
+  };
+}
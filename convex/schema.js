@@ -1,6 +1,46 @@
 import { defineSchema, defineTable } from "convex/server";
 import { v } from "convex/values";
 
+// Optional Presidents variants chosen by the host; copied onto the game at start
+export const houseRules = v.object({
+  revolution: v.optional(v.boolean()),        // four or more of a kind flips the rank order
+  skipOnEqualRank: v.optional(v.boolean()),   // matching the last rank skips the next player
+  strictlyHigher: v.optional(v.boolean()),    // must beat the last rank, not just equal it
+  noFinishOnTwo: v.optional(v.boolean()),     // a player's last play may not contain a 2
+  fourOfAKindBurns: v.optional(v.boolean()),  // four or more of a kind clears the table
+  openingLead: v.optional(v.union(            // who leads the first round (default: seat 0)
+    v.literal("seat"),
+    v.literal("three_of_clubs"),               // holder of 3♣ leads and must play it
+    v.literal("random"),
+  )),
+});
+
+// Custom mode: the host's own Presidents rules (checked by validateRuleset in convex/rules/custom.js)
+export const customRuleset = v.object({
+  rankOrder: v.array(v.string()),    // every rank once, highest first
+  wildRanks: v.array(v.string()),    // ranks that join any other rank; alone only from a hand of nothing else
+  matchLedCount: v.boolean(),        // plays must have exactly as many cards as the lead
+  exchange: v.array(v.number()),     // cards swapped 1st↔last, 2nd↔second-last, ... each round
+  noFinishOnWild: v.boolean(),       // a player's last play may not contain a wild card
+  roundEnds: v.union(
+    v.literal("last_player"),        // when one player is left holding cards
+    v.literal("first_out"),          // as soon as someone goes out
+  ),
+});
+
+// How well a bot plays (see convex/rules/bots.js)
+export const botLevel = v.union(
+  v.literal("easy"),
+  v.literal("medium"),
+  v.literal("hard"),
+);
+
+// Hearts: one card played to a trick, and who played it
+const trickCard = v.object({
+  userId: v.id("users"),
+  cardId: v.string(),
+});
+
 export default defineSchema({
 
   // ─── USERS ───────────────────────────────────────────────────────────────
@@ -10,8 +50,9 @@ export default defineSchema({
     email: v.string(),
     username: v.string(),
     avatarUrl: v.optional(v.string()),
+    isBot: v.optional(v.boolean()),  // computer player added by a host (see bots.js)
 
-    // Profile stats
+    // Profile stats, counted per finished match: won = placed first, lost = placed last
     gamesPlayed: v.number(),
     gamesWon: v.number(),
     gamesLost: v.number(),
@@ -24,6 +65,55 @@ export default defineSchema({
     .index("by_email", ["email"]),
 
 
+  // ─── USER STATS ──────────────────────────────────────────────────────────
+  // Per-mode career breakdown for a user (updated when rounds and matches end)
+  userStats: defineTable({
+    userId: v.id("users"),
+    gameMode: v.string(),
+
+    roundsPlayed: v.number(),
+    roundsWon: v.number(),           // finished first (President)
+    roundsLost: v.number(),          // finished last (Scum)
+    totalFinishPosition: v.number(), // sum of 1-based positions, for the average
+
+    matchesPlayed: v.number(),
+    matchesWon: v.number(),
+
+    updatedAt: v.number(),
+  })
+    .index("by_user", ["userId"])
+    .index("by_user_and_mode", ["userId", "gameMode"]),
+
+
+  // ─── RATINGS ─────────────────────────────────────────────────────────────
+  // Multiplayer Elo per user per mode, updated from each round's finishedOrder
+  ratings: defineTable({
+    userId: v.id("users"),
+    gameMode: v.string(),
+
+    rating: v.number(),
+    roundsRated: v.number(),
+    peakRating: v.number(),
+
+    updatedAt: v.number(),
+  })
+    .index("by_user_and_mode", ["userId", "gameMode"])
+    .index("by_mode_and_rating", ["gameMode", "rating"]),
+
+  // One row per player per rated round, for time-ranged leaderboards
+  ratingEvents: defineTable({
+    userId: v.id("users"),
+    gameMode: v.string(),
+    gameId: v.id("games"),
+
+    delta: v.number(),               // rating change from this round
+    rating: v.number(),              // rating after this round
+
+    createdAt: v.number(),
+  })
+    .index("by_mode_and_time", ["gameMode", "createdAt"]),
+
+
   // ─── ROOMS ───────────────────────────────────────────────────────────────
   rooms: defineTable({
     // Identity
@@ -42,10 +132,18 @@ export default defineSchema({
       v.literal("custom"),
       v.literal("chaos"),
       v.literal("presidents"),
+      v.literal("bigtwo"),
+      v.literal("hearts"),
+      v.literal("teams"),
     ),
     maxPlayers: v.number(),          // e.g. 2, 4, 6, 8
     deckCount: v.optional(v.number()), // number of decks for some modes (e.g. Presidents)
     timeLimitSeconds: v.optional(v.number()), // null = no time limit
+    houseRules: v.optional(houseRules),
+    targetScore: v.optional(v.number()), // match ends when someone reaches this; null = no target
+    maxRounds: v.optional(v.number()),   // match ends after this many rounds; null = no limit
+    customRuleset: v.optional(customRuleset), // custom mode's rules; null = standard Presidents
+    tournamentId: v.optional(v.id("tournaments")), // set when the room is a tournament table
 
     // State
     status: v.union(
@@ -82,6 +180,9 @@ export default defineSchema({
     // In-game state
     isReady: v.boolean(),            // toggled in lobby before game starts
     seatIndex: v.optional(v.number()), // position at the table (0, 1, 2, ...)
+    team: v.optional(v.number()),      // Team Presidents: team picked in the lobby (0, 1, ...)
+    isBot: v.optional(v.boolean()),    // a computer player, played by bots.js
+    botLevel: v.optional(botLevel),    // ...and how well it plays
     score: v.optional(v.number()),
 
     joinedAt: v.number(),
@@ -91,6 +192,18 @@ export default defineSchema({
     .index("by_room_and_user", ["roomId", "userId"]),
 
 
+  // ─── PRESENCE ────────────────────────────────────────────────────────────
+  // Heartbeats from the room and game pages (see presence.js): one row per user per room
+  presence: defineTable({
+    roomId: v.id("rooms"),
+    userId: v.id("users"),
+    lastSeenAt: v.number(),          // timestamp of the last heartbeat
+  })
+    .index("by_room", ["roomId"])
+    .index("by_user", ["userId"])
+    .index("by_room_and_user", ["roomId", "userId"]),
+
+
   // ─── GAMES ───────────────────────────────────────────────────────────────
   // One room can host multiple games (rematches)
   games: defineTable({
@@ -102,10 +215,16 @@ export default defineSchema({
     ),
 
     winnerId: v.optional(v.id("users")),  // null if draw or ongoing
+    rematchVotes: v.optional(v.array(v.id("users"))), // players who voted to play again once finished
 
     // Snapshot of settings at game start
     gameMode: v.string(),
     timeLimitSeconds: v.optional(v.number()),
+    houseRules: v.optional(houseRules),
+    targetScore: v.optional(v.number()),
+    maxRounds: v.optional(v.number()),
+    customRuleset: v.optional(customRuleset),
+    deckCount: v.optional(v.number()),    // decks dealt each round
 
     startedAt: v.number(),
     endedAt: v.optional(v.number()),
@@ -121,11 +240,16 @@ export default defineSchema({
     userId: v.id("users"),
 
     seatIndex: v.number(),           // order around the table
-    finalScore: v.optional(v.number()),
+    finalScore: v.optional(v.number()), // running match score; final once the game is finished
     placement: v.optional(v.number()), // 1st, 2nd, 3rd...
     isEliminated: v.boolean(),
+    isBot: v.optional(v.boolean()),  // computer player: bots.takeTurn acts for it
+    botLevel: v.optional(botLevel),
+    standIn: v.optional(v.boolean()), // a bot is playing for this player while they're away
+    leftAt: v.optional(v.number()),  // when they left mid-game; they can rejoin within REJOIN_GRACE_MS
 
     hand: v.array(v.string()),       // card IDs currently in hand e.g. ["AS", "KH"]
+    drawPile: v.optional(v.array(v.string())), // speed: the player's own face-down pile that refills their hand
   })
     .index("by_game", ["gameId"])
     .index("by_user", ["userId"])
@@ -167,6 +291,10 @@ export default defineSchema({
     // Round end: who finished first (leads next round), who has cards (lost)
     finishedOrder: v.optional(v.array(v.id("users"))),
     roundLoserId: v.optional(v.id("users")),
+    // Players who left during this round: out of play and placed last when it ends
+    forfeitedUserIds: v.optional(v.array(v.id("users"))),
+    // Every card played this round, in order; discardPile only keeps the current trick
+    playedCards: v.optional(v.array(v.string())),
 
     // Exchange phase: who gives how many to whom; player-submitted selections
     exchangePairs: v.optional(v.array(v.object({
@@ -179,10 +307,99 @@ export default defineSchema({
       cardIds: v.array(v.string()),
     }))),
     roundLeaderId: v.optional(v.id("users")),  // who leads after exchange
+
+    // Revolution house rule: rank order is flipped until the round ends
+    revolution: v.optional(v.boolean()),
+    // Opening-lead rule: card the first play of the game must include
+    openingCard: v.optional(v.string()),
+
+    roundNumber: v.optional(v.number()), // 1-based; counts rounds in the match
+
+    // Classic (Crazy Eights): suit named by the last 8 played; whether the current player has drawn
+    activeSuit: v.optional(v.string()),
+    hasDrawn: v.optional(v.boolean()),
+
+    // Chaos: modifier ids drawn for this round (see convex/rules/chaos.js)
+    modifiers: v.optional(v.array(v.string())),
+
+    // Speed: the center piles everyone plays onto at once (last card is the top)
+    centerPiles: v.optional(v.array(v.array(v.string()))),
+
+    // Hearts: the trick being played and the last one taken (in play order), whether hearts may
+    // be led, and the penalty points each player has taken this round
+    trick: v.optional(v.array(trickCard)),
+    lastTrick: v.optional(v.array(trickCard)),
+    lastTrickWinnerId: v.optional(v.id("users")),
+    heartsBroken: v.optional(v.boolean()),
+    pointsTaken: v.optional(v.array(v.object({
+      userId: v.id("users"),
+      points: v.number(),
+    }))),
   })
     .index("by_game", ["gameId"]),
 
 
+  // ─── TOURNAMENTS ─────────────────────────────────────────────────────────
+  // Players register, then are seated at several tables (rooms) per stage; the top finishers
+  // at each table advance until a single final table is left (see convex/rules/tournament.js)
+  tournaments: defineTable({
+    code: v.string(),                // join code, same format as room codes
+    name: v.string(),
+    hostId: v.id("users"),
+
+    // Settings, fixed once the tournament starts
+    gameMode: v.string(),            // mode every table plays
+    tableSize: v.number(),           // most players seated at one table
+    roundsPerTable: v.number(),      // each table plays a match of this many rounds
+    advancePerTable: v.number(),     // top finishers at each table who go through
+
+    status: v.union(
+      v.literal("registering"),
+      v.literal("in_progress"),
+      v.literal("finished"),
+    ),
+    stage: v.number(),               // 0 while registering, then 1, 2, ...
+    winnerId: v.optional(v.id("users")),
+
+    createdAt: v.number(),
+    startedAt: v.optional(v.number()),
+    endedAt: v.optional(v.number()),
+  })
+    .index("by_code", ["code"]),
+
+  tournamentEntries: defineTable({
+    tournamentId: v.id("tournaments"),
+    userId: v.id("users"),
+
+    status: v.union(
+      v.literal("active"),           // registered, or still in
+      v.literal("eliminated"),
+    ),
+    eliminatedInStage: v.optional(v.number()),
+    lastPlacement: v.optional(v.number()), // placement at the most recent table played
+    finalRank: v.optional(v.number()),     // set when the tournament finishes
+
+    joinedAt: v.number(),
+  })
+    .index("by_tournament", ["tournamentId"])
+    .index("by_tournament_and_user", ["tournamentId", "userId"]),
+
+  // One per table per stage; each table is a private room playing one match
+  tournamentTables: defineTable({
+    tournamentId: v.id("tournaments"),
+    roomId: v.id("rooms"),
+
+    stage: v.number(),
+    tableNumber: v.number(),         // 1-based within the stage
+    status: v.union(
+      v.literal("playing"),
+      v.literal("finished"),
+    ),
+  })
+    .index("by_tournament", ["tournamentId"])
+    .index("by_room", ["roomId"]),
+
+
   // ─── GAME ACTIONS (move history) ─────────────────────────────────────────
   gameActions: defineTable({
     gameId: v.id("games"),
@@ -0,0 +1,117 @@
+// Career stats written when rounds and matches end. users keeps the overall counters;
+// userStats keeps one row per user per gameMode, and ratings one Elo rating per user per mode.
+//
+// A round counts as played for everyone, won for whoever finished first (the President)
+// and lost for whoever finished last (the Scum). The overall counters on users count
+// matches the same way: won for first place, lost for last.
+
+import { INITIAL_RATING, multiplayerEloDeltas } from "./rules/rating";
+
+async function getOrCreateUserStats(ctx, userId, gameMode) {
+  const existing = await ctx.db
+    .query("userStats")
+    .withIndex("by_user_and_mode", (q) => q.eq("userId", userId).eq("gameMode", gameMode))
+    .first();
+  if (existing) return existing;
+  const id = await ctx.db.insert("userStats", {
+    userId,
+    gameMode,
+    roundsPlayed: 0,
+    roundsWon: 0,
+    roundsLost: 0,
+    totalFinishPosition: 0,
+    matchesPlayed: 0,
+    matchesWon: 0,
+    updatedAt: Date.now(),
+  });
+  return ctx.db.get(id);
+}
+
+/** Record one finished round. finishedOrder lists every player, first to last. */
+export async function recordRoundStats(ctx, game, finishedOrder) {
+  const now = Date.now();
+  const lastIndex = finishedOrder.length - 1;
+  for (let i = 0; i < finishedOrder.length; i++) {
+    const userId = finishedOrder[i];
+    const won = i === 0;
+    const lost = i === lastIndex && lastIndex > 0;
+
+    const stats = await getOrCreateUserStats(ctx, userId, game.gameMode);
+    await ctx.db.patch(stats._id, {
+      roundsPlayed: stats.roundsPlayed + 1,
+      roundsWon: stats.roundsWon + (won ? 1 : 0),
+      roundsLost: stats.roundsLost + (lost ? 1 : 0),
+      totalFinishPosition: stats.totalFinishPosition + i + 1,
+      updatedAt: now,
+    });
+  }
+}
+
+/** Record a finished match. standings: [{ userId, placement }]. */
+export async function recordMatchStats(ctx, game, standings) {
+  const now = Date.now();
+  for (const { userId, placement } of standings) {
+    const won = placement === 1;
+    const lost = placement === standings.length && standings.length > 1;
+
+    const user = await ctx.db.get(userId);
+    if (!user) continue;
+    await ctx.db.patch(userId, {
+      gamesPlayed: user.gamesPlayed + 1,
+      gamesWon: user.gamesWon + (won ? 1 : 0),
+      gamesLost: user.gamesLost + (lost ? 1 : 0),
+    });
+
+    const stats = await getOrCreateUserStats(ctx, userId, game.gameMode);
+    await ctx.db.patch(stats._id, {
+      matchesPlayed: stats.matchesPlayed + 1,
+      matchesWon: stats.matchesWon + (won ? 1 : 0),
+      updatedAt: now,
+    });
+  }
+}
+
+/** Update each player's rating for the game's mode from one round's finishedOrder. */
+export async function recordRoundRatings(ctx, game, finishedOrder) {
+  if (finishedOrder.length < 2) return;
+  const now = Date.now();
+  const current = await Promise.all(
+    finishedOrder.map((userId) =>
+      ctx.db
+        .query("ratings")
+        .withIndex("by_user_and_mode", (q) => q.eq("userId", userId).eq("gameMode", game.gameMode))
+        .first(),
+    ),
+  );
+  const deltas = multiplayerEloDeltas(current.map((r) => r?.rating ?? INITIAL_RATING));
+  for (let i = 0; i < finishedOrder.length; i++) {
+    const userId = finishedOrder[i];
+    const previous = current[i];
+    const rating = (previous?.rating ?? INITIAL_RATING) + deltas[i];
+    if (previous) {
+      await ctx.db.patch(previous._id, {
+        rating,
+        roundsRated: previous.roundsRated + 1,
+        peakRating: Math.max(previous.peakRating, rating),
+        updatedAt: now,
+      });
+    } else {
+      await ctx.db.insert("ratings", {
+        userId,
+        gameMode: game.gameMode,
+        rating,
+        roundsRated: 1,
+        peakRating: Math.max(INITIAL_RATING, rating),
+        updatedAt: now,
+      });
+    }
+    await ctx.db.insert("ratingEvents", {
+      userId,
+      gameMode: game.gameMode,
+      gameId: game._id,
+      delta: deltas[i],
+      rating,
+      createdAt: now,
+    });
+  }
+}
@@ -0,0 +1,369 @@
+import { internalMutation, mutation, query } from "./_generated/server";
+import { v, ConvexError } from "convex/values";
+import { shuffleArray } from "./rules/cards";
+import { getMode } from "./rules/modes";
+import {
+  advanceCount,
+  MAX_TABLE_SIZE,
+  MIN_TABLE_SIZE,
+  rankEntries,
+  splitIntoTables,
+} from "./rules/tournament";
+import { createGame, engineFor, saveEngineState, toEngineState } from "./games";
+import { generateUniqueCode } from "./rooms";
+import { getCurrentUser, requireUser } from "./users";
+
+const MAX_ROUNDS_PER_TABLE = 20;
+// Tables run on a turn clock and deal their next round themselves (restartTableRound), so one
+// idle player can't hold up the whole stage
+const TABLE_TIME_LIMIT_SECONDS = 60;
+
+async function getTournamentByCode(ctx, code) {
+  const tournament = await ctx.db
+    .query("tournaments")
+    .withIndex("by_code", (q) => q.eq("code", code))
+    .first();
+  if (!tournament) throw new ConvexError("Tournament not found");
+  return tournament;
+}
+
+/**
+ * Seat players at this stage's tables: one private room per table, each starting a match of
+ * roundsPerTable rounds straight away. The first player seated at a table hosts it.
+ */
+async function startStage(ctx, tournament, stage, userIds) {
+  const tables = splitIntoTables(shuffleArray(userIds), tournament.tableSize);
+  const isFinal = tables.length === 1;
+  for (let i = 0; i < tables.length; i++) {
+    const seats = tables[i];
+    const code = await generateUniqueCode(ctx);
+    const now = Date.now();
+    const roomId = await ctx.db.insert("rooms", {
+      code,
+      name: isFinal ? `${tournament.name}: final table` : `${tournament.name}: stage ${stage}, table ${i + 1}`,
+      adminId: seats[0],
+      gameMode: tournament.gameMode,
+      maxPlayers: seats.length,
+      deckCount: seats.length > 6 ? 2 : 1,
+      timeLimitSeconds: TABLE_TIME_LIMIT_SECONDS,
+      maxRounds: tournament.roundsPerTable,
+      tournamentId: tournament._id,
+      status: "waiting",
+      isPrivate: true,
+      password: undefined,
+      createdAt: now,
+      startedAt: undefined,
+      endedAt: undefined,
+    });
+    for (let s = 0; s < seats.length; s++) {
+      await ctx.db.insert("roomMembers", {
+        roomId,
+        userId: seats[s],
+        role: s === 0 ? "admin" : "player",
+        isReady: true,
+        seatIndex: s,
+        score: undefined,
+        joinedAt: now,
+      });
+    }
+    await ctx.db.insert("tournamentTables", {
+      tournamentId: tournament._id,
+      roomId,
+      stage,
+      tableNumber: i + 1,
+      status: "playing",
+    });
+    const room = await ctx.db.get(roomId);
+    const members = await ctx.db
+      .query("roomMembers")
+      .withIndex("by_room", (q) => q.eq("roomId", roomId))
+      .collect();
+    await createGame(ctx, room, members);
+  }
+  await ctx.db.patch(tournament._id, { stage });
+}
+
+export const createTournament = mutation({
+  args: {
+    name: v.string(),
+    gameMode: v.string(),
+    tableSize: v.number(),
+    roundsPerTable: v.number(),
+    advancePerTable: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const name = args.name.trim();
+    if (!name) {
+      throw new ConvexError("Give the tournament a name");
+    }
+    const mode = getMode(args.gameMode);
+    if (!mode) {
+      throw new ConvexError("Pick a playable game mode");
+    }
+    // Tables are split as evenly as the entries allow, so their sizes can't be fixed in advance
+    if (mode.engine.PLAYER_COUNTS) {
+      throw new ConvexError(`${mode.name} needs a set number of players, so it can't be played as a tournament`);
+    }
+    const host = await requireUser(ctx);
+
+    const code = await generateUniqueCode(ctx, "tournaments");
+
+    const tableSize = Math.max(MIN_TABLE_SIZE, Math.min(MAX_TABLE_SIZE, Math.round(args.tableSize)));
+    const tournamentId = await ctx.db.insert("tournaments", {
+      code,
+      name,
+      hostId: host._id,
+      gameMode: args.gameMode,
+      tableSize,
+      roundsPerTable: Math.max(1, Math.min(MAX_ROUNDS_PER_TABLE, Math.round(args.roundsPerTable))),
+      advancePerTable: Math.max(1, Math.min(tableSize - 1, Math.round(args.advancePerTable))),
+      status: "registering",
+      stage: 0,
+      winnerId: undefined,
+      createdAt: Date.now(),
+      startedAt: undefined,
+      endedAt: undefined,
+    });
+
+    return { tournamentId, code };
+  },
+});
+
+export const registerForTournament = mutation({
+  args: {
+    code: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const tournament = await getTournamentByCode(ctx, args.code);
+    if (tournament.status !== "registering") {
+      throw new ConvexError("Registration for this tournament has closed");
+    }
+    const user = await requireUser(ctx);
+    const existing = await ctx.db
+      .query("tournamentEntries")
+      .withIndex("by_tournament_and_user", (q) =>
+        q.eq("tournamentId", tournament._id).eq("userId", user._id),
+      )
+      .first();
+    if (existing) return;
+
+    await ctx.db.insert("tournamentEntries", {
+      tournamentId: tournament._id,
+      userId: user._id,
+      status: "active",
+      eliminatedInStage: undefined,
+      lastPlacement: undefined,
+      finalRank: undefined,
+      joinedAt: Date.now(),
+    });
+  },
+});
+
+/** Host only: close registration and seat everyone at the first stage's tables. */
+export const startTournament = mutation({
+  args: {
+    code: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const tournament = await getTournamentByCode(ctx, args.code);
+    const user = await getCurrentUser(ctx);
+    if (!user || user._id !== tournament.hostId) {
+      throw new ConvexError("Only the host can start the tournament");
+    }
+    if (tournament.status !== "registering") {
+      throw new ConvexError("The tournament has already started");
+    }
+    const entries = await ctx.db
+      .query("tournamentEntries")
+      .withIndex("by_tournament", (q) => q.eq("tournamentId", tournament._id))
+      .collect();
+    if (entries.length < 2) {
+      throw new ConvexError("Need at least 2 players to start");
+    }
+
+    await ctx.db.patch(tournament._id, { status: "in_progress", startedAt: Date.now() });
+    await startStage(ctx, tournament, 1, entries.map((e) => e.userId));
+  },
+});
+
+/**
+ * Scheduled by games.scoreRound when a tournament table's match ends. The table's top finishers
+ * advance and the rest are out; once every table in the stage is done the next stage is seated,
+ * or, after the final table, everyone's final rank is recorded.
+ */
+export const recordTableResult = internalMutation({
+  args: {
+    gameId: v.id("games"),
+  },
+  handler: async (ctx, args) => {
+    const game = await ctx.db.get(args.gameId);
+    if (!game || game.status !== "finished") return;
+    const table = await ctx.db
+      .query("tournamentTables")
+      .withIndex("by_room", (q) => q.eq("roomId", game.roomId))
+      .first();
+    if (!table || table.status === "finished") return;
+    const tournament = await ctx.db.get(table.tournamentId);
+    if (!tournament || tournament.status !== "in_progress") return;
+
+    const stageTables = (
+      await ctx.db
+        .query("tournamentTables")
+        .withIndex("by_tournament", (q) => q.eq("tournamentId", tournament._id))
+        .collect()
+    ).filter((t) => t.stage === table.stage);
+    const isFinal = stageTables.length === 1;
+
+    const gamePlayers = await ctx.db
+      .query("gamePlayers")
+      .withIndex("by_game", (q) => q.eq("gameId", game._id))
+      .collect();
+    const ranked = [...gamePlayers].sort((a, b) => (a.placement ?? 999) - (b.placement ?? 999));
+    const advancing = isFinal ? ranked.length : advanceCount(ranked.length, tournament.advancePerTable);
+    for (let i = 0; i < ranked.length; i++) {
+      const entry = await ctx.db
+        .query("tournamentEntries")
+        .withIndex("by_tournament_and_user", (q) =>
+          q.eq("tournamentId", tournament._id).eq("userId", ranked[i].userId),
+        )
+        .first();
+      if (!entry) continue;
+      await ctx.db.patch(entry._id, {
+        lastPlacement: ranked[i].placement ?? i + 1,
+        ...(i >= advancing ? { status: "eliminated", eliminatedInStage: table.stage } : {}),
+      });
+    }
+    await ctx.db.patch(table._id, { status: "finished" });
+
+    if (stageTables.some((t) => t._id !== table._id && t.status !== "finished")) return;
+
+    const entries = await ctx.db
+      .query("tournamentEntries")
+      .withIndex("by_tournament", (q) => q.eq("tournamentId", tournament._id))
+      .collect();
+    if (!isFinal) {
+      await startStage(
+        ctx,
+        tournament,
+        table.stage + 1,
+        entries.filter((e) => e.status === "active").map((e) => e.userId),
+      );
+      return;
+    }
+
+    const ranking = rankEntries(entries);
+    for (const entry of entries) {
+      await ctx.db.patch(entry._id, { finalRank: ranking.indexOf(entry.userId) + 1 });
+    }
+    await ctx.db.patch(tournament._id, {
+      status: "finished",
+      winnerId: ranking[0],
+      endedAt: Date.now(),
+    });
+  },
+});
+
+/**
+ * Scheduled by games.scoreRound when a round at a tournament table ends and the match goes on:
+ * deals the next round, as the table's host would with restartRound.
+ */
+export const restartTableRound = internalMutation({
+  args: {
+    gameId: v.id("games"),
+    turnNumber: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const game = await ctx.db.get(args.gameId);
+    if (!game || game.status !== "active") return;
+    const gameState = await ctx.db
+      .query("gameStates")
+      .withIndex("by_game", (q) => q.eq("gameId", game._id))
+      .first();
+    // The host has already dealt it
+    if (!gameState || gameState.phase !== "round_ended" || gameState.turnNumber !== args.turnNumber) return;
+    const gamePlayers = await ctx.db
+      .query("gamePlayers")
+      .withIndex("by_game", (q) => q.eq("gameId", game._id))
+      .collect();
+    const result = engineFor(game).applyAction(toEngineState(game, gameState, gamePlayers), { type: "restart" });
+    if (result.ok) await saveEngineState(ctx, game, gameState, gamePlayers, result.state);
+  },
+});
+
+export const getTournament = query({
+  args: { code: v.string() },
+  handler: async (ctx, args) => {
+    const tournament = await ctx.db
+      .query("tournaments")
+      .withIndex("by_code", (q) => q.eq("code", args.code))
+      .first();
+
+    if (!tournament) return null;
+
+    const entries = await ctx.db
+      .query("tournamentEntries")
+      .withIndex("by_tournament", (q) => q.eq("tournamentId", tournament._id))
+      .collect();
+    const users = await Promise.all(entries.map((e) => ctx.db.get(e.userId)));
+    const usernames = new Map(users.filter(Boolean).map((u) => [u._id, u.username]));
+    const host = await ctx.db.get(tournament.hostId);
+
+    const tableDocs = await ctx.db
+      .query("tournamentTables")
+      .withIndex("by_tournament", (q) => q.eq("tournamentId", tournament._id))
+      .collect();
+    const tables = await Promise.all(
+      tableDocs.map(async (t) => {
+        const room = await ctx.db.get(t.roomId);
+        const game = await ctx.db
+          .query("games")
+          .withIndex("by_room", (q) => q.eq("roomId", t.roomId))
+          .order("desc")
+          .first();
+        const gamePlayers = game
+          ? await ctx.db
+            .query("gamePlayers")
+            .withIndex("by_game", (q) => q.eq("gameId", game._id))
+            .collect()
+          : [];
+        return {
+          stage: t.stage,
+          tableNumber: t.tableNumber,
+          status: t.status,
+          roomCode: room?.code,
+          players: gamePlayers
+            .sort((a, b) => a.seatIndex - b.seatIndex)
+            .map((gp) => ({
+              username: usernames.get(gp.userId) ?? "Unknown",
+              score: gp.finalScore ?? 0,
+              placement: gp.placement,
+            })),
+        };
+      }),
+    );
+
+    return {
+      tournament: {
+        code: tournament.code,
+        name: tournament.name,
+        hostUsername: host?.username,
+        gameMode: tournament.gameMode,
+        tableSize: tournament.tableSize,
+        roundsPerTable: tournament.roundsPerTable,
+        advancePerTable: tournament.advancePerTable,
+        status: tournament.status,
+        stage: tournament.stage,
+        winnerUsername: tournament.winnerId ? usernames.get(tournament.winnerId) : undefined,
+      },
+      entries: entries
+        .sort((a, b) => (a.finalRank ?? Infinity) - (b.finalRank ?? Infinity) || a.joinedAt - b.joinedAt)
+        .map((e) => ({
+          username: usernames.get(e.userId) ?? "Unknown",
+          status: e.status,
+          eliminatedInStage: e.eliminatedInStage,
+          finalRank: e.finalRank,
+        })),
+      tables: tables.sort((a, b) => a.stage - b.stage || a.tableNumber - b.tableNumber),
+    };
+  },
+});
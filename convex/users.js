@@ -0,0 +1,106 @@
+// Signed-in players. Convex checks every request's token against the issuer in auth.config.js,
+// and a person's users row is the one whose clerkId is their token's subject. The name others
+// see is picked with setUsername; mutations act for whoever is signed in (requireUser), never for
+// a name passed in as an argument.
+//
+// Players from before sign-in existed were known by name alone; their rows have a made-up clerkId
+// starting with LEGACY_CLERK_ID_PREFIX. Anyone could type a name, so nothing proves who such a row
+// belongs to and it is never handed to a signed-in player. Its name is freed instead: when someone
+// signs in and picks it, the old row is renamed (retireLegacyName) and they start afresh.
+
+import { mutation, query } from "./_generated/server";
+import { v, ConvexError } from "convex/values";
+
+export const MAX_USERNAME_LENGTH = 20;
+
+const LEGACY_CLERK_ID_PREFIX = "local_";
+const LEGACY_NAME_SUFFIX = " (old)";
+
+/** Move a pre-sign-in row off its name, onto the first free "<name> (old)", "<name> (old 2)", ... */
+async function retireLegacyName(ctx, legacyUser) {
+  for (let n = 1; ; n++) {
+    const candidate = legacyUser.username + (n === 1 ? LEGACY_NAME_SUFFIX : ` (old ${n})`);
+    const taken = await ctx.db
+      .query("users")
+      .withIndex("by_username", (q) => q.eq("username", candidate))
+      .first();
+    if (!taken) {
+      await ctx.db.patch(legacyUser._id, { username: candidate });
+      return;
+    }
+  }
+}
+
+/** The caller's users row, or null when they're signed out or haven't picked a name yet. */
+export async function getCurrentUser(ctx) {
+  const identity = await ctx.auth.getUserIdentity();
+  if (!identity) return null;
+  return ctx.db
+    .query("users")
+    .withIndex("by_clerkId", (q) => q.eq("clerkId", identity.subject))
+    .first();
+}
+
+/** The caller's users row; throws if there isn't one. */
+export async function requireUser(ctx) {
+  const user = await getCurrentUser(ctx);
+  if (!user) throw new ConvexError("Sign in and pick a name first");
+  return user;
+}
+
+/** Who is signed in: { userId, username }, or null before they've picked a name. */
+export const viewer = query({
+  args: {},
+  handler: async (ctx) => {
+    const user = await getCurrentUser(ctx);
+    return user ? { userId: user._id, username: user.username } : null;
+  },
+});
+
+/**
+ * Pick or change the name other players see. Names are unique, and bots' names are taken; a name
+ * from before sign-in is freed for whoever picks it, without that row's history.
+ */
+export const setUsername = mutation({
+  args: {
+    username: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new ConvexError("Sign in first");
+    const username = args.username.trim();
+    if (!username) throw new ConvexError("Pick a name");
+    if (username.length > MAX_USERNAME_LENGTH) {
+      throw new ConvexError(`Names can be at most ${MAX_USERNAME_LENGTH} characters`);
+    }
+
+    const current = await getCurrentUser(ctx);
+    const holder = await ctx.db
+      .query("users")
+      .withIndex("by_username", (q) => q.eq("username", username))
+      .first();
+    if (holder && holder._id !== current?._id) {
+      if (holder.isBot || !holder.clerkId.startsWith(LEGACY_CLERK_ID_PREFIX)) {
+        throw new ConvexError(holder.isBot ? "That name belongs to a bot; pick another" : "That name is taken");
+      }
+      await retireLegacyName(ctx, holder);
+    }
+    if (current) {
+      if (current.username !== username) await ctx.db.patch(current._id, { username });
+      return current._id;
+    }
+
+    const now = Date.now();
+    return ctx.db.insert("users", {
+      clerkId: identity.subject,
+      email: identity.email ?? "",
+      username,
+      avatarUrl: identity.pictureUrl,
+      gamesPlayed: 0,
+      gamesWon: 0,
+      gamesLost: 0,
+      createdAt: now,
+      lastSeenAt: now,
+    });
+  },
+});
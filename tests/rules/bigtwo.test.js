@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import * as bigtwo from "../../convex/rules/bigtwo";
+import { seededRandom, startGame, withHands } from "./helpers";
+
+const { classifyPlay } = bigtwo;
+
+describe("big two combinations", () => {
+  it.each([
+    ["a single", ["7H"], "single"],
+    ["a pair", ["7H", "7S"], "pair"],
+    ["three of a kind", ["7H", "7S", "7D"], "triple"],
+    ["a straight", ["3D", "4C", "5H", "6S", "7D"], "straight"],
+    ["an ace-high straight", ["TD", "JC", "QH", "KS", "AD"], "straight"],
+    ["a flush", ["3H", "8H", "TH", "QH", "2H"], "flush"],
+    ["a full house", ["9D", "9C", "9H", "4S", "4D"], "full_house"],
+    ["four of a kind plus one", ["JD", "JC", "JH", "JS", "3D"], "four_of_a_kind"],
+    ["a straight flush", ["5C", "6C", "7C", "8C", "9C"], "straight_flush"],
+  ])("recognises %s", (_name, cardIds, type) => {
+    expect(classifyPlay(cardIds).type).toBe(type);
+  });
+
+  it.each([
+    ["two different ranks", ["7H", "8S"]],
+    ["a mixed three", ["7H", "7S", "8D"]],
+    ["four cards", ["7H", "7S", "7D", "7C"]],
+    ["five unrelated cards", ["3D", "5C", "9H", "JS", "KD"]],
+    ["a straight through the 2", ["JD", "QC", "KH", "AS", "2D"]],
+    ["two pairs and a kicker", ["9D", "9C", "4H", "4S", "KD"]],
+  ])("rejects %s", (_name, cardIds) => {
+    expect(classifyPlay(cardIds)).toBeNull();
+  });
+
+  /** Each play beats the one before it. */
+  const ladders = {
+    "singles by rank, 2 highest": [["3D"], ["KS"], ["AD"], ["2D"]],
+    "singles of one rank by suit": [["9D"], ["9C"], ["9H"], ["9S"]],
+    "pairs by rank, then by the higher suit": [["4D", "4C"], ["9D", "9C"], ["9D", "9H"], ["9C", "9S"]],
+    "triples by rank": [["4D", "4C", "4H"], ["KD", "KC", "KH"], ["2D", "2C", "2H"]],
+    "straights by their top card": [
+      ["3D", "4C", "5H", "6S", "7D"],
+      ["3S", "4S", "5H", "6S", "7H"],
+      ["4D", "5C", "6H", "7S", "8D"],
+      ["TD", "JC", "QH", "KS", "AD"],
+    ],
+    "flushes by their top card": [["3H", "5H", "8H", "TH", "KH"], ["3D", "5D", "8D", "TD", "AD"], ["4S", "6S", "8S", "TS", "AS"]],
+    "full houses by their three": [["5D", "5C", "5H", "AS", "AD"], ["8D", "8C", "8H", "3S", "3D"]],
+    "five-card hands by kind": [
+      ["TD", "JC", "QH", "KS", "AD"],
+      ["3H", "5H", "8H", "TH", "KH"],
+      ["5D", "5C", "5H", "AS", "AD"],
+      ["4D", "4C", "4H", "4S", "3D"],
+      ["3C", "4C", "5C", "6C", "7C"],
+    ],
+  };
+  for (const [name, plays] of Object.entries(ladders)) {
+    it(`orders ${name}`, () => {
+      const strengths = plays.map((cardIds) => classifyPlay(cardIds).strength);
+      for (let i = 1; i < strengths.length; i++) expect(strengths[i]).toBeGreaterThan(strengths[i - 1]);
+    });
+  }
+});
+
+describe("big two plays", () => {
+  /** alice follows a pair of 9s (♦♣) that carol played. */
+  function following(hand) {
+    const state = startGame(bigtwo, { userIds: ["alice", "bob", "carol"], random: seededRandom(6) });
+    return withHands(
+      {
+        ...state,
+        currentTurnUserId: "alice",
+        openingCard: undefined,
+        discardPile: ["9D", "9C"],
+        lastPlayedCount: 2,
+        lastPlayedBy: "carol",
+      },
+      { alice: hand },
+    );
+  }
+
+  it.each([
+    ["a higher pair", ["9H", "9S"], true],
+    ["a lower pair", ["8H", "8S"], "NOT_HIGHER"],
+    ["a single", ["9S"], "WRONG_COUNT"],
+    ["three of a kind", ["KD", "KC", "KH"], "WRONG_COUNT"],
+  ])("takes %s on a pair", (_name, cardIds, expected) => {
+    const result = bigtwo.applyAction(following([...cardIds, "3D"]), { type: "play", userId: "alice", cardIds });
+    if (expected === true) expect(result.ok).toBe(true);
+    else expect(result.error.code).toBe(expected);
+  });
+
+  it("opens with the 3 of diamonds", () => {
+    const state = startGame(bigtwo, { userIds: ["alice", "bob", "carol"], random: seededRandom(6) });
+    const holder = state.players.find((p) => p.userId === state.currentTurnUserId);
+    expect(holder.hand).toContain(bigtwo.OPENING_CARD);
+    const other = holder.hand.find((c) => c !== bigtwo.OPENING_CARD);
+    expect(bigtwo.applyAction(state, { type: "play", userId: holder.userId, cardIds: [other] }).error.code)
+      .toBe("OPENING_CARD_REQUIRED");
+    expect(bigtwo.getTimeoutAction(state)).toEqual({ type: "play", userId: holder.userId, cardIds: [bigtwo.OPENING_CARD] });
+  });
+
+  it("acts on a timeout only for the player on turn", () => {
+    const state = following(["9H", "9S"]);
+    expect(bigtwo.getTimeoutAction(state, "alice")).toEqual({ type: "pass", userId: "alice" });
+    expect(bigtwo.getTimeoutAction(state, "bob")).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { unseenCards } from "../../convex/rules/bots";
+import * as custom from "../../convex/rules/custom";
+import { MODES, PLAYABLE_MODES } from "../../convex/rules/modes";
+import { isJokersOnly } from "../../convex/rules/presidents";
+import { botStep, seededRandom, startGame, USER_IDS } from "./helpers";
+
+describe("hard bot's unseen cards", () => {
+  const botModes = PLAYABLE_MODES.filter((gameMode) => MODES[gameMode].engine.chooseBotAction);
+  for (const gameMode of botModes) {
+    it(`are exactly the other hands and the deck throughout a round of ${MODES[gameMode].name}`, () => {
+      const { engine } = MODES[gameMode];
+      const userIds = USER_IDS.slice(0, engine.PLAYER_COUNTS?.[0] ?? USER_IDS.length);
+      const deckCount = engine.DECK_COUNT ?? 1;
+      let state = startGame(engine, { userIds, deckCount, random: seededRandom(5) });
+      for (let step = 0; step < 2000 && state.phase !== "round_ended"; step++) {
+        state = botStep(engine, state);
+        for (const { userId } of state.players) {
+          const hidden = [
+            ...state.players.filter((p) => p.userId !== userId).flatMap((p) => [...p.hand, ...(p.drawPile ?? [])]),
+            ...(state.deck ?? []),
+          ];
+          expect(unseenCards(state, userId, deckCount).sort()).toEqual(hidden.sort());
+        }
+      }
+      expect(state.phase).toBe("round_ended");
+    });
+  }
+});
+
+describe("bots under a custom ruleset", () => {
+  const rulesets = {
+    matchLedCount: { ...custom.DEFAULT_RULESET, matchLedCount: true },
+    noFinishOnWild: { ...custom.DEFAULT_RULESET, noFinishOnWild: true },
+  };
+  for (const [name, ruleset] of Object.entries(rulesets)) {
+    it(`spend their wild cards before only wild cards are left (${name})`, () => {
+      for (let seed = 1; seed <= 20; seed++) {
+        const random = seededRandom(seed);
+        let state = startGame(custom, { ruleset, random });
+        for (let round = 1; round <= 3; round++) {
+          for (let step = 0; step < 2000 && state.phase !== "round_ended"; step++) {
+            const onTurn = state.players.find((p) => p.userId === state.currentTurnUserId);
+            if (state.phase === "play" && !state.lastPlayedCount) {
+              expect(isJokersOnly(state, onTurn.hand), `seed ${seed}, round ${round}: ${onTurn.hand}`).toBe(false);
+            }
+            state = botStep(custom, state);
+          }
+          expect(state.phase).toBe("round_ended");
+          state = custom.applyAction(state, { type: "restart" }, { random }).state;
+        }
+      }
+    });
+  }
+});
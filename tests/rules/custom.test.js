@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import * as custom from "../../convex/rules/custom";
+import { startGame, withHands } from "./helpers";
+
+const { DEFAULT_RULESET, MAX_EXCHANGE_COUNT, MAX_EXCHANGE_TIERS, MAX_WILD_RANKS, validateRuleset } = custom;
+
+describe("validateRuleset", () => {
+  it("accepts the default ruleset", () => {
+    expect(validateRuleset(DEFAULT_RULESET)).toEqual({ ok: true });
+  });
+
+  const cases = [
+    ["a reordered rank list", { rankOrder: [...DEFAULT_RULESET.rankOrder].reverse() }, null],
+    ["no wild ranks", { wildRanks: [] }, null],
+    [`${MAX_WILD_RANKS} wild ranks`, { wildRanks: ["2", "7", "J"].slice(0, MAX_WILD_RANKS) }, null],
+    ["no exchange", { exchange: [] }, null],
+    ["the largest exchange", { exchange: Array(MAX_EXCHANGE_TIERS).fill(MAX_EXCHANGE_COUNT) }, null],
+    ["a rank missing", { rankOrder: DEFAULT_RULESET.rankOrder.slice(1) }, "BAD_RANK_ORDER"],
+    ["a rank twice", { rankOrder: [...DEFAULT_RULESET.rankOrder.slice(1), "3"] }, "BAD_RANK_ORDER"],
+    ["an unknown rank", { rankOrder: [...DEFAULT_RULESET.rankOrder.slice(1), "X"] }, "BAD_RANK_ORDER"],
+    ["an unknown wild rank", { wildRanks: ["X"] }, "BAD_WILD_RANKS"],
+    ["a wild rank twice", { wildRanks: ["2", "2"] }, "BAD_WILD_RANKS"],
+    ["too many wild ranks", { wildRanks: ["2", "7", "J", "Q"].slice(0, MAX_WILD_RANKS + 1) }, "TOO_MANY_WILD_RANKS"],
+    ["every rank wild", { wildRanks: DEFAULT_RULESET.rankOrder }, "TOO_MANY_WILD_RANKS"],
+    ["too many exchange tiers", { exchange: Array(MAX_EXCHANGE_TIERS + 1).fill(1) }, "BAD_EXCHANGE"],
+    ["swapping no cards", { exchange: [0] }, "BAD_EXCHANGE"],
+    ["swapping too many cards", { exchange: [MAX_EXCHANGE_COUNT + 1] }, "BAD_EXCHANGE"],
+    ["swapping part of a card", { exchange: [1.5] }, "BAD_EXCHANGE"],
+  ];
+  for (const [name, change, code] of cases) {
+    it(`${code ? "rejects" : "accepts"} ${name}`, () => {
+      const result = validateRuleset({ ...DEFAULT_RULESET, ...change });
+      if (code) expect(result.error.code).toBe(code);
+      else expect(result).toEqual({ ok: true });
+    });
+  }
+});
+
+describe("custom wild cards", () => {
+  const ruleset = { ...DEFAULT_RULESET, wildRanks: ["2", "7", "J"] };
+  const state = { ...startGame(custom, { ruleset }), currentTurnUserId: "alice" };
+
+  it("are led alone a rank at a time from a hand of nothing else", () => {
+    const wildsOnly = withHands(state, { alice: ["7H", "7S", "JD"] });
+    expect(custom.applyAction(wildsOnly, { type: "play", userId: "alice", cardIds: ["7H", "7S"] }).ok).toBe(true);
+    const mixed = custom.applyAction(wildsOnly, { type: "play", userId: "alice", cardIds: ["7H", "JD"] });
+    expect(mixed.error.code).toBe("MIXED_RANKS");
+  });
+
+  it("can't be led alone while a natural card is held", () => {
+    const withNatural = withHands(state, { alice: ["7H", "7S", "5D"] });
+    const result = custom.applyAction(withNatural, { type: "play", userId: "alice", cardIds: ["7H", "7S"] });
+    expect(result.error.code).toBe("JOKER_ALONE");
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, expect, it } from "vitest";
+import * as hearts from "../../convex/rules/hearts";
+import { seededRandom, startGame, USER_IDS, withHands } from "./helpers";
+
+/** A round in progress, past its first trick, with alice to lead. */
+function midRound(hands, fields = {}) {
+  const state = startGame(hearts, { random: seededRandom(3) });
+  return withHands(
+    {
+      ...state,
+      phase: "play",
+      currentTurnUserId: "alice",
+      exchangePairs: undefined,
+      openingCard: undefined,
+      discardPile: ["3C", "4C", "5C", "6C"],
+      ...fields,
+    },
+    hands,
+  );
+}
+
+function play(state, userId, cardId) {
+  return hearts.applyAction(state, { type: "play", userId, cardIds: [cardId] });
+}
+
+describe("hearts scoring", () => {
+  it("charges a point per heart and 13 for the queen of spades", () => {
+    expect(["AH", "2H", "QS", "KS", "3C"].map(hearts.cardPoints)).toEqual([1, 1, 13, 0, 0]);
+  });
+
+  it("scores what each player took", () => {
+    const pointsTaken = [
+      { userId: "alice", points: 3 },
+      { userId: "bob", points: 13 },
+      { userId: "carol", points: 10 },
+      { userId: "dave", points: 0 },
+    ];
+    expect(Object.fromEntries(hearts.roundPoints({ pointsTaken }))).toEqual({ alice: 3, bob: 13, carol: 10, dave: 0 });
+  });
+
+  it("gives everyone else 26 when one player shoots the moon", () => {
+    const pointsTaken = USER_IDS.map((userId) => ({ userId, points: userId === "carol" ? 26 : 0 }));
+    expect(Object.fromEntries(hearts.roundPoints({ pointsTaken }))).toEqual({ alice: 26, bob: 26, carol: 0, dave: 26 });
+  });
+
+  it("doesn't count the points charged to a leaver as shooting the moon", () => {
+    const pointsTaken = USER_IDS.map((userId) => ({ userId, points: userId === "carol" ? 26 : 0 }));
+    const points = hearts.roundPoints({ pointsTaken, forfeitedUserIds: ["carol"] });
+    expect(points.get("carol")).toBe(26);
+    expect(points.get("alice")).toBe(0);
+  });
+
+  it("ends a round in which one player takes every point as a moon shot", () => {
+    const pointsTaken = USER_IDS.map((userId) => ({ userId, points: userId === "alice" ? 25 : 0 }));
+    let state = midRound({ alice: ["AH"], bob: ["7C"], carol: ["8C"], dave: ["9C"] }, { pointsTaken, heartsBroken: true });
+    state = play(state, "alice", "AH").state;
+    state = play(state, "bob", "7C").state;
+    state = play(state, "carol", "8C").state;
+    const result = play(state, "dave", "9C");
+    expect(result.ok).toBe(true);
+    expect(result.state.phase).toBe("round_ended");
+    expect(result.state.pointsTaken.find((t) => t.userId === "alice").points).toBe(26);
+    expect(Object.fromEntries(hearts.roundPoints(result.state))).toEqual({ alice: 0, bob: 26, carol: 26, dave: 26 });
+    expect(result.state.finishedOrder[0]).toBe("alice");
+  });
+
+  it("ranks the round fewest points first", () => {
+    const pointsTaken = [
+      { userId: "alice", points: 4 },
+      { userId: "bob", points: 13 },
+      { userId: "carol", points: 0 },
+      { userId: "dave", points: 8 },
+    ];
+    let state = midRound({ alice: ["2D"], bob: ["3D"], carol: ["4D"], dave: ["5D"] }, { pointsTaken });
+    for (const [userId, cardId] of [["alice", "2D"], ["bob", "3D"], ["carol", "4D"], ["dave", "5D"]]) {
+      state = play(state, userId, cardId).state;
+    }
+    expect(state.finishedOrder).toEqual(["carol", "alice", "dave", "bob"]);
+    expect(state.roundLoserId).toBe("bob");
+  });
+});
+
+describe("hearts tricks", () => {
+  it("goes to the highest card of the suit led", () => {
+    const trick = [
+      { userId: "alice", cardId: "5D" },
+      { userId: "bob", cardId: "AS" },
+      { userId: "carol", cardId: "KD" },
+      { userId: "dave", cardId: "9D" },
+    ];
+    expect(hearts.trickWinner(trick)).toBe("carol");
+  });
+
+  it("must follow the suit led when the hand has it", () => {
+    const state = play(midRound({ alice: ["5D", "6D"], bob: ["KS", "2D"], carol: ["3S"], dave: ["4S"] }), "alice", "5D").state;
+    expect(play(state, "bob", "KS").error.code).toBe("MUST_FOLLOW_SUIT");
+    expect(play(state, "bob", "2D").ok).toBe(true);
+  });
+
+  it("lets the winner lead the next trick and keeps their points", () => {
+    let state = midRound(
+      { alice: ["5D", "6D"], bob: ["2H", "7S"], carol: ["QS", "8S"], dave: ["KD", "9D"] },
+      { heartsBroken: true },
+    );
+    for (const [userId, cardId] of [["alice", "5D"], ["bob", "2H"], ["carol", "QS"], ["dave", "KD"]]) {
+      state = play(state, userId, cardId).state;
+    }
+    expect(state.currentTurnUserId).toBe("dave");
+    expect(state.lastTrickWinnerId).toBe("dave");
+    expect(state.pointsTaken.find((t) => t.userId === "dave").points).toBe(14);
+  });
+
+  it("won't let players pass", () => {
+    expect(hearts.applyAction(midRound({}), { type: "pass", userId: "alice" }).error.code).toBe("NO_PASSING");
+  });
+});
+
+describe("hearts broken", () => {
+  it("can't be led before a heart has been played, unless the hand holds only hearts", () => {
+    const state = midRound({ alice: ["2H", "5D"], bob: ["3H"], carol: ["4H"], dave: ["5H"] });
+    expect(play(state, "alice", "2H").error.code).toBe("HEARTS_NOT_BROKEN");
+    const onlyHearts = withHands(state, { alice: ["2H", "9H"] });
+    expect(play(onlyHearts, "alice", "2H").ok).toBe(true);
+  });
+
+  it("breaks when a heart is discarded on another suit, and hearts can be led after", () => {
+    let state = midRound({ alice: ["5D", "2H"], bob: ["3H", "4S"], carol: ["6D", "7S"], dave: ["7D", "8S"] });
+    state = play(state, "alice", "5D").state;
+    expect(state.heartsBroken).toBe(false);
+    state = play(state, "bob", "3H").state;
+    expect(state.heartsBroken).toBe(true);
+    state = play(state, "carol", "6D").state;
+    state = play(state, "dave", "7D").state;
+    state = { ...state, currentTurnUserId: "alice" };
+    expect(play(state, "alice", "2H").ok).toBe(true);
+  });
+});
+
+describe("hearts first trick", () => {
+  const firstTrick = {
+    discardPile: [],
+    openingCard: hearts.OPENING_CARD,
+  };
+
+  it("must be led with the 2 of clubs", () => {
+    const state = midRound({ alice: ["2C", "9C"], bob: ["3C"], carol: ["4C"], dave: ["5C"] }, firstTrick);
+    expect(play(state, "alice", "9C").error.code).toBe("OPENING_CARD_REQUIRED");
+    expect(play(state, "alice", "2C").ok).toBe(true);
+  });
+
+  it("takes no points unless the hand holds nothing else", () => {
+    const opened = play(
+      midRound({ alice: ["2C"], bob: ["QS", "4D"], carol: ["2H", "AH"], dave: ["5C"] }, firstTrick),
+      "alice",
+      "2C",
+    ).state;
+    expect(play(opened, "bob", "QS").error.code).toBe("NO_POINTS_FIRST_TRICK");
+    expect(play(opened, "bob", "4D").ok).toBe(true);
+    const carolsTurn = { ...opened, currentTurnUserId: "carol" };
+    expect(play(carolsTurn, "carol", "AH").ok).toBe(true);
+  });
+});
+
+describe("hearts passing", () => {
+  it("cycles left, right, across and hold", () => {
+    expect([1, 2, 3, 4, 5].map(hearts.passDirection)).toEqual(["left", "right", "across", "hold", "left"]);
+  });
+
+  it.each([
+    ["left", ["bob", "carol", "dave", "alice"]],
+    ["right", ["dave", "alice", "bob", "carol"]],
+    ["across", ["carol", "dave", "alice", "bob"]],
+  ])("passes %s", (direction, recipients) => {
+    const players = USER_IDS.map((userId, seatIndex) => ({ userId, seatIndex }));
+    const pairs = hearts.buildPassPairs(players, direction);
+    expect(pairs.map((p) => p.toUserId)).toEqual(recipients);
+    expect(pairs.every((p) => p.count === hearts.PASS_COUNT)).toBe(true);
+  });
+
+  it("holds every fourth round", () => {
+    expect(hearts.buildPassPairs(USER_IDS.map((userId, seatIndex) => ({ userId, seatIndex })), "hold")).toEqual([]);
+  });
+
+  it("hands the lead to whoever holds the 2 of clubs after the pass", () => {
+    let state = startGame(hearts, { random: seededRandom(9) });
+    expect(state.phase).toBe("exchange");
+    for (const { fromUserId } of state.exchangePairs) {
+      const giver = state.players.find((p) => p.userId === fromUserId);
+      const cardIds = giver.hand.slice(0, hearts.PASS_COUNT);
+      state = hearts.applyAction(state, { type: "exchange", userId: fromUserId, cardIds }).state;
+    }
+    expect(state.phase).toBe("play");
+    const holder = state.players.find((p) => p.hand.includes("2C"));
+    expect(state.currentTurnUserId).toBe(holder.userId);
+  });
+});
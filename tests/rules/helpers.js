@@ -0,0 +1,66 @@
+// Drives the pure rules engines the way games.js does, without Convex: the engine state is the
+// gameStates fields plus each player's hand (and draw pile), in seat order.
+
+export const USER_IDS = ["alice", "bob", "carol", "dave"];
+
+/** A seeded stand-in for Math.random, so a failing deal can be replayed. */
+export function seededRandom(seed = 1) {
+  let s = seed;
+  return () => {
+    s = (s * 16807) % 2147483647;
+    return (s - 1) / 2147483646;
+  };
+}
+
+/** Engine state for a new game of engine, as createGame and toEngineState build it. */
+export function startGame(engine, { userIds = USER_IDS, deckCount = 1, rules = {}, ruleset, random } = {}) {
+  const { hands, drawPiles, state } = engine.newGame({ userIds, deckCount, rules, random });
+  return {
+    ...state,
+    turnNumber: 0,
+    roundNumber: 1,
+    players: userIds.map((userId, i) => ({ userId, seatIndex: i, hand: hands[i], drawPile: drawPiles?.[i] })),
+    rules,
+    ruleset: ruleset ?? engine.DEFAULT_RULESET,
+    deckCount,
+  };
+}
+
+/** Whoever has to act next: the player on turn, or the first giver still to choose in an exchange. */
+function nextActor(state) {
+  if (state.phase !== "exchange") return state.currentTurnUserId;
+  const chosen = new Set((state.exchangeSelections ?? []).map((s) => s.fromUserId));
+  return state.exchangePairs.map((p) => p.fromUserId).find((id) => !chosen.has(id));
+}
+
+/** One move by the baseline bot whose turn it is; throws if it has none or the engine refuses it. */
+export function botStep(engine, state) {
+  const userId = nextActor(state);
+  const action = engine.chooseBotAction(state, userId);
+  if (!action) throw new Error(`No bot action for ${userId} in phase ${state.phase}`);
+  const result = engine.applyAction(state, action);
+  if (!result.ok) throw new Error(`${action.type} rejected: ${result.error.message}`);
+  return result.state;
+}
+
+/** Let the baseline bots play every seat until the phase is stopAt; fails rather than loop forever. */
+export function playUntil(engine, state, stopAt = "round_ended", maxSteps = 5000) {
+  let current = state;
+  for (let step = 0; step < maxSteps; step++) {
+    if (current.phase === stopAt) return current;
+    current = botStep(engine, current);
+  }
+  throw new Error(`Still in phase ${current.phase} after ${maxSteps} steps`);
+}
+
+export function cardsInHands(state) {
+  return state.players.flatMap((p) => [...p.hand, ...(p.drawPile ?? [])]);
+}
+
+/** state with the players in hands (userId → cards) holding those cards instead of their own. */
+export function withHands(state, hands) {
+  return {
+    ...state,
+    players: state.players.map((p) => (p.userId in hands ? { ...p, hand: hands[p.userId] } : p)),
+  };
+}
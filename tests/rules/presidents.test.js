@@ -0,0 +1,333 @@
+import { describe, expect, it } from "vitest";
+import * as presidents from "../../convex/rules/presidents";
+import { buildDeck } from "../../convex/rules/cards";
+import { cardsInHands, playUntil, seededRandom, startGame, withHands } from "./helpers";
+
+describe("presidents redeal", () => {
+  for (const deckCount of [1, 2]) {
+    it(`deals the full ${deckCount}-deck pack in both rounds of a match`, () => {
+      const random = seededRandom(deckCount);
+      const round1 = startGame(presidents, { deckCount, random });
+      expect(cardsInHands(round1).sort()).toEqual(buildDeck(deckCount).sort());
+
+      const ended = playUntil(presidents, round1);
+      const restarted = presidents.applyAction(ended, { type: "restart" }, { random });
+      expect(restarted.ok).toBe(true);
+      expect(cardsInHands(restarted.state).sort()).toEqual(buildDeck(deckCount).sort());
+
+      // The exchange that follows can be carried out with the hands just dealt
+      const round2 = playUntil(presidents, restarted.state, "play");
+      expect(cardsInHands(round2)).toHaveLength(52 * deckCount);
+    });
+  }
+});
+
+describe("presidents forfeit", () => {
+  it("takes the leaver's cards out of play and deals them again next round", () => {
+    const random = seededRandom(7);
+    const state = startGame(presidents, { random });
+    const leaver = state.players.find((p) => p.userId !== state.currentTurnUserId);
+    const result = presidents.applyAction(state, { type: "forfeit", userId: leaver.userId });
+    expect(result.ok).toBe(true);
+    expect(result.state.players.find((p) => p.userId === leaver.userId).hand).toEqual([]);
+    expect(result.state.discardPile).toEqual([]);
+
+    const ended = playUntil(presidents, result.state);
+    expect(ended.finishedOrder.at(-1)).toBe(leaver.userId);
+    const restarted = presidents.applyAction(ended, { type: "restart" }, { random });
+    expect(cardsInHands(restarted.state)).toHaveLength(52);
+  });
+});
+
+/** A three-player table with the given hands and whoever is named in turn on turn. */
+function table(hands, fields = {}) {
+  const state = startGame(presidents, { userIds: ["alice", "bob", "carol"], random: seededRandom(11) });
+  return withHands({ ...state, currentTurnUserId: "alice", ...fields }, hands);
+}
+
+function play(state, userId, cardIds) {
+  return presidents.applyAction(state, { type: "play", userId, cardIds });
+}
+
+describe("presidents leads and follows", () => {
+  const lead = table({ alice: ["5H", "5S", "7D", "2C"], bob: ["6H", "9S", "9D"], carol: ["4H", "KS"] });
+
+  it.each([
+    ["a single", ["7D"]],
+    ["a pair", ["5H", "5S"]],
+    ["a pair made up with a joker", ["7D", "2C"]],
+    ["three with a joker", ["5H", "5S", "2C"]],
+  ])("lets the leader play %s", (_name, cardIds) => {
+    const result = play(lead, "alice", cardIds);
+    expect(result.ok).toBe(true);
+    expect(result.state.lastPlayedCount).toBe(cardIds.length);
+    expect(result.state.lastPlayedBy).toBe("alice");
+    expect(result.state.currentTurnUserId).toBe("bob");
+  });
+
+  it.each([
+    ["nothing", "alice", [], "EMPTY_PLAY"],
+    ["out of turn", "bob", ["6H"], "NOT_YOUR_TURN"],
+    ["a card they don't hold", "alice", ["6H"], "CARD_NOT_IN_HAND"],
+    ["mixed ranks", "alice", ["5H", "7D"], "MIXED_RANKS"],
+    ["a joker alone", "alice", ["2C"], "JOKER_ALONE"],
+  ])("rejects a play of %s", (_name, userId, cardIds, code) => {
+    expect(play(lead, userId, cardIds).error.code).toBe(code);
+  });
+
+  const afterPair = play(lead, "alice", ["5H", "5S"]).state;
+
+  it.each([
+    ["the same count of a higher rank", ["9S", "9D"], true],
+    ["fewer cards than the lead", ["9S"], "TOO_FEW_CARDS"],
+  ])("judges a follow of %s", (_name, cardIds, expected) => {
+    const result = play(afterPair, "bob", cardIds);
+    if (expected === true) expect(result.ok).toBe(true);
+    else expect(result.error.code).toBe(expected);
+  });
+
+  it("rejects a lower rank, and accepts an equal rank or more cards than the lead", () => {
+    const bobsTurn = table(
+      { alice: ["9H"], bob: ["8S", "9S", "KD", "KC"], carol: ["4H"] },
+      { currentTurnUserId: "bob", lastPlayedCount: 1, lastPlayedRank: "9", lastPlayedBy: "carol" },
+    );
+    expect(play(bobsTurn, "bob", ["8S"]).error.code).toBe("RANK_TOO_LOW");
+    expect(play(bobsTurn, "bob", ["9S"]).ok).toBe(true);
+    expect(play(bobsTurn, "bob", ["KD", "KC"]).ok).toBe(true);
+  });
+});
+
+describe("presidents passing", () => {
+  const hands = { alice: ["5H", "KD"], bob: ["6H", "9S"], carol: ["4H", "QS"] };
+
+  it("won't let the leader pass", () => {
+    expect(presidents.applyAction(table(hands), { type: "pass", userId: "alice" }).error.code).toBe("MUST_LEAD");
+  });
+
+  it("moves play on, and gives the trick to the last player once everyone else passes", () => {
+    let state = play(table(hands), "alice", ["KD"]).state;
+    state = presidents.applyAction(state, { type: "pass", userId: "bob" }).state;
+    expect(state.currentTurnUserId).toBe("carol");
+    expect(state.passedUserIds).toEqual(["bob"]);
+    expect(state.lastPlayedRank).toBe("K");
+
+    state = presidents.applyAction(state, { type: "pass", userId: "carol" }).state;
+    expect(state.currentTurnUserId).toBe("alice");
+    expect(state.lastPlayedCount).toBe(0);
+    expect(state.lastPlayedRank).toBeUndefined();
+    expect(state.passedUserIds).toEqual([]);
+  });
+
+  it("skips players who passed until the trick is over", () => {
+    let state = play(table(hands), "alice", ["5H"]).state;
+    state = presidents.applyAction(state, { type: "pass", userId: "bob" }).state;
+    state = play(state, "carol", ["QS"]).state;
+    expect(state.currentTurnUserId).toBe("alice");
+    state = presidents.applyAction(state, { type: "pass", userId: "alice" }).state;
+    expect(state.currentTurnUserId).toBe("carol");
+    expect(state.lastPlayedCount).toBe(0);
+  });
+});
+
+describe("presidents finishing order", () => {
+  it("lists players as they go out, and ends the round with the last one holding cards", () => {
+    let state = table({ alice: ["KD"], bob: ["6H", "AS"], carol: ["4H", "QS"] });
+    state = play(state, "alice", ["KD"]).state;
+    expect(state.finishedOrder).toEqual(["alice"]);
+    expect(state.currentTurnUserId).toBe("bob");
+    expect(state.lastPlayedCount).toBe(0);
+
+    state = play(state, "bob", ["6H"]).state;
+    state = play(state, "carol", ["QS"]).state;
+    state = play(state, "bob", ["AS"]).state;
+    expect(state.phase).toBe("round_ended");
+    expect(state.finishedOrder).toEqual(["alice", "bob", "carol"]);
+    expect(state.roundLoserId).toBe("carol");
+  });
+
+  it("rejects moves once the round is over", () => {
+    const ended = { ...table({}), phase: "round_ended" };
+    expect(play(ended, "alice", ["5H"]).error.code).toBe("ROUND_ENDED");
+  });
+});
+
+describe("presidents exchange", () => {
+  it("swaps one card between first and last at a table of three", () => {
+    expect(presidents.buildExchangePairs(["alice", "bob", "carol"], 3)).toEqual([
+      { fromUserId: "carol", toUserId: "alice", count: 1 },
+      { fromUserId: "alice", toUserId: "carol", count: 1 },
+    ]);
+  });
+
+  it("swaps two between first and last and one between second and second-last at four or more", () => {
+    expect(presidents.buildExchangePairs(["a", "b", "c", "d", "e"], 5)).toEqual([
+      { fromUserId: "a", toUserId: "e", count: 2 },
+      { fromUserId: "e", toUserId: "a", count: 2 },
+      { fromUserId: "b", toUserId: "d", count: 1 },
+      { fromUserId: "d", toUserId: "b", count: 1 },
+    ]);
+  });
+
+  it("seats players by finishing order and gives the cards once every giver has chosen", () => {
+    const ended = { ...table({}), phase: "round_ended", finishedOrder: ["bob", "carol", "alice"], roundLoserId: "alice" };
+    let state = presidents.applyAction(ended, { type: "restart" }, { random: seededRandom(2) }).state;
+    expect(state.phase).toBe("exchange");
+    expect(state.players.find((p) => p.userId === "bob").seatIndex).toBe(0);
+    expect(state.roundLeaderId).toBe("bob");
+
+    const hand = (userId) => state.players.find((p) => p.userId === userId).hand;
+    const bobGives = hand("bob").slice(0, 1);
+    const aliceGives = hand("alice").slice(0, 1);
+    expect(presidents.applyAction(state, { type: "exchange", userId: "carol", cardIds: hand("carol").slice(0, 1) }).error.code)
+      .toBe("NOT_GIVING");
+    expect(presidents.applyAction(state, { type: "exchange", userId: "bob", cardIds: hand("bob").slice(0, 2) }).error.code)
+      .toBe("WRONG_EXCHANGE_COUNT");
+
+    state = presidents.applyAction(state, { type: "exchange", userId: "bob", cardIds: bobGives }).state;
+    expect(state.phase).toBe("exchange");
+    state = presidents.applyAction(state, { type: "exchange", userId: "alice", cardIds: aliceGives }).state;
+    expect(state.phase).toBe("play");
+    expect(state.currentTurnUserId).toBe("bob");
+    expect(hand("alice")).toContain(bobGives[0]);
+    expect(hand("bob")).toContain(aliceGives[0]);
+    expect(hand("bob")).not.toContain(bobGives[0]);
+  });
+});
+
+describe("presidents revolution house rule", () => {
+  const hands = { alice: ["8H", "8S", "8D", "8C", "5H"], bob: ["3H", "KS", "KD"], carol: ["4H", "QS"] };
+
+  it.each([
+    [false, undefined],
+    [true, true],
+  ])("with revolution %s, four of a kind sets the revolution to %s", (revolution, expected) => {
+    const state = table(hands, { rules: { revolution } });
+    expect(play(state, "alice", ["8H", "8S", "8D", "8C"]).state.revolution).toBe(expected);
+  });
+
+  it.each([
+    [false, "3H", "RANK_TOO_LOW", "KS", true],
+    [true, "3H", true, "KS", "RANK_TOO_LOW"],
+  ])("with revolution %s, a 3 on a single 8 gives %s and a K gives %s", (revolution, low, lowResult, high, highResult) => {
+    let state = table(hands, { rules: { revolution } });
+    state = play(state, "alice", ["8H", "8S", "8D", "8C"]).state;
+    state = { ...state, currentTurnUserId: "bob", lastPlayedCount: 1, lastPlayedRank: "8", lastPlayedBy: "alice" };
+    for (const [cardId, expected] of [[low, lowResult], [high, highResult]]) {
+      const result = play(state, "bob", [cardId]);
+      if (expected === true) expect(result.ok).toBe(true);
+      else expect(result.error.code).toBe(expected);
+    }
+  });
+
+  it("flips back on a second revolution, and is over when the round is", () => {
+    const state = table(
+      { alice: ["8H", "8S", "8D", "8C", "5H"], bob: ["9H", "9S", "9D", "9C", "KD"], carol: ["4H"] },
+      { rules: { revolution: true }, revolution: true, currentTurnUserId: "bob" },
+    );
+    expect(play(state, "bob", ["9H", "9S", "9D", "9C"]).state.revolution).toBe(false);
+
+    const ended = { ...state, phase: "round_ended", finishedOrder: ["alice", "bob", "carol"] };
+    expect(presidents.applyAction(ended, { type: "restart" }).state.revolution).toBeUndefined();
+  });
+});
+
+describe("presidents house-rule pack", () => {
+  /** Play each move in turn at a table with these house rules; the last result, or the first rejection. */
+  function playOut(rules, hands, moves) {
+    let state = table(hands, { rules });
+    let result;
+    for (const [userId, cardIds] of moves) {
+      result = play(state, userId, cardIds);
+      if (!result.ok) return result;
+      state = result.state;
+    }
+    return result;
+  }
+
+  const cases = [
+    {
+      rule: "skipOnEqualRank",
+      hands: { alice: ["9H", "5H"], bob: ["9S", "KD"], carol: ["JH", "QS"] },
+      moves: [["alice", ["9H"]], ["bob", ["9S"]]],
+      off: (result) => expect(result.state.currentTurnUserId).toBe("carol"),
+      on: (result) => expect(result.state.currentTurnUserId).toBe("alice"),
+    },
+    {
+      rule: "strictlyHigher",
+      hands: { alice: ["9H", "5H"], bob: ["9S", "KD"], carol: ["JH", "QS"] },
+      moves: [["alice", ["9H"]], ["bob", ["9S"]]],
+      off: (result) => expect(result.ok).toBe(true),
+      on: (result) => expect(result.error.code).toBe("RANK_NOT_HIGHER"),
+    },
+    {
+      rule: "noFinishOnTwo",
+      hands: { alice: ["5H", "2C"], bob: ["9S", "KD"], carol: ["JH", "QS"] },
+      moves: [["alice", ["5H", "2C"]]],
+      off: (result) => expect(result.state.finishedOrder).toEqual(["alice"]),
+      on: (result) => expect(result.error.code).toBe("FINISH_ON_TWO"),
+    },
+    {
+      rule: "fourOfAKindBurns",
+      hands: { alice: ["8H", "8S", "8D", "8C", "5H"], bob: ["9S", "KD"], carol: ["JH", "QS"] },
+      moves: [["alice", ["8H", "8S", "8D", "8C"]]],
+      off: (result) => {
+        expect(result.state.currentTurnUserId).toBe("bob");
+        expect(result.state.lastPlayedCount).toBe(4);
+      },
+      on: (result) => {
+        expect(result.state.currentTurnUserId).toBe("alice");
+        expect(result.state.lastPlayedCount).toBe(0);
+        expect(result.state.discardPile).toEqual([]);
+      },
+    },
+  ];
+  for (const { rule, hands, moves, off, on } of cases) {
+    it(`${rule} off`, () => off(playOut({ [rule]: false }, hands, moves)));
+    it(`${rule} on`, () => on(playOut({ [rule]: true }, hands, moves)));
+  }
+});
+
+describe("presidents opening lead", () => {
+  const players = [
+    { userId: "alice", hand: ["5H"] },
+    { userId: "bob", hand: ["3C", "9S"] },
+    { userId: "carol", hand: ["KD"] },
+  ];
+
+  it.each([
+    [undefined, 0.9, "alice", undefined],
+    ["seat", 0.9, "alice", undefined],
+    ["three_of_clubs", 0.9, "bob", "3C"],
+    ["random", 0.9, "carol", undefined],
+    ["random", 0, "alice", undefined],
+  ])("openingLead %s with random() at %s: %s leads", (openingLead, roll, leaderId, openingCard) => {
+    expect(presidents.chooseOpeningLeader(players, openingLead, () => roll)).toEqual({ leaderId, openingCard });
+  });
+
+  it("falls back to seat 0 when nobody holds the 3 of clubs", () => {
+    const without = players.map((p) => ({ ...p, hand: p.hand.filter((c) => c !== "3C") }));
+    expect(presidents.chooseOpeningLeader(without, "three_of_clubs")).toEqual({ leaderId: "alice", openingCard: undefined });
+  });
+
+  it("makes the holder of the 3 of clubs lead it, and only in the first play", () => {
+    const state = startGame(presidents, { rules: { openingLead: "three_of_clubs" }, random: seededRandom(4) });
+    const leader = state.players.find((p) => p.userId === state.currentTurnUserId);
+    expect(leader.hand).toContain("3C");
+    expect(state.openingCard).toBe("3C");
+
+    const other = leader.hand.find((c) => c[0] !== "3" && c[0] !== "2");
+    expect(play(state, leader.userId, [other]).error.code).toBe("OPENING_CARD_REQUIRED");
+    const opened = play(state, leader.userId, ["3C"]);
+    expect(opened.ok).toBe(true);
+    expect(opened.state.openingCard).toBeUndefined();
+  });
+
+  it("leaves the first play open without the rule", () => {
+    const state = startGame(presidents, { random: seededRandom(4) });
+    expect(state.currentTurnUserId).toBe(state.players[0].userId);
+    expect(state.openingCard).toBeUndefined();
+    const leader = state.players[0];
+    const single = leader.hand.find((c) => c !== "3C" && c[0] !== "2");
+    expect(play(state, leader.userId, [single]).ok).toBe(true);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { INITIAL_RATING, K_FACTOR, multiplayerEloDeltas } from "../../convex/rules/rating";
+
+const sum = (deltas) => deltas.reduce((total, delta) => total + delta, 0);
+
+describe("multiplayer Elo", () => {
+  it("moves a two-player game between equals by half the K-factor", () => {
+    expect(multiplayerEloDeltas([INITIAL_RATING, INITIAL_RATING])).toEqual([K_FACTOR / 2, -K_FACTOR / 2]);
+  });
+
+  it("leaves a lone player unchanged", () => {
+    expect(multiplayerEloDeltas([1200])).toEqual([0]);
+  });
+
+  it.each([
+    ["three equals", [1000, 1000, 1000]],
+    ["four equals", [1000, 1000, 1000, 1000]],
+    ["an upset", [900, 1100, 1300, 1500]],
+    ["favourites winning", [1500, 1300, 1100, 900]],
+    ["a mixed table of six", [1040, 870, 1210, 995, 1330, 760]],
+  ])("sums to zero for %s", (_name, ratings) => {
+    const deltas = multiplayerEloDeltas(ratings);
+    expect(deltas).toHaveLength(ratings.length);
+    expect(sum(deltas)).toBeCloseTo(0, 9);
+  });
+
+  it("rates equals by finishing position, the middle unchanged", () => {
+    const [first, second, third] = multiplayerEloDeltas([1000, 1000, 1000]);
+    expect(first).toBeCloseTo(K_FACTOR / 2);
+    expect(second).toBeCloseTo(0);
+    expect(third).toBeCloseTo(-K_FACTOR / 2);
+  });
+
+  it("moves an upset further than an expected result", () => {
+    const [underdogWins] = multiplayerEloDeltas([900, 1100, 1300, 1500]);
+    const [favouriteWins] = multiplayerEloDeltas([1500, 1300, 1100, 900]);
+    expect(underdogWins).toBeGreaterThan(favouriteWins);
+    expect(favouriteWins).toBeGreaterThan(0);
+  });
+
+  it("never moves a player by more than the K-factor", () => {
+    const deltas = multiplayerEloDeltas([600, 1000, 1400, 1800]);
+    expect(deltas.every((delta) => Math.abs(delta) < K_FACTOR)).toBe(true);
+  });
+
+  it("scales with the K-factor given", () => {
+    const [first] = multiplayerEloDeltas([1000, 1000], 64);
+    expect(first).toBe(32);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import * as classic from "../../convex/rules/classic";
+import * as speed from "../../convex/rules/speed";
+import { seededRandom, startGame } from "./helpers";
+
+/** Every card dealt in a classic or speed state, wherever it lies. */
+function allCards(state) {
+  return [
+    ...state.players.flatMap((p) => [...p.hand, ...(p.drawPile ?? [])]),
+    ...(state.deck ?? []),
+    ...(state.discardPile ?? []),
+    ...(state.centerPiles ?? []).flat(),
+  ];
+}
+
+describe.each([
+  ["classic", classic],
+  ["speed", speed],
+])("%s redeal", (_name, engine) => {
+  it("deals the game's decks again, even when the last round ended short of cards", () => {
+    const random = seededRandom(4);
+    const state = startGame(engine, { userIds: ["alice", "bob"], deckCount: 2, random });
+    expect(allCards(state)).toHaveLength(104);
+
+    // A round that ended with one player's hand and draw pile gone
+    const ended = {
+      ...state,
+      phase: "round_ended",
+      players: state.players.map((p, i) => (i === 0 ? { ...p, hand: [], drawPile: [] } : p)),
+    };
+    const restarted = engine.applyAction(ended, { type: "restart" }, { random });
+    expect(restarted.ok).toBe(true);
+    expect(allCards(restarted.state)).toHaveLength(104);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { isMatchOver, rankStandings, roundPoints } from "../../convex/rules/scoring";
+
+describe("round points", () => {
+  it("gives n - 1 to the winner down to 0 for last place", () => {
+    expect(Object.fromEntries(roundPoints(["carol", "alice", "dave", "bob"]))).toEqual({ carol: 3, alice: 2, dave: 1, bob: 0 });
+  });
+});
+
+describe("isMatchOver", () => {
+  it.each([
+    ["no limits set", { scores: [40, 12], roundNumber: 30 }, false],
+    ["the target not reached", { scores: [9, 4], roundNumber: 3, targetScore: 10 }, false],
+    ["the target reached", { scores: [10, 4], roundNumber: 3, targetScore: 10 }, true],
+    ["the target passed", { scores: [3, 12], roundNumber: 3, targetScore: 10 }, true],
+    ["rounds still to play", { scores: [3, 4], roundNumber: 4, maxRounds: 5 }, false],
+    ["the last round played", { scores: [3, 4], roundNumber: 5, maxRounds: 5 }, true],
+    ["the round limit first", { scores: [3, 4], roundNumber: 5, targetScore: 10, maxRounds: 5 }, true],
+    ["the target first", { scores: [10, 4], roundNumber: 2, targetScore: 10, maxRounds: 5 }, true],
+  ])("with %s", (_name, match, expected) => {
+    expect(isMatchOver(match)).toBe(expected);
+  });
+});
+
+describe("rankStandings", () => {
+  const players = [
+    { userId: "alice", score: 7 },
+    { userId: "bob", score: 12 },
+    { userId: "carol", score: 7 },
+    { userId: "dave", score: 2 },
+  ];
+
+  it("places the highest score first", () => {
+    const standings = rankStandings(players, ["carol", "alice", "bob", "dave"]);
+    expect(standings.map((p) => [p.userId, p.placement])).toEqual([["bob", 1], ["carol", 2], ["alice", 3], ["dave", 4]]);
+  });
+
+  it("places the lowest score first when low scores win", () => {
+    const standings = rankStandings(players, ["alice", "carol", "bob", "dave"], true);
+    expect(standings.map((p) => p.userId)).toEqual(["dave", "alice", "carol", "bob"]);
+  });
+
+  it("breaks ties by the last round, with players missing from it last", () => {
+    expect(rankStandings(players, ["alice", "bob"]).map((p) => p.userId)).toEqual(["bob", "alice", "carol", "dave"]);
+    expect(rankStandings(players, ["carol"]).map((p) => p.userId)).toEqual(["bob", "carol", "alice", "dave"]);
+  });
+
+  it("keeps each player's score", () => {
+    expect(rankStandings(players)).toContainEqual({ userId: "dave", score: 2, placement: 4 });
+  });
+});
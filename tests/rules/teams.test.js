@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import * as teams from "../../convex/rules/teams";
+import { playUntil, seededRandom, startGame, USER_IDS } from "./helpers";
+
+const SIX = ["alice", "bob", "carol", "dave", "erin", "frank"];
+const seated = (userIds) => userIds.map((userId, seatIndex) => ({ userId, seatIndex }));
+
+describe("team seating", () => {
+  it("puts partners opposite each other", () => {
+    expect([0, 1, 2, 3, 4, 5].map((seat) => teams.teamOf(seat, 6))).toEqual([0, 1, 2, 0, 1, 2]);
+    expect(teams.partnerOf(seated(SIX), "bob")).toBe("erin");
+    expect(teams.partnerOf(seated(USER_IDS), "dave")).toBe("bob");
+    expect(teams.partnerOf(seated(USER_IDS), "zoe")).toBeNull();
+  });
+
+  it("seats each chosen team at seats t and t + n/2", () => {
+    const members = [
+      { userId: "alice", seatIndex: 0, team: 1 },
+      { userId: "bob", seatIndex: 1, team: 0 },
+      { userId: "carol", seatIndex: 2, team: 1 },
+      { userId: "dave", seatIndex: 3, team: 0 },
+    ];
+    const result = teams.seatMembers(members);
+    expect(result.ok).toBe(true);
+    expect(result.members.map((m) => m.userId)).toEqual(["bob", "alice", "dave", "carol"]);
+  });
+
+  it("fills open places with players who chose no team, in seat order", () => {
+    const members = [
+      { userId: "alice", seatIndex: 0 },
+      { userId: "bob", seatIndex: 1, team: 1 },
+      { userId: "carol", seatIndex: 2 },
+      { userId: "dave", seatIndex: 3 },
+      { userId: "erin", seatIndex: 4, team: 7 },
+      { userId: "frank", seatIndex: 5, team: 1 },
+    ];
+    const result = teams.seatMembers(members);
+    expect(result.members.map((m) => m.userId)).toEqual(["alice", "bob", "dave", "carol", "frank", "erin"]);
+  });
+
+  it("refuses a team of three", () => {
+    const members = USER_IDS.map((userId, seatIndex) => ({ userId, seatIndex, team: seatIndex === 3 ? 1 : 0 }));
+    expect(teams.seatMembers(members).error.code).toBe("TEAM_TOO_BIG");
+  });
+});
+
+describe("team standings", () => {
+  it("ranks teams by their combined finishing positions", () => {
+    // Teams: alice + dave, bob + erin, carol + frank
+    const standings = teams.teamStandings(seated(SIX), ["bob", "alice", "frank", "erin", "carol", "dave"]);
+    expect(standings).toEqual([
+      { team: 1, userIds: ["bob", "erin"], total: 5 },
+      { team: 0, userIds: ["alice", "dave"], total: 8 },
+      { team: 2, userIds: ["carol", "frank"], total: 8 },
+    ]);
+  });
+
+  it("breaks a tie in favour of the team whose better player finished first", () => {
+    // alice + carol took 1st and 4th, bob + dave 2nd and 3rd
+    const standings = teams.teamStandings(seated(USER_IDS), ["alice", "bob", "dave", "carol"]);
+    expect(standings.map((t) => t.team)).toEqual([0, 1]);
+  });
+
+  it("gives both partners their team's points", () => {
+    const state = { players: seated(SIX), finishedOrder: ["bob", "alice", "frank", "erin", "carol", "dave"] };
+    expect(Object.fromEntries(teams.roundPoints(state))).toEqual({
+      bob: 2,
+      erin: 2,
+      alice: 1,
+      dave: 1,
+      carol: 0,
+      frank: 0,
+    });
+  });
+});
+
+describe("team rounds", () => {
+  it("starts every round with partners passing a card to each other", () => {
+    const random = seededRandom(5);
+    const state = startGame(teams, { userIds: SIX, random });
+    const partnerPairs = (s) => s.exchangePairs.map((p) => [p.fromUserId, p.toUserId, p.count]);
+    const expected = SIX.map((userId) => [userId, teams.partnerOf(state.players, userId), teams.PARTNER_EXCHANGE_COUNT]);
+    expect(state.phase).toBe("exchange");
+    expect(partnerPairs(state)).toEqual(expected);
+
+    const ended = playUntil(teams, state);
+    const restarted = teams.applyAction(ended, { type: "restart" }, { random });
+    expect(restarted.ok).toBe(true);
+    expect(restarted.state.players.map((p) => [p.userId, p.seatIndex])).toEqual(SIX.map((userId, i) => [userId, i]));
+    expect(partnerPairs(restarted.state)).toEqual(expected);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { MODES, PLAYABLE_MODES } from "../../convex/rules/modes";
+import * as presidents from "../../convex/rules/presidents";
+import { botStep, seededRandom, startGame, USER_IDS, withHands } from "./helpers";
+
+/** Play on until an exchange begins, or null if none does within a couple of rounds. */
+function reachExchange(engine, state, random) {
+  let current = state;
+  for (let step = 0; step < 2000 && (current.roundNumber ?? 1) < 3; step++) {
+    if (current.phase === "exchange") return current;
+    if (current.phase === "round_ended") {
+      current = engine.applyAction(current, { type: "restart" }, { random }).state;
+    } else {
+      current = botStep(engine, current);
+    }
+  }
+  return null;
+}
+
+describe("exchange timeouts", () => {
+  const exchangeModes = PLAYABLE_MODES.filter((gameMode) => MODES[gameMode].engine.STATE_FIELDS.includes("exchangeSelections"));
+  for (const gameMode of exchangeModes) {
+    it(`gives the owed cards for everyone who runs out of time in ${MODES[gameMode].name}`, () => {
+      const { engine } = MODES[gameMode];
+      const userIds = USER_IDS.slice(0, engine.PLAYER_COUNTS?.[0] ?? USER_IDS.length);
+      const random = seededRandom(3);
+      let state = reachExchange(engine, startGame(engine, { userIds, random }), random);
+      expect(state).not.toBeNull();
+
+      for (const { fromUserId } of state.exchangePairs) {
+        const action = engine.getTimeoutAction(state, fromUserId);
+        expect(action?.type).toBe("exchange");
+        const result = engine.applyAction(state, action);
+        expect(result.ok).toBe(true);
+        state = result.state;
+      }
+      expect(state.phase).toBe("play");
+    });
+  }
+});
+
+describe("turn timeouts with only jokers left", () => {
+  /** alice on lead holding hands.alice, with the given house rules. */
+  function aliceLeads(hands, rules = {}) {
+    const state = startGame(presidents, { userIds: ["alice", "bob", "carol"], rules, random: seededRandom(5) });
+    return withHands({ ...state, currentTurnUserId: "alice" }, hands);
+  }
+
+  it("leads a joker alone when the hand holds nothing else", () => {
+    const state = aliceLeads({ alice: ["2H", "2S"] });
+    const action = presidents.getTimeoutAction(state);
+    expect(action).toMatchObject({ type: "play", userId: "alice" });
+    expect(action.cardIds).toHaveLength(1);
+    const result = presidents.applyAction(state, action);
+    expect(result.ok).toBe(true);
+    expect(result.state.lastPlayedRank).toBe("2");
+    expect(result.state.currentTurnUserId).toBe("bob");
+  });
+
+  it("still won't let a joker go with nothing beside it when other cards are held", () => {
+    const state = aliceLeads({ alice: ["2H", "5S"] });
+    expect(presidents.validatePlay(state, "alice", ["2H"]).error.code).toBe("JOKER_ALONE");
+    expect(presidents.getTimeoutAction(state).cardIds).toEqual(["5S"]);
+  });
+
+  it("passes the lead on when the last card is a 2 the player may not go out on", () => {
+    const state = aliceLeads({ alice: ["2H"] }, { noFinishOnTwo: true });
+    expect(presidents.validatePlay(state, "alice", ["2H"]).error.code).toBe("FINISH_ON_TWO");
+    const action = presidents.getTimeoutAction(state);
+    expect(action).toEqual({ type: "pass", userId: "alice" });
+    const result = presidents.applyAction(state, action);
+    expect(result.ok).toBe(true);
+    expect(result.state.phase).toBe("play");
+    expect(result.state.currentTurnUserId).toBe("bob");
+    expect(result.state.lastPlayedCount).toBe(0);
+  });
+
+  it("ends the round when nobody still holding cards can lead", () => {
+    const state = {
+      ...aliceLeads({ alice: ["2H"], bob: ["2S"], carol: [] }, { noFinishOnTwo: true }),
+      finishedOrder: ["carol"],
+    };
+    const result = presidents.applyAction(state, presidents.getTimeoutAction(state));
+    expect(result.ok).toBe(true);
+    expect(result.state.phase).toBe("round_ended");
+    expect(result.state.finishedOrder).toEqual(["carol", "alice", "bob"]);
+  });
+
+  it("won't let a player pass the lead while they have something to lead", () => {
+    const state = aliceLeads({ alice: ["2H", "5S"] }, { noFinishOnTwo: true });
+    expect(presidents.canPass(state, "alice")).toBe(false);
+    expect(presidents.applyAction(state, { type: "pass", userId: "alice" }).error.code).toBe("MUST_LEAD");
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { MODES, PLAYABLE_MODES } from "../../convex/rules/modes";
+import { viewGameState, viewPlayerCards } from "../../convex/rules/visibility";
+import { botStep, seededRandom, startGame, USER_IDS } from "./helpers";
+
+/** The gameStates document games.js would save for an engine state. */
+function toDocument(engine, state) {
+  const doc = { _id: "state", gameId: "game", deck: state.deck ?? [] };
+  for (const field of engine.STATE_FIELDS) {
+    if (state[field] !== undefined) doc[field] = state[field];
+  }
+  return doc;
+}
+
+/** Every card ID a viewer must not see: opponents' hands and draw piles, the deck, others' exchange picks. */
+function hiddenCards(state, viewerId) {
+  const opponents = state.players.filter((p) => p.userId !== viewerId);
+  return new Set([
+    ...opponents.flatMap((p) => [...p.hand, ...(p.drawPile ?? [])]),
+    ...(state.deck ?? []),
+    ...(state.exchangeSelections ?? []).filter((s) => s.fromUserId !== viewerId).flatMap((s) => s.cardIds),
+  ]);
+}
+
+/** Every string in value, skipping openingCard (which card opens is announced to the table). */
+function stringsIn(value, found = []) {
+  if (typeof value === "string") found.push(value);
+  else if (Array.isArray(value)) value.forEach((v) => stringsIn(v, found));
+  else if (value && typeof value === "object") {
+    for (const [key, v] of Object.entries(value)) {
+      if (key !== "openingCard") stringsIn(v, found);
+    }
+  }
+  return found;
+}
+
+function expectNothingHidden(engine, state) {
+  const doc = toDocument(engine, state);
+  for (const viewerId of state.players.map((p) => p.userId)) {
+    const view = {
+      gameState: viewGameState(doc, viewerId),
+      players: state.players.map((p) => ({ userId: p.userId, ...viewPlayerCards(p, viewerId) })),
+    };
+    const hidden = hiddenCards(state, viewerId);
+    expect(stringsIn(view).filter((s) => hidden.has(s))).toEqual([]);
+
+    expect(view.gameState.deck).toBeUndefined();
+    expect(view.gameState.deckSize).toBe((state.deck ?? []).length);
+    for (const p of view.players) {
+      const own = state.players.find((sp) => sp.userId === p.userId);
+      expect(p.handCount).toBe(own.hand.length);
+      expect(p.hand).toEqual(p.userId === viewerId ? own.hand : undefined);
+    }
+    for (const s of view.gameState.exchangeSelections ?? []) {
+      if (s.fromUserId !== viewerId) expect(s.cardIds).toBeUndefined();
+    }
+  }
+}
+
+describe("per-viewer game state", () => {
+  for (const gameMode of PLAYABLE_MODES) {
+    it(`shows no opponent's cards or the deck in ${MODES[gameMode].name}`, () => {
+      const { engine } = MODES[gameMode];
+      const userIds = USER_IDS.slice(0, engine.PLAYER_COUNTS?.[0] ?? USER_IDS.length);
+      const random = seededRandom(gameMode.length);
+      let state = startGame(engine, { userIds, deckCount: engine.DECK_COUNT ?? 1, random });
+      expectNothingHidden(engine, state);
+      if (!engine.chooseBotAction) return;
+
+      // Through a round, the redeal and whatever exchange follows it, checking after every move
+      let exchangeChecked = false;
+      for (let step = 0; step < 2000 && (state.roundNumber ?? 1) < 3; step++) {
+        if (state.phase === "round_ended") {
+          const result = engine.applyAction(state, { type: "restart" }, { random });
+          expect(result.ok).toBe(true);
+          state = result.state;
+        } else {
+          state = botStep(engine, state);
+        }
+        expectNothingHidden(engine, state);
+        if (state.phase === "exchange" && (state.exchangeSelections ?? []).length > 0) exchangeChecked = true;
+      }
+      if (engine.STATE_FIELDS.includes("exchangeSelections")) expect(exchangeChecked).toBe(true);
+    });
+  }
+});